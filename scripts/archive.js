@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Export or import the tweet archive as newline-delimited JSON
+ *
+ * Usage:
+ *   node scripts/archive.js export [--out <file>] [--since <date>] [--until <date>]
+ *                                  [--author <name,...>] [--list <id>] [--no-config]
+ *   node scripts/archive.js import [--in <file>] [--config]
+ *
+ * Without --out/--in the archive goes to stdout / comes from stdin. Uses the
+ * configured database (DATABASE_URL or the local SQLite file). Import skips
+ * config entries (rate limit, scheduler and circuit state of the exporting
+ * instance) unless --config is given.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const Database = require(path.join(__dirname, '..', 'src', 'database'));
+
+function parseArgs(argv) {
+  const args = { command: argv[0], file: null, since: null, until: null, authors: [], listId: null, includeConfig: null };
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--out':
+      case '--in':
+        args.file = argv[++i];
+        break;
+      case '--since':
+        args.since = argv[++i];
+        break;
+      case '--until':
+        args.until = argv[++i];
+        break;
+      case '--author':
+        args.authors.push(...argv[++i].split(',').map(author => author.trim()).filter(Boolean));
+        break;
+      case '--list':
+        args.listId = argv[++i];
+        break;
+      case '--config':
+        args.includeConfig = true;
+        break;
+      case '--no-config':
+        args.includeConfig = false;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  // Export includes config unless --no-config; import only with --config
+  args.includeConfig = args.command === 'export' ? args.includeConfig !== false : args.includeConfig === true;
+  return args;
+}
+
+function printUsage() {
+  console.error('Usage:');
+  console.error('  node scripts/archive.js export [--out <file>] [--since <date>] [--until <date>] [--author <name,...>] [--list <id>] [--no-config]');
+  console.error('  node scripts/archive.js import [--in <file>] [--config]');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command !== 'export' && args.command !== 'import') {
+    printUsage();
+    process.exitCode = 1;
+    return;
+  }
+
+  // Logs go to stderr so an export on stdout stays valid NDJSON
+  console.log = (...messages) => console.error(...messages);
+
+  const database = new Database();
+  await database.ready;
+
+  try {
+    if (args.command === 'export') {
+      const output = args.file ? fs.createWriteStream(args.file) : process.stdout;
+      const counts = await database.exportArchive(output, args);
+      if (args.file) {
+        output.end();
+        await once(output, 'finish');
+      }
+      console.error(`✅ Exported ${counts.tweets} tweets and ${counts.config} config entries`);
+    } else {
+      const input = args.file ? fs.createReadStream(args.file) : process.stdin;
+      const result = await database.importArchive(input, args);
+      const { inserted, updated, unchanged } = result.tweets;
+      console.error(`✅ Imported tweets: ${inserted} inserted, ${updated} updated, ${unchanged} unchanged; ${result.config} config entries`);
+      if (result.skipped > 0) {
+        console.error(`⚠️  Skipped ${result.skipped} line(s):`);
+        result.errors.forEach(({ line, error }) => console.error(`  line ${line}: ${error}`));
+      }
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
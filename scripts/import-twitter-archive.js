@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Import tweets from a Twitter/X "Download your archive" export
+ *
+ * Usage:
+ *   node scripts/import-twitter-archive.js <archive> [--list <id>]
+ *                                          [--user-id <id>] [--username <name>] [--name <display name>]
+ *
+ * <archive> is the unzipped archive folder, its data/ folder or data/tweets.js.
+ * The author comes from data/account.js unless given explicitly. With --list
+ * the tweets are also added to that list's feeds.
+ *
+ * Imported tweets never overwrite tweets already fetched through the API, and
+ * maintenance leaves them alone: RETENTION_DAYS and the RETENTION_MAX_TWEETS*
+ * caps only delete them when RETENTION_INCLUDE_ARCHIVE=true.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const Database = require(path.join(__dirname, '..', 'src', 'database'));
+const TwitterArchiveImporter = require(path.join(__dirname, '..', 'src', 'twitterArchiveImporter'));
+
+function parseArgs(argv) {
+  const args = { archivePath: null, listId: null, userId: null, username: null, name: null };
+  const options = { '--list': 'listId', '--user-id': 'userId', '--username': 'username', '--name': 'name' };
+  for (let i = 0; i < argv.length; i++) {
+    if (options[argv[i]]) {
+      args[options[argv[i]]] = argv[++i];
+    } else if (!args.archivePath && !argv[i].startsWith('--')) {
+      args.archivePath = argv[i];
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.archivePath) {
+    console.error('Usage: node scripts/import-twitter-archive.js <archive> [--list <id>] [--user-id <id>] [--username <name>] [--name <display name>]');
+    console.error('Imported tweets are kept by maintenance unless RETENTION_INCLUDE_ARCHIVE=true.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const database = new Database();
+  await database.ready;
+
+  try {
+    const counts = await new TwitterArchiveImporter(database).importArchive(args.archivePath, args);
+    console.log(`✅ Archive imported: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged`);
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Apply or preview database schema migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js             Apply pending migrations
+ *   node scripts/migrate.js --dry-run   Print pending migrations without applying them
+ *   node scripts/migrate.js --db <path> Use a database other than the default
+ *
+ * DATABASE_URL, when set, is the default target; --db also accepts postgres:// URLs.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Database = require(path.join(__dirname, '..', 'src', 'database'));
+const Migrator = require(path.join(__dirname, '..', 'src', 'migrator'));
+const { createStorageDriver, getDatabaseTarget, PostgresDriver } = require(path.join(__dirname, '..', 'src', 'storage'));
+
+function parseArgs(argv) {
+  const args = { dryRun: false, dbPath: getDatabaseTarget(Database.getDefaultPath()) };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--db') {
+      args.dbPath = argv[++i];
+    }
+  }
+  return args;
+}
+
+function printMigrations(migrations) {
+  migrations.forEach(({ version, name, description }) => {
+    console.log(`  ${String(version).padStart(3, '0')}_${name}  ${description}`);
+  });
+}
+
+async function main() {
+  const { dryRun, dbPath } = parseArgs(process.argv.slice(2));
+  const db = createStorageDriver(dbPath, { readonly: dryRun });
+  const isPostgres = PostgresDriver.isConnectionString(dbPath);
+  console.log(`🗄️  Database: ${db.describe()}`);
+
+  // A dry run never creates the database file
+  if (dryRun && !isPostgres && !fs.existsSync(dbPath)) {
+    const migrations = Migrator.loadMigrations();
+    console.log(`Database does not exist yet; ${migrations.length} migration(s) would be applied:`);
+    printMigrations(migrations);
+    return;
+  }
+
+  if (!isPostgres) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+  await db.open();
+
+  try {
+    const migrator = new Migrator(db);
+    const result = await migrator.migrate({ dryRun });
+
+    if (dryRun) {
+      console.log(`Current schema version: ${result.fromVersion} (latest: ${migrator.latestVersion})`);
+      if (result.pending.length === 0) {
+        console.log('✅ No pending migrations');
+      } else {
+        console.log(`${result.pending.length} pending migration(s):`);
+        printMigrations(result.pending);
+      }
+    } else if (result.applied.length === 0) {
+      console.log(`✅ Schema already at version ${result.fromVersion}`);
+    } else {
+      console.log(`✅ Migrated from version ${result.fromVersion} to ${result.toVersion}:`);
+      printMigrations(result.applied);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,243 @@
+/**
+ * Activity Model
+ * Learns when a list is busy: a histogram of stored tweets by hour of the
+ * week (in the list's timezone), persisted in config. The scheduler uses it
+ * to plan fetches — often in historically busy hours, rarely in quiet ones —
+ * and never schedules a fetch inside the configured quiet hours.
+ */
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HOURS_PER_WEEK = 168;
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+// Resolution used when walking forward through the histogram
+const STEP_MINUTES = 15;
+
+function invalidSetting(message) {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+}
+
+class ActivityModel {
+  /**
+   * Options: listId, timeZone (IANA name), quietHours ("22-6"), lookbackDays,
+   * minSamples (tweets needed before the histogram is trusted),
+   * targetTweets (expected new tweets per fetch), refreshHours
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.listId = options.listId || null;
+    this.timeZone = ActivityModel.validateTimeZone(options.timeZone || 'UTC');
+    this.quietHours = ActivityModel.parseQuietHours(options.quietHours);
+    this.lookbackDays = options.lookbackDays || 28;
+    this.minSamples = options.minSamples || 50;
+    this.targetTweets = options.targetTweets || 5;
+    this.refreshHours = options.refreshHours || 6;
+    this.histogram = null; // { buckets, weeks, sampleSize, timeZone, builtAt }
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      weekday: 'short',
+      hour: 'numeric',
+      hourCycle: 'h23'
+    });
+  }
+
+  /**
+   * Settings from per-list configuration, falling back to the environment
+   */
+  static fromEnv(database, list, env = process.env) {
+    return new ActivityModel(database, {
+      listId: list.id,
+      timeZone: list.timezone || env.SCHEDULE_TIMEZONE,
+      quietHours: list.quietHours || env.QUIET_HOURS,
+      lookbackDays: parseInt(env.ACTIVITY_LOOKBACK_DAYS),
+      minSamples: parseInt(env.ACTIVITY_MIN_SAMPLES),
+      targetTweets: parseFloat(env.ACTIVITY_TARGET_TWEETS)
+    });
+  }
+
+  static validateTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (error) {
+      throw invalidSetting(`Invalid timezone: ${timeZone}`);
+    }
+    return timeZone;
+  }
+
+  /**
+   * "22-6" or "22:00-06:00" -> { start: 22, end: 6 }; the end hour is not quiet
+   */
+  static parseQuietHours(value) {
+    if (!value) {
+      return null;
+    }
+    const match = String(value).trim().match(/^(\d{1,2})(?::00)?\s*-\s*(\d{1,2})(?::00)?$/);
+    const start = match ? parseInt(match[1]) : NaN;
+    const end = match ? parseInt(match[2]) : NaN;
+    if (!(start >= 0 && start < 24 && end >= 0 && end < 24) || start === end) {
+      throw invalidSetting(`Invalid quiet hours "${value}", expected e.g. "22-6"`);
+    }
+    return { start, end };
+  }
+
+  configKey() {
+    return this.listId ? `activity_histogram:${this.listId}` : 'activity_histogram';
+  }
+
+  /**
+   * Local { day, hour, index } of a date; index is the hour of the week (0 = Sunday 00:00)
+   */
+  localHour(date) {
+    const parts = Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+    const day = DAY_NAMES.indexOf(parts.weekday);
+    const hour = parseInt(parts.hour) % 24;
+    return { day, hour, index: day * 24 + hour };
+  }
+
+  isQuietHour(hour) {
+    if (!this.quietHours) {
+      return false;
+    }
+    const { start, end } = this.quietHours;
+    return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+  }
+
+  isQuiet(date) {
+    return this.isQuietHour(this.localHour(date).hour);
+  }
+
+  /**
+   * Move a planned run out of the quiet hours, to the first step after they end
+   */
+  nextAllowedTime(date) {
+    let time = new Date(date);
+    for (let i = 0; i < 24 * 60 / STEP_MINUTES && this.isQuiet(time); i++) {
+      time = new Date(time.getTime() + STEP_MINUTES * 60 * 1000);
+    }
+    return time;
+  }
+
+  get enabled() {
+    return !!this.histogram && this.histogram.sampleSize >= this.minSamples;
+  }
+
+  /**
+   * Average tweets per hour seen in the given hour of the week
+   */
+  rateAt(date) {
+    if (!this.histogram) {
+      return 0;
+    }
+    return this.histogram.buckets[this.localHour(date).index] / this.histogram.weeks;
+  }
+
+  /**
+   * Load the stored histogram, rebuilding it from the tweets when missing,
+   * stale or built for another timezone
+   */
+  async refresh(now = new Date()) {
+    if (!this.histogram) {
+      const stored = await this.database.getConfig(this.configKey());
+      try {
+        this.histogram = stored ? JSON.parse(stored) : null;
+      } catch (error) {
+        this.histogram = null;
+      }
+    }
+
+    const stale = !this.histogram ||
+      this.histogram.timeZone !== this.timeZone ||
+      now - new Date(this.histogram.builtAt) >= this.refreshHours * HOUR_MS;
+    if (stale) {
+      await this.build(now);
+    }
+    return this.histogram;
+  }
+
+  async build(now = new Date()) {
+    const since = new Date(now.getTime() - this.lookbackDays * 24 * HOUR_MS);
+    const timestamps = await this.database.getTweetTimestamps(since.toISOString(), this.listId);
+
+    const buckets = new Array(HOURS_PER_WEEK).fill(0);
+    let oldest = now;
+    timestamps.forEach(timestamp => {
+      const date = new Date(timestamp);
+      if (isNaN(date.getTime())) {
+        return;
+      }
+      buckets[this.localHour(date).index]++;
+      if (date < oldest) {
+        oldest = date;
+      }
+    });
+
+    this.histogram = {
+      buckets,
+      // Short histories are averaged over what was actually observed
+      weeks: Math.max((now - oldest) / WEEK_MS, 1),
+      sampleSize: timestamps.length,
+      timeZone: this.timeZone,
+      builtAt: now.toISOString()
+    };
+    await this.database.setConfig(this.configKey(), JSON.stringify(this.histogram));
+    return this.histogram;
+  }
+
+  /**
+   * Minutes until about targetTweets new tweets are expected, walking forward
+   * through the histogram; bounded by the scheduler's min and max interval
+   */
+  planDelay(now, minInterval, maxInterval) {
+    let expected = 0;
+    let elapsed = 0;
+    while (elapsed < maxInterval && expected < this.targetTweets) {
+      const time = new Date(now.getTime() + elapsed * 60 * 1000);
+      expected += this.rateAt(time) * STEP_MINUTES / 60;
+      elapsed += STEP_MINUTES;
+    }
+    return Math.min(Math.max(elapsed, minInterval), maxInterval);
+  }
+
+  /**
+   * Interval the model would pick at the start of each local hour, plus the busiest hours
+   */
+  getStatus(minInterval, maxInterval) {
+    const status = {
+      enabled: this.enabled,
+      timeZone: this.timeZone,
+      quietHours: this.quietHours ? `${this.quietHours.start}-${this.quietHours.end}` : null,
+      sampleSize: this.histogram ? this.histogram.sampleSize : 0,
+      minSamples: this.minSamples,
+      builtAt: this.histogram ? this.histogram.builtAt : null,
+      busiestHours: [],
+      schedule: null
+    };
+    if (!this.histogram) {
+      return status;
+    }
+
+    const rates = this.histogram.buckets.map(count => count / this.histogram.weeks);
+    status.busiestHours = rates
+      .map((rate, index) => ({ day: DAY_NAMES[Math.floor(index / 24)], hour: index % 24, tweetsPerHour: Number(rate.toFixed(2)) }))
+      .filter(entry => entry.tweetsPerHour > 0)
+      .sort((a, b) => b.tweetsPerHour - a.tweetsPerHour)
+      .slice(0, 5);
+
+    // Steady-state interval per hour slot; null marks quiet hours
+    status.schedule = Object.fromEntries(DAY_NAMES.map((day, dayIndex) => [
+      day,
+      rates.slice(dayIndex * 24, dayIndex * 24 + 24).map((rate, hour) => {
+        if (this.isQuietHour(hour)) {
+          return null;
+        }
+        const minutes = rate > 0 ? (this.targetTweets / rate) * 60 : maxInterval;
+        return Math.round(Math.min(Math.max(minutes, minInterval), maxInterval));
+      })
+    ]));
+    return status;
+  }
+}
+
+module.exports = ActivityModel;
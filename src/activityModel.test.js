@@ -0,0 +1,108 @@
+const ActivityModel = require('./activityModel');
+
+const NOW = new Date('2025-07-01T00:00:00Z'); // Monday 20:00 in New York
+
+// Four weeks of weekday bursts at 09:00-09:30 New York time (13:00Z in summer)
+function marketOpenTimestamps() {
+  const timestamps = [];
+  for (let day = 1; day <= 28; day++) {
+    const date = new Date(NOW.getTime() - day * 24 * 60 * 60 * 1000);
+    if (date.getUTCDay() === 0 || date.getUTCDay() === 6) {
+      continue;
+    }
+    for (let minute = 0; minute < 30; minute++) {
+      date.setUTCHours(13, minute);
+      timestamps.push(date.toISOString());
+    }
+  }
+  return timestamps;
+}
+
+function createDatabase(timestamps = marketOpenTimestamps()) {
+  const config = {};
+  return {
+    config,
+    getConfig: jest.fn(async key => config[key] || null),
+    setConfig: jest.fn(async (key, value) => { config[key] = value; }),
+    getTweetTimestamps: jest.fn(async () => timestamps),
+  };
+}
+
+describe('ActivityModel', () => {
+  it('should parse quiet hours and reject invalid settings', () => {
+    expect(ActivityModel.parseQuietHours('22-6')).toEqual({ start: 22, end: 6 });
+    expect(ActivityModel.parseQuietHours('01:00-06:00')).toEqual({ start: 1, end: 6 });
+    expect(ActivityModel.parseQuietHours('')).toBeNull();
+    ['25-3', '5-5', 'night'].forEach(value => {
+      expect(() => ActivityModel.parseQuietHours(value)).toThrow('Invalid quiet hours');
+    });
+    expect(() => new ActivityModel(createDatabase(), { timeZone: 'Mars/Olympus' })).toThrow('Invalid timezone: Mars/Olympus');
+  });
+
+  it('should bucket timestamps by local hour of the week', () => {
+    const model = new ActivityModel(createDatabase(), { timeZone: 'America/New_York' });
+
+    expect(model.localHour(new Date('2025-07-01T13:30:00Z'))).toEqual({ day: 2, hour: 9, index: 57 });
+    expect(model.localHour(new Date('2025-07-06T03:00:00Z'))).toEqual({ day: 6, hour: 23, index: 167 });
+  });
+
+  it('should persist the histogram and reuse it until it is stale', async () => {
+    const database = createDatabase();
+    const model = new ActivityModel(database, { listId: 'markets', timeZone: 'America/New_York' });
+
+    await model.refresh(NOW);
+    expect(model.enabled).toBe(true);
+    expect(model.histogram.sampleSize).toBe(600);
+    expect(JSON.parse(database.config['activity_histogram:markets']).buckets[57]).toBe(120);
+
+    const restored = new ActivityModel(database, { listId: 'markets', timeZone: 'America/New_York' });
+    await restored.refresh(new Date(NOW.getTime() + 60 * 60 * 1000));
+    expect(database.getTweetTimestamps).toHaveBeenCalledTimes(1);
+    expect(restored.histogram).toEqual(model.histogram);
+
+    // A different timezone invalidates the stored buckets
+    const moved = new ActivityModel(database, { listId: 'markets', timeZone: 'Europe/London' });
+    await moved.refresh(NOW);
+    expect(database.getTweetTimestamps).toHaveBeenCalledTimes(2);
+    expect(moved.histogram.buckets[2 * 24 + 14]).toBe(120);
+  });
+
+  it('should plan short delays in busy hours and long ones in quiet hours', async () => {
+    const model = new ActivityModel(createDatabase(), { timeZone: 'America/New_York' });
+    await model.build(NOW);
+
+    expect(model.planDelay(new Date('2025-07-01T13:00:00Z'), 15, 240)).toBe(15);
+    expect(model.planDelay(new Date('2025-07-01T06:00:00Z'), 15, 240)).toBe(240);
+    // Waits through the quiet morning until the opening burst is expected
+    expect(model.planDelay(new Date('2025-07-01T11:00:00Z'), 15, 240)).toBe(135);
+  });
+
+  it('should stay disabled until enough tweets are stored', async () => {
+    const model = new ActivityModel(createDatabase(marketOpenTimestamps().slice(0, 20)), { minSamples: 50 });
+    await model.refresh(NOW);
+
+    expect(model.enabled).toBe(false);
+  });
+
+  it('should move runs out of quiet hours, including ones across midnight', () => {
+    const model = new ActivityModel(createDatabase(), { timeZone: 'America/New_York', quietHours: '20-7' });
+
+    expect(model.isQuiet(new Date('2025-07-01T01:00:00Z'))).toBe(true);
+    expect(model.nextAllowedTime(new Date('2025-07-01T01:10:00Z'))).toEqual(new Date('2025-07-01T11:10:00Z'));
+    expect(model.nextAllowedTime(new Date('2025-07-01T15:00:00Z'))).toEqual(new Date('2025-07-01T15:00:00Z'));
+  });
+
+  it('should expose the learned schedule', async () => {
+    const model = new ActivityModel(createDatabase(), { timeZone: 'America/New_York', quietHours: '20-7' });
+    await model.build(NOW);
+
+    const status = model.getStatus(15, 240);
+
+    expect(status).toEqual(expect.objectContaining({ enabled: true, timeZone: 'America/New_York', quietHours: '20-7', sampleSize: 600 }));
+    expect(status.busiestHours[0]).toEqual(expect.objectContaining({ hour: 9 }));
+    expect(status.schedule.Tue[9]).toBe(15);
+    expect(status.schedule.Tue[12]).toBe(240);
+    expect(status.schedule.Tue[3]).toBeNull();
+    expect(status.schedule.Sun[9]).toBe(240);
+  });
+});
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 
@@ -39,9 +40,20 @@ class Logger {
 }
 
 const Database = require('./database');
-const TwitterService = require('./twitterService');
+const CredentialPool = require('./credentialPool');
 const RSSService = require('./rssService');
+const AtomService = require('./atomService');
+const JsonFeedService = require('./jsonFeedService');
+const FilterEngine = require('./filterEngine');
 const AdaptiveScheduler = require('./scheduler');
+const ActivityModel = require('./activityModel');
+const ListRegistry = require('./listRegistry');
+const MaintenanceService = require('./maintenanceService');
+const QuotaLedger = require('./quotaLedger');
+const TierProfile = require('./tierProfile');
+const SingleFlight = require('./singleFlight');
+const CircuitBreaker = require('./circuitBreaker');
+const { createTweetSource, resolveSourceName, getFixtureDir } = require('./sources');
 
 class TwitterListRSS {
   constructor() {
@@ -51,11 +63,21 @@ class TwitterListRSS {
     this.database = new Database();
     this.twitterService = null;
     this.rssService = null;
-    this.scheduler = null;
-    this.cachedRSSFeed = null;
-    this.listInfo = null;
+    this.atomService = null;
+    this.jsonFeedService = null;
+    this.listRegistry = new ListRegistry();
+    this.filterEngine = new FilterEngine();
+    this.maintenanceService = null;
+    this.quotaLedger = null;
+    this.tierProfile = null;
+    this.flights = new SingleFlight(); // in-flight fetches and renders shared by concurrent callers
+    // Persistent API failures pause fetching; feeds keep serving stored tweets
+    this.circuitBreaker = CircuitBreaker.fromEnv(this.database, process.env, {
+      // Feeds carry a diagnostic item while a circuit is open
+      onStateChange: () => this.listRegistry.all().forEach(list => this.invalidateFeedCache(list))
+    });
+    this.initError = null; // set when initialization failed; the server stays up degraded
     this.isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
-    this.lastCacheUpdate = null;
     this.cacheTimeout = parseInt(process.env.RSS_CACHE_TTL) || 300; // 5 minutes default
     
     Logger.info('APP', 'Deployment mode detected', { 
@@ -64,7 +86,7 @@ class TwitterListRSS {
     });
     
     this.setupRoutes();
-    this.initializeServices();
+    this.initialized = this.initializeServices(); // never rejects: failures set initError
   }
 
   async initializeServices() {
@@ -72,56 +94,68 @@ class TwitterListRSS {
     Logger.info('APP', 'Starting service initialization');
     
     try {
+      // The API tier drives rate limits, the monthly cap and default intervals
+      this.tierProfile = TierProfile.fromEnv();
+      Logger.info('APP', 'API tier profile selected', {
+        tier: this.tierProfile.name,
+        source: process.env.API_TIER ? 'API_TIER' : 'default',
+        monthlyPostCap: this.tierProfile.monthlyPostCap
+      });
+
+      // Load the configured lists before validating the rest of the configuration
+      this.listRegistry = ListRegistry.fromEnv(process.env, this.tierProfile);
+      this.filterEngine = FilterEngine.fromEnv();
+      this.maintenanceService = MaintenanceService.fromEnv(this.database, this.listRegistry);
+      this.quotaLedger = QuotaLedger.fromEnv(this.database, this.listRegistry, process.env, this.tierProfile);
+
       // Validate required environment variables
       Logger.debug('APP', 'Validating configuration');
       this.validateConfig();
       Logger.info('APP', 'Configuration validation successful');
       
-      // Initialize Twitter service
+      // Initialize Twitter service: a pool of every configured credential,
+      // each with its own rate limit windows
       Logger.info('TWITTER', 'Initializing Twitter service');
+      this.twitterService = CredentialPool.fromEnv(process.env, {
+        credentials: this.getCredentials(),
+        createSource: credentials => createTweetSource(credentials, { profile: this.tierProfile }),
+        database: this.database,
+        profile: this.tierProfile,
+        privateLists: this.listRegistry.all().filter(list => list.private).map(list => list.id)
+      });
       
-      // Determine authentication method based on available credentials
-      let twitterCredentials;
-      if (process.env.TWITTER_ACCESS_TOKEN && process.env.TWITTER_ACCESS_SECRET && 
-          process.env.TWITTER_API_KEY && process.env.TWITTER_API_SECRET) {
-        // User Context authentication (for private lists)
-        Logger.info('TWITTER', 'Using User Context authentication for private list access');
-        twitterCredentials = {
-          appKey: process.env.TWITTER_API_KEY,
-          appSecret: process.env.TWITTER_API_SECRET,
-          accessToken: process.env.TWITTER_ACCESS_TOKEN,
-          accessSecret: process.env.TWITTER_ACCESS_SECRET
-        };
-      } else if (process.env.TWITTER_BEARER_TOKEN) {
-        // Bearer Token authentication (for public lists only)
-        Logger.info('TWITTER', 'Using Bearer Token authentication for public list access');
-        twitterCredentials = process.env.TWITTER_BEARER_TOKEN;
-      } else {
-        throw new Error('No valid Twitter API credentials found. Need either Bearer Token or OAuth 1.0a credentials.');
-      }
-      
-      this.twitterService = new TwitterService(twitterCredentials);
-      
-      // Verify Twitter API credentials
+      // Verify Twitter API credentials; failing ones are quarantined. Rejected
+      // credentials open the auth circuit instead of stopping the service.
       Logger.info('TWITTER', 'Verifying API credentials');
-      const isValid = await this.twitterService.verifyCredentials();
-      if (!isValid) {
-        throw new Error('Invalid Twitter API credentials');
-      }
-      Logger.info('TWITTER', 'API credentials verified successfully');
-
-      // Get list information
-      Logger.info('TWITTER', 'Fetching list information', { listId: process.env.TWITTER_LIST_ID });
-      this.listInfo = await this.twitterService.getListInfo(process.env.TWITTER_LIST_ID);
-      if (this.listInfo) {
-        Logger.info('TWITTER', 'List information retrieved', {
-          name: this.listInfo.name,
-          memberCount: this.listInfo.member_count,
-          followerCount: this.listInfo.follower_count || 'N/A'
+      await this.circuitBreaker.ready;
+      const gate = this.circuitBreaker.check();
+      if (!gate.allowed) {
+        Logger.warn('TWITTER', 'Circuit open, skipping credential verification', {
+          circuit: gate.circuit.key,
+          retryAt: gate.circuit.retryAt
         });
+      } else if (await this.twitterService.verifyCredentials()) {
+        this.circuitBreaker.recordSuccess();
+        Logger.info('TWITTER', 'API credentials verified successfully');
       } else {
-        Logger.warn('TWITTER', 'Could not retrieve list information');
+        this.circuitBreaker.recordFailure(Object.assign(new Error('Invalid Twitter API credentials'), { code: 401 }));
+        Logger.error('TWITTER', 'API credentials rejected, serving stored tweets until they work again');
+      }
+
+      // Tweets stored before list tracking belong to the original single list
+      await this.database.ready;
+      await this.database.assignUnlistedTweets(this.listRegistry.getDefault().id);
+
+      if (process.env.CLEANUP_ON_START === 'true') {
+        Logger.info('MAINTENANCE', 'Running maintenance on start');
+        await this.maintenanceService.run();
+      }
+
+      // Get list information for every configured list
+      for (const list of this.listRegistry.all()) {
+        await this.loadListInfo(list);
       }
+      this.logTierProfileCheck();
 
       // Initialize RSS service
       Logger.info('RSS', 'Initializing RSS service');
@@ -131,86 +165,258 @@ class TwitterListRSS {
         feedUrl: process.env.RSS_FEED_URL,
         siteUrl: process.env.RSS_SITE_URL
       });
+      this.atomService = new AtomService(this.rssService);
+      this.jsonFeedService = new JsonFeedService(this.rssService);
       Logger.info('RSS', 'RSS service initialized');
 
-      // Only initialize scheduler for non-serverless environments
+      // Only initialize schedulers for non-serverless environments
       if (!this.isServerless) {
-        const minInterval = parseInt(process.env.MIN_UPDATE_INTERVAL) || 60;
-        const maxInterval = parseInt(process.env.MAX_UPDATE_INTERVAL) || 480;
-        
-        Logger.info('SCHEDULER', 'Initializing adaptive scheduler', {
-          minInterval,
-          maxInterval
-        });
-        
-        this.scheduler = new AdaptiveScheduler(
-          this.database,
-          this.twitterService,
-          minInterval,
-          maxInterval
-        );
-
-        // Start the scheduler
-        Logger.info('SCHEDULER', 'Starting scheduler');
-        this.scheduler.start(this.fetchAndUpdateFeed.bind(this));
+        for (const list of this.listRegistry.all()) {
+          Logger.info('SCHEDULER', 'Initializing adaptive scheduler', {
+            listId: list.id,
+            minInterval: list.minInterval,
+            maxInterval: list.maxInterval
+          });
+          
+          list.scheduler = new AdaptiveScheduler(
+            this.database,
+            this.twitterService,
+            list.minInterval,
+            list.maxInterval,
+            list.id,
+            {
+              jitter: this.getSchedulerJitter(),
+              activityModel: ActivityModel.fromEnv(this.database, list),
+              quotaLedger: this.quotaLedger,
+              // State stored before lists were tracked belongs to the original list
+              legacyState: list === this.listRegistry.getDefault()
+            }
+          );
+
+          // Start the scheduler
+          Logger.info('SCHEDULER', 'Starting scheduler', { listId: list.id });
+          list.scheduler.start(async () => {
+            const result = await this.fetchAndUpdateFeed(list.id);
+            await this.runMaintenanceIfDue();
+            return result;
+          });
+        }
       } else {
         Logger.info('APP', 'Skipping scheduler initialization (serverless mode)');
       }
 
-      // Generate initial RSS feed
-      Logger.info('RSS', 'Generating initial RSS feed');
-      await this.generateRSSFeed();
+      // Generate initial RSS feeds
+      Logger.info('RSS', 'Generating initial RSS feeds', { listCount: this.listRegistry.size });
+      for (const list of this.listRegistry.all()) {
+        await this.generateFeed(list.id, 'rss');
+      }
 
       const duration = Date.now() - startTime;
       Logger.performance('APP', 'Service initialization', duration, {
         mode: this.isServerless ? 'serverless' : 'server',
-        schedulerEnabled: !this.isServerless
+        schedulerEnabled: !this.isServerless,
+        listCount: this.listRegistry.size
       });
 
     } catch (error) {
       const duration = Date.now() - startTime;
-      Logger.error('APP', 'Service initialization failed', {
+      Logger.error('APP', 'Service initialization failed, running degraded', {
         error: error.message,
         stack: error.stack,
         duration_ms: duration
       });
-      
-      if (!this.isServerless) {
-        process.exit(1);
-      }
-      throw error;
+      // Stay up: /health and /status report the failure, feeds serve what they can
+      this.initError = { message: error.message, at: new Date().toISOString() };
     }
   }
 
+  /**
+   * Startup cross-check of the tier profile against the rate limit headers of
+   * the first requests (credential verification, list lookups)
+   */
+  logTierProfileCheck() {
+    const check = this.twitterService.checkTierProfile();
+    if (check.mismatches.length > 0) {
+      Logger.warn('TWITTER', 'Rate limit headers contradict the API tier profile; check API_TIER', check);
+    } else if (check.checked.length > 0) {
+      Logger.info('TWITTER', 'Rate limit headers match the API tier profile', check);
+    } else {
+      Logger.debug('TWITTER', 'No rate limit headers seen yet to check the API tier profile', { tier: check.tier });
+    }
+  }
+
+  /**
+   * SCHEDULER_JITTER: fraction of each interval randomly added or removed (0-0.5)
+   */
+  getSchedulerJitter() {
+    const jitter = parseFloat(process.env.SCHEDULER_JITTER);
+    return isNaN(jitter) ? undefined : Math.min(Math.max(jitter, 0), 0.5);
+  }
+
+  /**
+   * The configured credentials. Replaying fixtures needs none, so a
+   * placeholder user-context credential stands in when none are set.
+   */
+  getCredentials() {
+    const credentials = CredentialPool.parseCredentials(process.env);
+    if (resolveSourceName(process.env.TWEET_SOURCE) === 'fixture' && credentials.length === 0) {
+      return [{ id: 'fixture', appKey: 'fixture', appSecret: 'fixture', accessToken: 'fixture', accessSecret: 'fixture' }];
+    }
+    return credentials;
+  }
+
   validateConfig() {
-    // Always require TWITTER_LIST_ID
-    if (!process.env.TWITTER_LIST_ID) {
-      throw new Error('Missing required environment variable: TWITTER_LIST_ID');
+    // Always require at least one list
+    if (this.listRegistry.size === 0) {
+      throw new Error('Missing required environment variable: TWITTER_LIST_ID (or TWITTER_LIST_IDS / TWITTER_LISTS)');
     }
     
-    // Check for either Bearer Token OR OAuth 1.0a credentials
-    const hasBearerToken = !!process.env.TWITTER_BEARER_TOKEN;
-    const hasOAuthCredentials = !!(
-      process.env.TWITTER_API_KEY && 
-      process.env.TWITTER_API_SECRET && 
-      process.env.TWITTER_ACCESS_TOKEN && 
-      process.env.TWITTER_ACCESS_SECRET
-    );
-    
-    if (!hasBearerToken && !hasOAuthCredentials) {
-      throw new Error(`Missing Twitter API credentials. You need either:
+    // Check for Bearer Tokens and/or OAuth 1.0a credentials
+    const source = resolveSourceName(process.env.TWEET_SOURCE);
+    if (source !== 'api') {
+      Logger.info('APP', 'Tweet source selected', { source, fixtureDir: getFixtureDir() });
+    }
+    const credentials = this.getCredentials();
+    if (credentials.length === 0) {
+      throw new Error(`Missing Twitter API credentials. You need at least one of:
 1. TWITTER_BEARER_TOKEN (for public lists), OR
 2. All OAuth 1.0a credentials for private lists:
    - TWITTER_API_KEY
    - TWITTER_API_SECRET  
    - TWITTER_ACCESS_TOKEN
-   - TWITTER_ACCESS_SECRET`);
+   - TWITTER_ACCESS_SECRET
+3. TWITTER_CREDENTIALS (JSON array of several of the above)`);
     }
     
+    const canAccessPrivateLists = credentials.some(credential => !credential.bearerToken);
     Logger.info('APP', 'Authentication method determined', {
-      method: hasBearerToken ? (hasOAuthCredentials ? 'OAuth (preferred for private lists)' : 'Bearer Token (public lists only)') : 'OAuth (private lists)',
-      canAccessPrivateLists: hasOAuthCredentials
+      credentials: credentials.map(credential => ({ id: credential.id, authType: credential.bearerToken ? 'app-only' : 'user-context' })),
+      canAccessPrivateLists
     });
+    const privateLists = this.listRegistry.all().filter(list => list.private);
+    if (privateLists.length > 0 && !canAccessPrivateLists) {
+      throw new Error(`Private lists need user-context (OAuth 1.0a) credentials: ${privateLists.map(list => list.id).join(', ')}`);
+    }
+
+    Logger.info('APP', 'Configured lists', { listIds: this.listRegistry.ids() });
+  }
+
+  /**
+   * Load list metadata, preferring the copy stored in the database so that
+   * restarts do not spend the /2/lists/:id budget once per list
+   */
+  async loadListInfo(list) {
+    const configKey = `list_info:${list.id}`;
+    const storedInfo = await this.database.getConfig(configKey);
+
+    if (storedInfo) {
+      try {
+        list.listInfo = JSON.parse(storedInfo);
+        if (list.listInfo.private) {
+          this.twitterService.setListPrivacy(list.id, true);
+        }
+        Logger.info('TWITTER', 'List information loaded from database', {
+          listId: list.id,
+          name: list.listInfo.name
+        });
+        return list.listInfo;
+      } catch (error) {
+        Logger.warn('TWITTER', 'Stored list information is invalid, refetching', {
+          listId: list.id,
+          error: error.message
+        });
+      }
+    }
+
+    const blocking = this.circuitBreaker.getBlockingCircuit(list.id);
+    if (blocking) {
+      Logger.warn('TWITTER', 'Circuit open, skipping list information fetch', { listId: list.id, circuit: blocking.key });
+      return list.listInfo;
+    }
+
+    Logger.info('TWITTER', 'Fetching list information', { listId: list.id });
+    list.listInfo = await this.twitterService.getListInfo(list.id);
+    if (list.listInfo) {
+      Logger.info('TWITTER', 'List information retrieved', {
+        listId: list.id,
+        name: list.listInfo.name,
+        memberCount: list.listInfo.member_count,
+        followerCount: list.listInfo.follower_count || 'N/A'
+      });
+      await this.database.setConfig(configKey, JSON.stringify(list.listInfo));
+    } else {
+      Logger.warn('TWITTER', 'Could not retrieve list information', { listId: list.id });
+    }
+
+    return list.listInfo;
+  }
+
+  /**
+   * Resolve a list from a route parameter, falling back to the default list
+   */
+  resolveList(listId = null) {
+    return listId ? this.listRegistry.get(listId) : this.listRegistry.getDefault();
+  }
+
+  buildUrl(urlPath) {
+    if (!process.env.RSS_SITE_URL) {
+      return undefined;
+    }
+    return `${process.env.RSS_SITE_URL.replace(/\/$/, '')}${urlPath}`;
+  }
+
+  /**
+   * Feed formats served for every list: default-list path, per-list path,
+   * content type and renderer
+   */
+  getFeedFormats() {
+    return {
+      rss: {
+        path: '/rss',
+        contentType: 'application/rss+xml',
+        render: (tweets, list) => this.rssService.generateFeed(tweets, list.listInfo, this.getFeedOptions(list, 'rss'))
+      },
+      atom: {
+        path: '/atom',
+        contentType: 'application/atom+xml',
+        render: (tweets, list) => this.atomService.generateFeed(tweets, list.listInfo, this.getFeedOptions(list, 'atom'))
+      },
+      json: {
+        path: '/feed.json',
+        listPath: '/feed/:listId.json',
+        contentType: 'application/feed+json',
+        render: (tweets, list) => this.jsonFeedService.generateFeed(tweets, list.listInfo, this.getFeedOptions(list, 'json'))
+      }
+    };
+  }
+
+  getFeedPath(format, listId = null) {
+    const feedFormat = this.getFeedFormats()[format];
+    if (!listId) {
+      return feedFormat.path;
+    }
+    return (feedFormat.listPath || `${feedFormat.path}/:listId`).replace(':listId', listId);
+  }
+
+  /**
+   * Per-list feed metadata passed to the feed renderers
+   */
+  getFeedOptions(list, format = 'rss') {
+    const isDefault = list === this.listRegistry.getDefault();
+    const isMultiList = this.listRegistry.size > 1;
+    const selfUrl = format === 'rss' && isDefault && process.env.RSS_FEED_URL
+      ? process.env.RSS_FEED_URL
+      : this.buildUrl(this.getFeedPath(format, isDefault ? null : list.id));
+
+    return {
+      listId: list.id,
+      title: list.title || (isMultiList && list.listInfo ? list.listInfo.name : undefined),
+      description: list.description || undefined,
+      feedUrl: selfUrl,
+      selfUrl,
+      alternateUrl: `https://twitter.com/i/lists/${list.id}`,
+      threadMode: list.threadMode
+    };
   }
 
   setupRoutes() {
@@ -247,57 +453,189 @@ class TwitterListRSS {
       next();
     });
 
-    // RSS feed endpoint
-    this.app.get('/rss', async (req, res) => {
+    // Feed endpoints: /<format> serves the default list, /<format>/:listId any configured list
+    const serveFeed = (format) => async (req, res) => {
       const startTime = Date.now();
-      Logger.info('RSS', 'RSS feed requested', { requestId: req.requestId });
+      const list = this.resolveList(req.params.listId);
+      Logger.info('RSS', 'Feed requested', { requestId: req.requestId, format, listId: req.params.listId || 'default' });
+
+      if (!list) {
+        Logger.warn('RSS', 'Unknown list requested', { requestId: req.requestId, listId: req.params.listId });
+        return res.status(404).json({ error: 'List not found' });
+      }
+
+      const unavailable = this.getFeedUnavailableReason();
+      if (unavailable) {
+        Logger.warn('RSS', 'Feed unavailable', { requestId: req.requestId, listId: list.id, format, reason: unavailable });
+        return res.status(503).json({ error: `Feeds are unavailable: ${unavailable}` });
+      }
+
+      let filter;
+      try {
+        filter = this.filterEngine.resolve(list.filters, req.query);
+      } catch (error) {
+        Logger.warn('RSS', 'Invalid feed filter', { requestId: req.requestId, listId: list.id, error: error.message });
+        return res.status(error.code === 400 ? 400 : 500).json({ error: error.message });
+      }
+      const cacheKey = this.getFeedCacheKey(format, filter);
       
       try {
         // Check if cache is still valid
         const now = Date.now();
-        const cacheAge = this.lastCacheUpdate ? (now - this.lastCacheUpdate) / 1000 : Infinity;
+        const cached = cacheKey ? list.feedCache[cacheKey] : null;
+        const cacheAge = cached ? (now - cached.updatedAt) / 1000 : Infinity;
+        let body;
         
         Logger.debug('RSS', 'Cache status check', {
           requestId: req.requestId,
+          listId: list.id,
+          format,
           cacheAge: Math.round(cacheAge),
           cacheTimeout: this.cacheTimeout,
           isExpired: cacheAge > this.cacheTimeout
         });
         
-        if (!this.cachedRSSFeed || cacheAge > this.cacheTimeout) {
-          Logger.info('RSS', 'Cache miss or expired, generating fresh feed', { requestId: req.requestId });
-          
-          // In serverless, always fetch fresh data
-          if (this.isServerless) {
-            Logger.info('RSS', 'Serverless mode: fetching fresh data', { requestId: req.requestId });
-            await this.fetchAndUpdateFeed();
-          }
-          await this.generateRSSFeed();
+        let cacheStatus = 'HIT';
+        if (!cached) {
+          Logger.info('RSS', 'Cache miss, generating fresh feed', { requestId: req.requestId, listId: list.id, format });
+          body = await this.refreshFeed(list, format, filter, req.requestId);
+          cacheStatus = 'MISS';
+        } else if (cacheAge > this.cacheTimeout && this.isServerless) {
+          // Work after the response may never run on serverless platforms, so refresh first
+          Logger.info('RSS', 'Cache expired, refreshing before responding (serverless)', { requestId: req.requestId, listId: list.id, format, cacheAge: Math.round(cacheAge) });
+          body = await this.refreshFeed(list, format, filter, req.requestId);
+          cacheStatus = 'MISS';
+        } else if (cacheAge > this.cacheTimeout) {
+          // Stale-while-revalidate: answer now, refresh for the next reader
+          Logger.info('RSS', 'Serving stale feed while refreshing', { requestId: req.requestId, listId: list.id, format, cacheAge: Math.round(cacheAge) });
+          body = cached.body;
+          cacheStatus = 'STALE';
+          this.refreshFeed(list, format, filter, req.requestId).catch(error => {
+            Logger.error('RSS', 'Background feed refresh failed', { requestId: req.requestId, listId: list.id, format, error: error.message });
+          });
         } else {
-          Logger.info('RSS', 'Serving cached RSS feed', { 
+          Logger.info('RSS', 'Serving cached feed', { 
             requestId: req.requestId,
+            listId: list.id,
+            format,
             cacheAge: Math.round(cacheAge)
           });
+          body = cached.body;
         }
-        
-        res.set('Content-Type', 'application/rss+xml');
-        res.send(this.cachedRSSFeed);
+
+        res.set('Content-Type', this.getFeedFormats()[format].contentType);
+        res.set('X-Cache', cacheStatus);
+        res.send(body);
         
         const duration = Date.now() - startTime;
-        Logger.performance('RSS', 'RSS feed served', duration, {
+        Logger.performance('RSS', 'Feed served', duration, {
           requestId: req.requestId,
-          feedLength: this.cachedRSSFeed?.length || 0
+          listId: list.id,
+          format,
+          feedLength: body?.length || 0
         });
         
       } catch (error) {
         const duration = Date.now() - startTime;
-        Logger.error('RSS', 'Failed to serve RSS feed', {
+        Logger.error('RSS', 'Failed to serve feed', {
           requestId: req.requestId,
+          listId: list.id,
+          format,
           error: error.message,
           stack: error.stack,
           duration_ms: duration
         });
-        res.status(500).json({ error: 'Failed to generate RSS feed' });
+        res.status(500).json({ error: `Failed to generate ${format.toUpperCase()} feed` });
+      }
+    };
+
+    // Archive search; declared before /rss/:listId so "search" is not taken for a list ID
+    this.app.get('/search', async (req, res) => {
+      try {
+        const { query, list, sort, tweets } = await this.searchArchive(req.query);
+        Logger.info('SEARCH', 'Search completed', { requestId: req.requestId, query, listId: list ? list.id : null, count: tweets.length });
+        res.json({ query, listId: list ? list.id : null, sort, count: tweets.length, tweets });
+      } catch (error) {
+        Logger.warn('SEARCH', 'Search failed', { requestId: req.requestId, error: error.message });
+        res.status(error.code || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/rss/search', async (req, res) => {
+      const unavailable = this.getFeedUnavailableReason();
+      if (unavailable) {
+        Logger.warn('SEARCH', 'Search feed unavailable', { requestId: req.requestId, reason: unavailable });
+        return res.status(503).json({ error: `Feeds are unavailable: ${unavailable}` });
+      }
+
+      try {
+        const { query, list, tweets } = await this.searchArchive(req.query);
+        const baseTitle = list ? this.getFeedOptions(list, 'rss').title : undefined;
+        const body = this.rssService.generateFeed(tweets, list ? list.listInfo : null, {
+          title: `${baseTitle || this.rssService.getFeedTitle()}: search "${query}"`,
+          description: `Archived tweets matching "${query}"`,
+          feedUrl: this.buildUrl(req.originalUrl)
+        });
+        Logger.info('SEARCH', 'Search feed served', { requestId: req.requestId, query, count: tweets.length });
+        res.set('Content-Type', 'application/rss+xml');
+        res.send(body);
+      } catch (error) {
+        Logger.warn('SEARCH', 'Search feed failed', { requestId: req.requestId, error: error.message });
+        res.status(error.code || 500).json({ error: error.message });
+      }
+    });
+
+    Object.entries(this.getFeedFormats()).forEach(([format, feedFormat]) => {
+      this.app.get(feedFormat.path, serveFeed(format));
+      this.app.get(feedFormat.listPath || `${feedFormat.path}/:listId`, serveFeed(format));
+    });
+
+    // Admin: archive export/import as NDJSON, guarded by ADMIN_TOKEN
+    const requireAdmin = (req, res, next) => this.requireAdmin(req, res, next);
+
+    this.app.get('/admin/export', requireAdmin, async (req, res) => {
+      const options = {
+        since: req.query.since || null,
+        until: req.query.until || null,
+        authors: String(req.query.author || '').split(',').map(author => author.trim()).filter(Boolean),
+        listId: req.query.list || null,
+        includeConfig: req.query.config !== 'false'
+      };
+      Logger.info('ADMIN', 'Archive export requested', { requestId: req.requestId, ...options });
+
+      try {
+        await this.database.ready;
+        res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="twitter2rss-archive-${new Date().toISOString().slice(0, 10)}.ndjson"`);
+        const counts = await this.database.exportArchive(res, options);
+        res.end();
+        Logger.info('ADMIN', 'Archive export completed', { requestId: req.requestId, ...counts });
+      } catch (error) {
+        Logger.error('ADMIN', 'Archive export failed', { requestId: req.requestId, error: error.message });
+        if (res.headersSent) {
+          // Part of the archive is already out; cut it short so clients see an error
+          res.destroy(error);
+        } else {
+          res.removeHeader('Content-Disposition');
+          res.status(error.code || 500).json({ error: error.message });
+        }
+      }
+    });
+
+    this.app.post('/admin/import', requireAdmin, async (req, res) => {
+      Logger.info('ADMIN', 'Archive import requested', { requestId: req.requestId });
+
+      try {
+        await this.database.ready;
+        // Config entries overwrite this instance's rate limit and scheduler state, so they are opt-in
+        const result = await this.database.importArchive(req, { includeConfig: req.query.config === 'true' });
+        // Imported tweets may belong in any feed
+        this.listRegistry.all().forEach(list => this.invalidateFeedCache(list));
+        Logger.info('ADMIN', 'Archive import completed', { requestId: req.requestId, ...result.tweets, skipped: result.skipped });
+        res.json({ success: true, ...result });
+      } catch (error) {
+        Logger.error('ADMIN', 'Archive import failed', { requestId: req.requestId, error: error.message });
+        res.status(error.code || 500).json({ error: error.message });
       }
     });
 
@@ -306,32 +644,37 @@ class TwitterListRSS {
       Logger.info('STATUS', 'Status request received', { requestId: req.requestId });
       
       try {
-        const schedulerStatus = this.scheduler ? await this.scheduler.getStatus() : {
-          isRunning: false,
-          mode: 'serverless',
-          currentInterval: 'on-demand'
-        };
+        const lists = [];
+        for (const list of this.listRegistry.all()) {
+          lists.push(await this.getListStatus(list));
+        }
         const tweetCount = await this.getTweetCount();
+        const defaultStatus = lists[0] || {};
         
         const statusData = {
           status: 'running',
           mode: this.isServerless ? 'serverless' : 'server',
-          listInfo: this.listInfo,
-          scheduler: schedulerStatus,
+          // Top-level list fields describe the default list for single-list clients
+          listInfo: defaultStatus.listInfo || null,
+          scheduler: defaultStatus.scheduler || null,
           database: {
             totalTweets: tweetCount
           },
-          cache: {
-            lastUpdate: this.lastCacheUpdate ? new Date(this.lastCacheUpdate).toISOString() : null,
-            ttl: this.cacheTimeout
-          },
+          cache: defaultStatus.cache || { lastUpdate: null, ttl: this.cacheTimeout },
+          maintenance: this.maintenanceService ? await this.maintenanceService.getStatus() : null,
+          quota: this.quotaLedger ? await this.quotaLedger.getStatus() : null,
+          apiTier: this.twitterService ? this.twitterService.checkTierProfile() : null,
+          credentials: this.twitterService ? this.twitterService.getStatus() : null,
+          circuitBreaker: this.circuitBreaker.getStatus(),
+          initError: this.initError,
+          lists,
           lastUpdated: await this.database.getConfig('last_rss_update')
         };
         
         Logger.debug('STATUS', 'Status data compiled', {
           requestId: req.requestId,
           tweetCount,
-          cacheStatus: statusData.cache
+          listCount: lists.length
         });
         
         res.json(statusData);
@@ -345,22 +688,44 @@ class TwitterListRSS {
       }
     });
 
-    // Manual refresh endpoint
-    this.app.post('/refresh', async (req, res) => {
-      Logger.info('REFRESH', 'Manual refresh requested', { requestId: req.requestId });
+    // Manual refresh endpoints: /refresh refreshes every list, /refresh/:listId a single one
+    this.app.post('/refresh/:listId?', async (req, res) => {
+      Logger.info('REFRESH', 'Manual refresh requested', { requestId: req.requestId, listId: req.params.listId || 'all' });
+
+      if (req.params.listId && !this.listRegistry.has(req.params.listId)) {
+        return res.status(404).json({ error: 'List not found' });
+      }
       
       try {
-        const result = await this.fetchAndUpdateFeed();
+        let result;
+        if (req.params.listId) {
+          result = await this.fetchAndUpdateFeed(req.params.listId);
+        } else {
+          const listResults = [];
+          for (const list of this.listRegistry.all()) {
+            listResults.push(await this.fetchAndUpdateFeed(list.id));
+          }
+          result = {
+            success: true,
+            newTweets: listResults.reduce((sum, listResult) => sum + listResult.newTweets, 0),
+            updatedTweets: listResults.reduce((sum, listResult) => sum + listResult.updatedTweets, 0),
+            unchangedTweets: listResults.reduce((sum, listResult) => sum + listResult.unchangedTweets, 0),
+            totalTweets: await this.getTweetCount(),
+            timestamp: new Date().toISOString(),
+            lists: listResults
+          };
+        }
         
         Logger.info('REFRESH', 'Manual refresh completed', {
           requestId: req.requestId,
           newTweets: result.newTweets,
+          updatedTweets: result.updatedTweets,
           totalTweets: result.totalTweets
         });
         
         res.json({
           success: true,
-          message: `Fetched ${result.newTweets} new tweets`,
+          message: `Fetched ${result.newTweets} new tweets (${result.updatedTweets} updated, ${result.unchangedTweets} unchanged)`,
           result
         });
       } catch (error) {
@@ -378,8 +743,9 @@ class TwitterListRSS {
 
     // Health check
     this.app.get('/health', (req, res) => {
+      const degraded = !!this.initError || this.circuitBreaker.getStatus().state !== 'closed';
       res.json({ 
-        status: 'healthy', 
+        status: degraded ? 'degraded' : 'healthy', 
         timestamp: new Date().toISOString(),
         mode: this.isServerless ? 'serverless' : 'server'
       });
@@ -391,75 +757,160 @@ class TwitterListRSS {
         name: 'Twitter List RSS Converter',
         version: '1.0.0',
         mode: this.isServerless ? 'serverless' : 'server',
+        lists: this.listRegistry.ids(),
+        filterPresets: this.filterEngine.presetNames(),
         endpoints: {
           rss: '/rss',
+          listRss: '/rss/:listId',
+          atom: '/atom',
+          listAtom: '/atom/:listId',
+          jsonFeed: '/feed.json',
+          listJsonFeed: '/feed/:listId.json',
+          filteredFeed: '/rss?preset=links-only',
+          search: '/search?q=',
+          searchFeed: '/rss/search?q=',
           status: '/status',
           refresh: 'POST /refresh',
+          listRefresh: 'POST /refresh/:listId',
+          adminExport: '/admin/export',
+          adminImport: 'POST /admin/import',
           health: '/health'
         }
       });
     });
   }
 
-  async fetchAndUpdateFeed() {
+  /**
+   * Run an archive search from request query parameters: q, list, limit, sort
+   * Only reads the local database, so it costs no Twitter API quota.
+   */
+  async searchArchive(params = {}) {
+    const query = String(params.q || '').trim();
+    if (!query) {
+      const error = new Error('Missing search query (q)');
+      error.code = 400;
+      throw error;
+    }
+
+    let list = null;
+    if (params.list) {
+      list = this.resolveList(params.list);
+      if (!list) {
+        const error = new Error('List not found');
+        error.code = 404;
+        throw error;
+      }
+    }
+
+    const maxTweets = parseInt(process.env.MAX_TWEETS_PER_FEED) || 50;
+    const limit = Math.min(Math.max(parseInt(params.limit) || maxTweets, 1), 200);
+    const sort = params.sort === 'relevance' ? 'relevance' : 'recent';
+
+    await this.database.ready;
+    const tweets = await this.database.searchTweets(query, { limit, listId: list ? list.id : null, sort });
+
+    return { query, list, sort, tweets };
+  }
+
+  /**
+   * Fetch new tweets for a list. Concurrent callers (feed requests, the
+   * scheduler, /refresh) share the fetch already running for that list.
+   */
+  async fetchAndUpdateFeed(listId = null) {
+    const list = this.resolveList(listId);
+    if (!list) {
+      throw new Error(`Unknown list: ${listId}`);
+    }
+    return this.flights.run(`fetch:${list.id}`, () => this.performFetch(list));
+  }
+
+  async performFetch(list) {
     const startTime = Date.now();
-    Logger.info('FETCH', 'Starting tweet fetch operation');
+    Logger.info('FETCH', 'Starting tweet fetch operation', { listId: list.id });
+
+    // While a circuit is open the API is not asked at all; after its cooldown this fetch is the probe
+    await this.circuitBreaker.ready;
+    const gate = this.circuitBreaker.check(list.id);
+    if (!gate.allowed) {
+      Logger.warn('FETCH', 'Circuit open, skipping fetch', {
+        listId: list.id,
+        circuit: gate.circuit.key,
+        retryAt: gate.circuit.retryAt
+      });
+      throw this.circuitBreaker.openError(gate.circuit);
+    }
     
     try {
-      // Get the latest tweet ID from database
-      const sinceId = await this.database.getLatestTweetId();
-      Logger.debug('FETCH', 'Retrieved latest tweet ID from database', { sinceId });
+      // Each list keeps its own since_id cursor
+      const sinceId = await this.database.getLatestTweetId(list.id);
+      Logger.debug('FETCH', 'Retrieved latest tweet ID from database', { listId: list.id, sinceId });
       
       // Fetch new tweets
       Logger.info('TWITTER', 'Fetching tweets from Twitter API', {
-        listId: process.env.TWITTER_LIST_ID,
+        listId: list.id,
         sinceId: sinceId || 'none (initial fetch)'
       });
       
-      const tweets = await this.twitterService.getListTweets(
-        process.env.TWITTER_LIST_ID,
-        sinceId
-      );
+      const { tweets, gapsPending, quotaExhausted } = await this.fetchListTweets(list, sinceId);
+      if (quotaExhausted) {
+        this.circuitBreaker.release(list.id);
+      } else {
+        this.circuitBreaker.recordSuccess(list.id);
+      }
 
-      let newTweetsCount = 0;
+      let saved = { inserted: [], updated: [], unchanged: [] };
 
       if (tweets.length > 0) {
-        Logger.info('FETCH', 'New tweets found, saving to database', { count: tweets.length });
+        Logger.info('FETCH', 'Tweets fetched, saving to database', { listId: list.id, count: tweets.length });
         
-        // Save new tweets to database
-        await this.database.saveTweets(tweets);
-        newTweetsCount = tweets.length;
+        // Only tweets that were actually new count towards the result (and the scheduler)
+        saved = await this.database.saveTweets(tweets, list.id);
         
-        // Clear cache to force regeneration
-        this.cachedRSSFeed = null;
-        this.lastCacheUpdate = null;
+        if (saved.inserted.length > 0 || saved.updated.length > 0) {
+          // Clear cache to force regeneration
+          this.invalidateFeedCache(list);
+        }
         
-        Logger.info('FETCH', 'Tweets saved successfully, cache invalidated', { newTweetsCount });
+        Logger.info('FETCH', 'Tweets saved successfully', {
+          listId: list.id,
+          inserted: saved.inserted.length,
+          updated: saved.updated.length,
+          unchanged: saved.unchanged.length
+        });
       } else {
-        Logger.info('FETCH', 'No new tweets found');
+        Logger.info('FETCH', 'No new tweets found', { listId: list.id });
       }
 
-      const totalTweets = await this.getTweetCount();
+      const totalTweets = await this.getTweetCount(list.id);
       const duration = Date.now() - startTime;
       
       const result = {
         success: true,
-        newTweets: newTweetsCount,
+        listId: list.id,
+        newTweets: saved.inserted.length,
+        updatedTweets: saved.updated.length,
+        unchangedTweets: saved.unchanged.length,
         totalTweets,
+        gapsPending,
+        quotaExhausted,
         timestamp: new Date().toISOString()
       };
 
       Logger.performance('FETCH', 'Tweet fetch operation completed', duration, {
-        newTweets: newTweetsCount,
+        listId: list.id,
+        newTweets: saved.inserted.length,
+        updatedTweets: saved.updated.length,
         totalTweets,
-        hadUpdates: newTweetsCount > 0
+        hadUpdates: saved.inserted.length > 0
       });
 
       return result;
 
     } catch (error) {
+      this.circuitBreaker.recordFailure(error, list.id);
       const duration = Date.now() - startTime;
       Logger.error('FETCH', 'Tweet fetch operation failed', {
+        listId: list.id,
         error: error.message,
         stack: error.stack,
         duration_ms: duration
@@ -468,42 +919,304 @@ class TwitterListRSS {
     }
   }
 
-  async generateRSSFeed() {
+  /**
+   * Fetch everything newer than the cursor, then spend any page budget left
+   * on gaps recorded by earlier runs that ran out of budget before reaching
+   * their cursor. Gaps that are still open are persisted for the next run.
+   * The quota ledger may trim the page budget, or skip the fetch entirely once
+   * the monthly allowance is used up; the posts read are recorded against it.
+   */
+  async fetchListTweets(list, sinceId) {
+    const pageBudget = await this.getPageBudget();
+    const storedGaps = await this.loadFetchGaps(list);
+
+    if (pageBudget === 0) {
+      Logger.warn('FETCH', 'Monthly post allowance used up, skipping fetch', { listId: list.id });
+      return { tweets: [], gapsPending: storedGaps.length, quotaExhausted: true };
+    }
+
+    // Newest tweets first so the feed stays fresh
+    const latest = await this.twitterService.fetchListTimeline(list.id, {
+      sinceId,
+      maxPages: pageBudget
+    });
+
+    const tweetsById = new Map(latest.tweets.map(tweet => [tweet.id, tweet]));
+    let pagesLeft = pageBudget - latest.pagesFetched;
+    const usage = { postsRead: latest.postsRead, requests: latest.pagesFetched };
+    const remainingGaps = [];
+
+    // Older gaps are resumed first; the list timeline only reaches back so far
+    for (const gap of storedGaps) {
+      if (pagesLeft <= 0) {
+        remainingGaps.push(gap);
+        continue;
+      }
+
+      Logger.info('FETCH', 'Resuming fetch gap', { listId: list.id, sinceId: gap.sinceId, recordedAt: gap.recordedAt });
+
+      try {
+        const resumed = await this.twitterService.fetchListTimeline(list.id, {
+          sinceId: gap.sinceId,
+          maxPages: pagesLeft,
+          paginationToken: gap.nextToken
+        });
+        resumed.tweets.forEach(tweet => tweetsById.set(tweet.id, tweet));
+        pagesLeft -= resumed.pagesFetched;
+        usage.postsRead += resumed.postsRead;
+        usage.requests += resumed.pagesFetched;
+
+        if (resumed.nextToken) {
+          remainingGaps.push({ ...gap, nextToken: resumed.nextToken });
+        } else {
+          Logger.info('FETCH', 'Fetch gap closed', { listId: list.id, sinceId: gap.sinceId, recovered: resumed.tweets.length });
+        }
+      } catch (error) {
+        // An expired or invalid pagination token cannot be resumed
+        if (error.code === 400) {
+          Logger.warn('FETCH', 'Dropping fetch gap with unusable pagination token', { listId: list.id, sinceId: gap.sinceId });
+        } else {
+          Logger.warn('FETCH', 'Failed to resume fetch gap, keeping it for the next run', {
+            listId: list.id,
+            error: error.message
+          });
+          remainingGaps.push(gap);
+        }
+        pagesLeft = 0;
+      }
+    }
+
+    if (latest.nextToken) {
+      Logger.warn('FETCH', 'Page budget exhausted before reaching cursor, recording gap', {
+        listId: list.id,
+        sinceId,
+        pageBudget
+      });
+      remainingGaps.push({
+        sinceId,
+        nextToken: latest.nextToken,
+        recordedAt: new Date().toISOString()
+      });
+    }
+
+    if (storedGaps.length > 0 || remainingGaps.length > 0) {
+      await this.saveFetchGaps(list, remainingGaps);
+    }
+
+    await this.recordQuotaUsage(list, usage);
+
+    return {
+      tweets: Array.from(tweetsById.values()),
+      gapsPending: remainingGaps.length,
+      quotaExhausted: false
+    };
+  }
+
+  /**
+   * MAX_PAGES_PER_FETCH, trimmed by the quota ledger when the allowance is tight
+   */
+  async getPageBudget() {
+    const configured = Math.max(parseInt(process.env.MAX_PAGES_PER_FETCH) || 3, 1);
+    if (!this.quotaLedger) {
+      return configured;
+    }
+    try {
+      // Other instances may have spent part of the allowance
+      await this.quotaLedger.refresh();
+    } catch (error) {
+      Logger.warn('QUOTA', 'Failed to load quota usage', { error: error.message });
+    }
+    return this.quotaLedger.getPageBudget(configured);
+  }
+
+  async recordQuotaUsage(list, usage) {
+    if (!this.quotaLedger) {
+      return;
+    }
+    try {
+      await this.quotaLedger.record(list.id, usage);
+    } catch (error) {
+      Logger.warn('QUOTA', 'Failed to record quota usage', { listId: list.id, error: error.message });
+    }
+  }
+
+  async loadFetchGaps(list) {
+    const storedGaps = await this.database.getConfig(`fetch_gaps:${list.id}`);
+    if (!storedGaps) {
+      return [];
+    }
+
+    try {
+      const gaps = JSON.parse(storedGaps);
+      return Array.isArray(gaps) ? gaps : [];
+    } catch (error) {
+      Logger.warn('FETCH', 'Stored fetch gaps are invalid, discarding', { listId: list.id, error: error.message });
+      return [];
+    }
+  }
+
+  async saveFetchGaps(list, gaps) {
+    await this.database.setConfig(`fetch_gaps:${list.id}`, JSON.stringify(gaps));
+  }
+
+  /**
+   * Feed cache entry for a format and filter; null when the variant is not cached
+   */
+  getFeedCacheKey(format, filter = null) {
+    if (!filter || filter.cacheKey === '') {
+      return format;
+    }
+    return filter.cacheKey === null ? null : `${format}?${filter.cacheKey}`;
+  }
+
+  /**
+   * Fetch (serverless only) and re-render a feed. A fetch that is rate limited
+   * or fails leaves the stored tweets in place, so the last good feed is
+   * rendered instead of an error.
+   */
+  async refreshFeed(list, format, filter, requestId = null) {
+    if (this.isServerless) {
+      const { canRequest, resetTime } = await this.twitterService.canFetchList(list.id);
+      if (!canRequest) {
+        Logger.warn('RSS', 'Rate limited, rendering feed from stored tweets', {
+          requestId,
+          listId: list.id,
+          resetTime: resetTime ? new Date(resetTime).toISOString() : null
+        });
+      } else {
+        try {
+          Logger.info('RSS', 'Serverless mode: fetching fresh data', { requestId, listId: list.id });
+          await this.fetchAndUpdateFeed(list.id);
+          await this.runMaintenanceIfDue();
+        } catch (error) {
+          Logger.warn('RSS', 'Fetch failed, rendering feed from stored tweets', { requestId, listId: list.id, error: error.message });
+        }
+      }
+    }
+    return this.generateFeed(list.id, format, filter);
+  }
+
+  /**
+   * Why feeds cannot be rendered yet (degraded or still starting up), or null
+   */
+  getFeedUnavailableReason() {
+    if (this.rssService) {
+      return null;
+    }
+    return this.initError ? `initialization failed (${this.initError.message})` : 'the service is still starting';
+  }
+
+  /**
+   * Feed items explaining why a list stopped updating, one per open circuit;
+   * FEED_DIAGNOSTICS=false leaves feeds untouched
+   */
+  getDiagnosticItems(list) {
+    if (process.env.FEED_DIAGNOSTICS === 'false') {
+      return [];
+    }
+    return this.circuitBreaker.getOpenCircuits(list.id).map(circuit => ({
+      // A new outage is a new item; the same outage keeps its guid
+      id: `diagnostic-${circuit.key}-${new Date(circuit.openedAt).getTime()}`,
+      text: `Feed updates paused: ${this.circuitBreaker.describe(circuit)} (${circuit.lastError ? circuit.lastError.message : 'no details'}). ` +
+        `Showing stored tweets; the next attempt is at ${circuit.retryAt}.`,
+      author_username: 'twitter2rss',
+      author_name: 'Feed status',
+      created_at: circuit.openedAt,
+      url: this.buildUrl('/status'),
+      entities: {},
+      referenced_tweets: [],
+      public_metrics: {}
+    }));
+  }
+
+  /**
+   * Drop a list's cached feeds; renders still running for the old content
+   * neither repopulate the cache nor get joined by new callers
+   */
+  invalidateFeedCache(list) {
+    list.feedCache = {};
+    list.feedVersion = (list.feedVersion || 0) + 1;
+  }
+
+  /**
+   * Render a feed from stored tweets and cache it. Concurrent callers asking
+   * for the same cached variant share one render.
+   */
+  async generateFeed(listId = null, format = 'rss', filter = null) {
+    const list = this.resolveList(listId);
+    if (!list) {
+      throw new Error(`Unknown list: ${listId}`);
+    }
+
+    const feedFormat = this.getFeedFormats()[format];
+    if (!feedFormat) {
+      throw new Error(`Unknown feed format: ${format}`);
+    }
+
+    // The list's own rules apply to every variant of its feeds
+    filter = filter || this.filterEngine.resolve(list.filters);
+
+    const cacheKey = this.getFeedCacheKey(format, filter);
+    if (!cacheKey) {
+      return this.renderFeed(list, format, filter);
+    }
+    return this.flights.run(`render:${list.id}:${list.feedVersion || 0}:${cacheKey}`, () => this.renderFeed(list, format, filter));
+  }
+
+  async renderFeed(list, format, filter) {
     const startTime = Date.now();
-    Logger.info('RSS', 'Starting RSS feed generation');
+    const feedFormat = this.getFeedFormats()[format];
+    const feedCache = list.feedCache;
+
+    Logger.info('RSS', 'Starting feed generation', { listId: list.id, format, filtered: filter.active });
     
     try {
       // Get latest tweets from database
       const maxTweets = parseInt(process.env.MAX_TWEETS_PER_FEED) || 50;
-      Logger.debug('RSS', 'Fetching tweets for RSS feed', { maxTweets });
+      // Read further back when filtering so the feed is not left short
+      const fetchLimit = filter.active
+        ? maxTweets * (parseInt(process.env.FILTER_FETCH_MULTIPLIER) || 4)
+        : maxTweets;
+      Logger.debug('RSS', 'Fetching tweets for feed', { listId: list.id, maxTweets, fetchLimit });
       
-      const tweets = await this.database.getTweets(maxTweets);
-      Logger.info('RSS', 'Tweets retrieved from database', { count: tweets.length });
+      const stored = await this.database.getTweets(fetchLimit, list.id);
+      const tweets = this.filterEngine.apply(stored, filter.rules).slice(0, maxTweets);
+      Logger.info('RSS', 'Tweets retrieved from database', { listId: list.id, count: tweets.length, scanned: stored.length });
       
       if (tweets.length === 0) {
-        Logger.warn('RSS', 'No tweets found in database, generating empty feed');
-        this.cachedRSSFeed = this.rssService.generateFeed([], this.listInfo);
+        Logger.warn('RSS', 'No tweets found in database, generating empty feed', { listId: list.id, format });
       } else {
-        Logger.debug('RSS', 'Generating RSS feed with tweets');
-        this.cachedRSSFeed = this.rssService.generateFeed(tweets, this.listInfo);
+        Logger.debug('RSS', 'Generating feed with tweets', { listId: list.id, format });
       }
+      const body = feedFormat.render([...this.getDiagnosticItems(list), ...tweets], list);
       
-      // Update cache timestamp
-      this.lastCacheUpdate = Date.now();
+      // Update cache entry and timestamp (unless the cache was invalidated meanwhile)
+      const cacheKey = this.getFeedCacheKey(format, filter);
+      if (cacheKey) {
+        feedCache[cacheKey] = { body, updatedAt: Date.now() };
+      }
       
       // Store update timestamp in database
-      await this.database.setConfig('last_rss_update', new Date().toISOString());
+      const updatedAt = new Date().toISOString();
+      await this.database.setConfig('last_rss_update', updatedAt);
+      await this.database.setConfig(`last_rss_update:${list.id}`, updatedAt);
       
       const duration = Date.now() - startTime;
-      Logger.performance('RSS', 'RSS feed generation completed', duration, {
+      Logger.performance('RSS', 'Feed generation completed', duration, {
+        listId: list.id,
+        format,
         tweetCount: tweets.length,
-        feedSize: this.cachedRSSFeed.length,
+        feedSize: body.length,
         cacheTimeout: this.cacheTimeout
       });
+
+      return body;
       
     } catch (error) {
       const duration = Date.now() - startTime;
-      Logger.error('RSS', 'RSS feed generation failed', {
+      Logger.error('RSS', 'Feed generation failed', {
+        listId: list.id,
+        format,
         error: error.message,
         stack: error.stack,
         duration_ms: duration
@@ -512,13 +1225,71 @@ class TwitterListRSS {
     }
   }
 
-  async getTweetCount() {
-    return new Promise((resolve, reject) => {
-      this.database.db.get('SELECT COUNT(*) as count FROM tweets', (err, row) => {
-        if (err) reject(err);
-        else resolve(row.count);
-      });
-    });
+  /**
+   * Admin routes need ADMIN_TOKEN, sent as `Authorization: Bearer <token>`;
+   * without it configured they are disabled
+   */
+  requireAdmin(req, res, next) {
+    const expected = process.env.ADMIN_TOKEN;
+    if (!expected) {
+      return res.status(403).json({ error: 'Admin routes are disabled. Set ADMIN_TOKEN to enable them.' });
+    }
+
+    const header = req.get('Authorization') || '';
+    const provided = Buffer.from(header.replace(/^Bearer\s+/i, ''));
+    const token = Buffer.from(expected);
+    if (provided.length !== token.length || !crypto.timingSafeEqual(provided, token)) {
+      Logger.warn('ADMIN', 'Rejected admin request', { requestId: req.requestId, url: req.url });
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+  }
+
+  /**
+   * Retention and database maintenance piggyback on fetches; a failed run is
+   * recorded for /status but never fails the fetch or request that triggered it
+   */
+  async runMaintenanceIfDue() {
+    if (!this.maintenanceService) {
+      return null;
+    }
+    try {
+      return await this.maintenanceService.runIfDue();
+    } catch (error) {
+      Logger.error('MAINTENANCE', 'Maintenance check failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async getListStatus(list) {
+    const schedulerStatus = list.scheduler ? await list.scheduler.getStatus() : {
+      isRunning: false,
+      mode: 'serverless',
+      currentInterval: 'on-demand'
+    };
+
+    return {
+      id: list.id,
+      rss: `/rss/${list.id}`,
+      atom: `/atom/${list.id}`,
+      jsonFeed: this.getFeedPath('json', list.id),
+      listInfo: list.listInfo,
+      scheduler: schedulerStatus,
+      totalTweets: await this.getTweetCount(list.id),
+      fetchGaps: (await this.loadFetchGaps(list)).map(({ sinceId, recordedAt }) => ({ sinceId, recordedAt })),
+      cache: {
+        lastUpdate: list.feedCache.rss ? new Date(list.feedCache.rss.updatedAt).toISOString() : null,
+        formats: Object.fromEntries(
+          Object.entries(list.feedCache).map(([format, entry]) => [format, new Date(entry.updatedAt).toISOString()])
+        ),
+        ttl: this.cacheTimeout
+      },
+      lastUpdated: await this.database.getConfig(`last_rss_update:${list.id}`)
+    };
+  }
+
+  async getTweetCount(listId = null) {
+    return this.database.getTweetCount(listId);
   }
 
   // For serverless compatibility, return the app instance
@@ -534,15 +1305,18 @@ class TwitterListRSS {
     this.app.listen(port, host, () => {
       Logger.info('TwitterListRSS', `Twitter List RSS server running on ${host}:${port}`);
       Logger.info('TwitterListRSS', `RSS feed available at: http://${host}:${port}/rss`);
+      Logger.info('TwitterListRSS', `Atom feed available at: http://${host}:${port}/atom`);
       Logger.info('TwitterListRSS', `Status page available at: http://${host}:${port}/status`);
     });
 
     // Graceful shutdown
     process.on('SIGINT', () => {
       Logger.info('TwitterListRSS', 'Shutting down gracefully...');
-      if (this.scheduler) {
-        this.scheduler.stop();
-      }
+      this.listRegistry.all().forEach(list => {
+        if (list.scheduler) {
+          list.scheduler.stop();
+        }
+      });
       if (this.database) {
         this.database.close();
       }
@@ -0,0 +1,101 @@
+/**
+ * Atom 1.0 renderer
+ * Reuses the RSS service for item HTML, titles and feed metadata so both
+ * formats describe tweets the same way.
+ * Spec: https://datatracker.ietf.org/doc/html/rfc4287
+ */
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+class AtomService {
+  constructor(rssService) {
+    this.rssService = rssService;
+  }
+
+  /**
+   * Stable entry ID derived from the tweet ID (RFC 4151 tag URI)
+   */
+  getEntryId(tweet) {
+    return `tag:twitter.com,2006:status/${tweet.id}`;
+  }
+
+  getFeedId(listId, selfUrl) {
+    return listId ? `tag:twitter.com,2006:list/${listId}` : (selfUrl || 'tag:twitter.com,2006:list');
+  }
+
+  /**
+   * Render tweets as Atom 1.0
+   * Options: title, description, listId, selfUrl, alternateUrl
+   */
+  generateFeed(tweets, listInfo = null, options = {}) {
+    const listId = options.listId || (listInfo && listInfo.id) || null;
+    const selfUrl = options.selfUrl || null;
+    const alternateUrl = options.alternateUrl ||
+      (listId ? `https://twitter.com/i/lists/${listId}` : this.rssService.config.siteUrl);
+
+    // The feed changes whenever its newest tweet does
+    const updated = tweets.length > 0
+      ? new Date(Math.max(...tweets.map(tweet => new Date(tweet.created_at).getTime())))
+      : new Date();
+
+    const lines = [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `  <id>${escapeXml(this.getFeedId(listId, selfUrl))}</id>`,
+      `  <title type="text">${escapeXml(this.rssService.getFeedTitle(listInfo, options))}</title>`,
+      `  <subtitle type="text">${escapeXml(this.rssService.getFeedDescription(listInfo, options))}</subtitle>`,
+      `  <updated>${updated.toISOString()}</updated>`
+    ];
+
+    if (selfUrl) {
+      lines.push(`  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`);
+    }
+    if (alternateUrl) {
+      lines.push(`  <link rel="alternate" type="text/html" href="${escapeXml(alternateUrl)}"/>`);
+    }
+    lines.push('  <generator>Twitter List RSS Converter</generator>');
+
+    tweets.forEach(tweet => {
+      lines.push(this.renderEntry(tweet));
+    });
+
+    lines.push('</feed>');
+    return lines.join('\n');
+  }
+
+  renderEntry(tweet) {
+    const date = new Date(tweet.created_at).toISOString();
+    const categories = this.rssService.extractHashtags(tweet.entities || {})
+      .map(tag => `    <category term="${escapeXml(tag)}"/>`);
+    const enclosures = this.rssService.getMediaAttachments(
+      this.rssService.getTweetMedia(this.rssService.getDisplayTweet(tweet))
+    )
+      .map(({ url, type }) => `    <link rel="enclosure" type="${escapeXml(type)}" href="${escapeXml(url)}"/>`);
+
+    return [
+      '  <entry>',
+      `    <id>${this.getEntryId(tweet)}</id>`,
+      `    <title type="text">${escapeXml(this.rssService.generateTweetTitle(tweet))}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(this.rssService.getTweetUrl(tweet))}"/>`,
+      ...enclosures,
+      `    <published>${date}</published>`,
+      `    <updated>${date}</updated>`,
+      '    <author>',
+      `      <name>${escapeXml(`${tweet.author_name} (@${tweet.author_username})`)}</name>`,
+      `      <uri>https://twitter.com/${escapeXml(tweet.author_username)}</uri>`,
+      '    </author>',
+      `    <content type="html">${escapeXml(this.rssService.buildItemContent(tweet))}</content>`,
+      ...categories,
+      '  </entry>'
+    ].join('\n');
+  }
+}
+
+module.exports = AtomService;
@@ -0,0 +1,45 @@
+const RSSService = require('./rssService');
+const AtomService = require('./atomService');
+
+describe('AtomService', () => {
+  const tweets = [
+    {
+      id: '1234567890',
+      text: 'Hello <world> & #friends',
+      created_at: '2025-06-26T10:00:00Z',
+      author_name: 'Test User',
+      author_username: 'testuser',
+      entities: { hashtags: [{ tag: 'friends' }] },
+      public_metrics: {},
+    },
+  ];
+
+  let atomService;
+
+  beforeEach(() => {
+    atomService = new AtomService(new RSSService({ title: 'Test Feed', description: 'Test Description' }));
+  });
+
+  it('should generate an Atom feed with self and alternate links', () => {
+    const feed = atomService.generateFeed(tweets, { id: '42', name: 'My List' }, {
+      selfUrl: 'http://example.com/atom',
+    });
+
+    expect(feed).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(feed).toContain('<id>tag:twitter.com,2006:list/42</id>');
+    expect(feed).toContain('<link rel="self" type="application/atom+xml" href="http://example.com/atom"/>');
+    expect(feed).toContain('<link rel="alternate" type="text/html" href="https://twitter.com/i/lists/42"/>');
+    expect(feed).toContain('<updated>2025-06-26T10:00:00.000Z</updated>');
+  });
+
+  it('should use stable tag URIs, author URIs and escaped HTML content', () => {
+    const feed = atomService.generateFeed(tweets);
+
+    expect(feed).toContain('<id>tag:twitter.com,2006:status/1234567890</id>');
+    expect(feed).toContain('<uri>https://twitter.com/testuser</uri>');
+    expect(feed).toContain('<content type="html">&lt;p&gt;');
+    expect(feed).toContain('Hello &lt;world&gt; &amp;');
+    expect(feed).toContain('<category term="friends"/>');
+    expect(feed).not.toContain('<world>');
+  });
+});
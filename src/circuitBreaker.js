@@ -0,0 +1,305 @@
+/**
+ * Circuit Breaker
+ * Stops hammering the API while it keeps failing the same way. Failures are
+ * grouped by class — auth (401/403), not-found (404, tracked per list),
+ * rate-limit (429) and network — and each class has its own circuit. Once a
+ * class fails often enough its circuit opens and fetches are refused without
+ * a request; after the cooldown one probe is let through (half-open). A
+ * successful probe closes the circuit, a failed one reopens it with twice the
+ * cooldown. Circuits are persisted in config so restarts and serverless cold
+ * starts do not probe early.
+ */
+
+// Simple logger for circuit breaker operations
+const breakerLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [CIRCUIT] ${message}${metaStr}`);
+  },
+  warn: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.warn(`[${timestamp}] [WARN] [CIRCUIT] ${message}${metaStr}`);
+  }
+};
+
+const STORE_KEY = 'circuit_breaker';
+const MINUTE_MS = 60 * 1000;
+
+// Failures before a circuit opens and the first cooldown, per error class
+const ERROR_CLASSES = {
+  auth: { threshold: 1, cooldownMinutes: 30, description: 'Twitter rejected the API credentials' },
+  'not-found': { threshold: 2, cooldownMinutes: 60, description: 'The list was not found (deleted or no longer visible)' },
+  'rate-limit': { threshold: 1, cooldownMinutes: 15, description: 'The API rate limit is exhausted' },
+  network: { threshold: 3, cooldownMinutes: 5, description: 'The Twitter API is unreachable' }
+};
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+class CircuitBreaker {
+  /**
+   * store: Database (getConfig/setConfig) that keeps circuits across restarts; optional
+   * Options: classes (per-class overrides of threshold/cooldownMinutes),
+   * maxCooldownMinutes, onStateChange(circuit)
+   */
+  constructor(store = null, options = {}) {
+    this.store = store;
+    this.classes = Object.fromEntries(Object.entries(ERROR_CLASSES).map(([name, settings]) => [
+      name,
+      { ...settings, ...((options.classes || {})[name] || {}) }
+    ]));
+    this.maxCooldownMinutes = options.maxCooldownMinutes || 24 * 60;
+    this.onStateChange = options.onStateChange || null;
+    this.circuits = new Map(); // key -> circuit; keys are the class, or "not-found:<listId>"
+    this.saving = Promise.resolve();
+    this.ready = this.load();
+  }
+
+  /**
+   * CIRCUIT_MAX_COOLDOWN_MINUTES caps how far failed probes push the next one
+   */
+  static fromEnv(store, env = process.env, options = {}) {
+    return new CircuitBreaker(store, {
+      maxCooldownMinutes: parseFloat(env.CIRCUIT_MAX_COOLDOWN_MINUTES),
+      ...options
+    });
+  }
+
+  /**
+   * auth, not-found, rate-limit, network, or null for failures a retry
+   * would not fix any differently (e.g. a parsing bug)
+   */
+  static classify(error) {
+    if (!error) {
+      return null;
+    }
+    if (error.code === 401 || error.code === 403) {
+      return 'auth';
+    }
+    if (error.code === 404) {
+      return 'not-found';
+    }
+    if (error.code === 429) {
+      return 'rate-limit';
+    }
+    if (NETWORK_CODES.includes(error.code) || error.type === 'request' || (error.code >= 500 && error.code < 600)) {
+      return 'network';
+    }
+    return null;
+  }
+
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      if (this.store.ready) {
+        await this.store.ready;
+      }
+      const stored = JSON.parse(await this.store.getConfig(STORE_KEY) || '{}');
+      Object.entries(stored).forEach(([key, circuit]) => {
+        if (!this.circuits.has(key) && circuit.state !== 'closed') {
+          // A probe in flight when the process stopped never finished
+          this.circuits.set(key, { ...circuit, state: circuit.state === 'half-open' ? 'open' : circuit.state, probing: false });
+        }
+      });
+      if (this.circuits.size > 0) {
+        breakerLogger.info('Circuits restored', { circuits: Array.from(this.circuits.keys()) });
+      }
+    } catch (error) {
+      breakerLogger.warn('Failed to restore circuits', { error: error.message });
+    }
+  }
+
+  persist() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    this.saving = this.saving
+      .then(() => this.store.setConfig(STORE_KEY, JSON.stringify(Object.fromEntries(this.circuits))))
+      .catch(error => {
+        breakerLogger.warn('Failed to persist circuits', { error: error.message });
+      });
+    return this.saving;
+  }
+
+  circuitKey(errorClass, scope) {
+    return errorClass === 'not-found' && scope ? `not-found:${scope}` : errorClass;
+  }
+
+  /**
+   * Circuits that apply to a list: the global ones and the list's own
+   */
+  relevant(scope = null) {
+    return Array.from(this.circuits.values())
+      .filter(circuit => circuit.scope === null || circuit.scope === scope);
+  }
+
+  /**
+   * The circuit refusing requests for a list right now, if any; does not change state
+   */
+  getBlockingCircuit(scope = null, now = Date.now()) {
+    return this.relevant(scope).find(circuit =>
+      (circuit.state === 'open' && now < new Date(circuit.retryAt).getTime()) ||
+      (circuit.state === 'half-open' && circuit.probing)) || null;
+  }
+
+  /**
+   * Ask to send a request: { allowed, probe, circuit }. Open circuits whose
+   * cooldown has passed go half-open and let this one request through.
+   */
+  check(scope = null, now = Date.now()) {
+    const blocking = this.getBlockingCircuit(scope, now);
+    if (blocking) {
+      return { allowed: false, probe: false, circuit: blocking };
+    }
+
+    const due = this.relevant(scope).filter(circuit => circuit.state === 'open' || circuit.state === 'half-open');
+    due.forEach(circuit => {
+      circuit.state = 'half-open';
+      circuit.probing = true;
+      this.changed(circuit, 'Circuit half-open, probing');
+    });
+    return { allowed: true, probe: due.length > 0, circuit: due[0] || null };
+  }
+
+  recordSuccess(scope = null) {
+    this.relevant(scope).forEach(circuit => {
+      this.circuits.delete(circuit.key);
+      if (circuit.state !== 'closed') {
+        this.changed({ ...circuit, state: 'closed', probing: false }, 'Circuit closed');
+      }
+    });
+  }
+
+  /**
+   * End a probe that never reached the API; the next request probes again
+   */
+  release(scope = null) {
+    this.relevant(scope).forEach(circuit => {
+      circuit.probing = false;
+    });
+  }
+
+  /**
+   * Count a failure against its class; returns the circuit, or null when the
+   * error does not belong to a tracked class
+   */
+  recordFailure(error, scope = null, now = Date.now()) {
+    const errorClass = CircuitBreaker.classify(error);
+    // A missing list only says something about that list
+    if (!errorClass || (errorClass === 'not-found' && !scope)) {
+      this.release(scope);
+      return null;
+    }
+
+    const key = this.circuitKey(errorClass, scope);
+    const settings = this.classes[errorClass];
+    const circuit = this.circuits.get(key) || {
+      key,
+      errorClass,
+      scope: errorClass === 'not-found' ? scope : null,
+      state: 'closed',
+      failures: 0,
+      cooldownMinutes: settings.cooldownMinutes,
+      openedAt: null,
+      retryAt: null,
+      probing: false,
+      lastError: null
+    };
+    this.circuits.set(key, circuit);
+
+    // Other circuits probing with this request learned nothing; they wait another cooldown
+    this.relevant(scope)
+      .filter(other => other !== circuit && other.state === 'half-open')
+      .forEach(other => this.open(other, error, now, 'Probe inconclusive, circuit reopened'));
+
+    circuit.failures++;
+    circuit.lastError = { message: error.message, code: error.code || null, at: new Date(now).toISOString() };
+
+    if (circuit.state === 'half-open') {
+      circuit.cooldownMinutes = Math.min(circuit.cooldownMinutes * 2, this.maxCooldownMinutes);
+      this.open(circuit, error, now, 'Probe failed, circuit reopened');
+    } else if (circuit.state === 'closed' && circuit.failures >= settings.threshold) {
+      this.open(circuit, error, now, 'Circuit opened');
+    } else {
+      this.persist();
+    }
+    return circuit;
+  }
+
+  open(circuit, error, now, message) {
+    let retryAt = now + circuit.cooldownMinutes * MINUTE_MS;
+    // A 429 says when its window resets; probing earlier is wasted
+    if (circuit.errorClass === 'rate-limit' && error.rateLimit && error.rateLimit.reset) {
+      retryAt = Math.max(retryAt, Number(error.rateLimit.reset) * 1000);
+    }
+    circuit.state = 'open';
+    circuit.probing = false;
+    circuit.openedAt = circuit.openedAt || new Date(now).toISOString();
+    circuit.retryAt = new Date(retryAt).toISOString();
+    this.changed(circuit, message);
+  }
+
+  changed(circuit, message) {
+    const log = circuit.state === 'open' ? breakerLogger.warn : breakerLogger.info;
+    log(message, {
+      circuit: circuit.key,
+      failures: circuit.failures,
+      retryAt: circuit.state === 'open' ? circuit.retryAt : undefined,
+      error: circuit.lastError ? circuit.lastError.message : undefined
+    });
+    this.persist();
+    if (this.onStateChange) {
+      this.onStateChange(circuit);
+    }
+  }
+
+  /**
+   * The error a refused request fails with
+   */
+  openError(circuit) {
+    const error = new Error(`${this.describe(circuit)}; fetches paused until ${circuit.retryAt}`);
+    error.code = 503;
+    error.circuit = circuit.key;
+    return error;
+  }
+
+  describe(circuit) {
+    return this.classes[circuit.errorClass].description;
+  }
+
+  /**
+   * Open (or probing) circuits for a list, for feed diagnostics
+   */
+  getOpenCircuits(scope = null) {
+    return this.relevant(scope).filter(circuit => circuit.state !== 'closed');
+  }
+
+  getStatus() {
+    const circuits = Array.from(this.circuits.values()).map(circuit => ({
+      key: circuit.key,
+      errorClass: circuit.errorClass,
+      listId: circuit.scope,
+      state: circuit.state,
+      failures: circuit.failures,
+      openedAt: circuit.openedAt,
+      retryAt: circuit.retryAt,
+      lastError: circuit.lastError
+    }));
+    const states = circuits.map(circuit => circuit.state);
+    const lastError = circuits
+      .map(circuit => circuit.lastError)
+      .filter(Boolean)
+      .sort((a, b) => b.at.localeCompare(a.at))[0] || null;
+
+    return {
+      state: states.includes('open') ? 'open' : states.includes('half-open') ? 'half-open' : 'closed',
+      circuits,
+      lastError
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
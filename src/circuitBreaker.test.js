@@ -0,0 +1,108 @@
+const CircuitBreaker = require('./circuitBreaker');
+
+const apiError = (code, message = `HTTP ${code}`) => Object.assign(new Error(message), { code });
+
+function createStore() {
+  const config = {};
+  return {
+    config,
+    getConfig: jest.fn(async key => config[key] || null),
+    setConfig: jest.fn(async (key, value) => { config[key] = value; }),
+  };
+}
+
+describe('CircuitBreaker', () => {
+  const start = Date.parse('2025-07-01T12:00:00Z');
+  const minutes = count => count * 60 * 1000;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should classify failures by what a retry could fix', () => {
+    expect(CircuitBreaker.classify(apiError(401))).toBe('auth');
+    expect(CircuitBreaker.classify(apiError(403))).toBe('auth');
+    expect(CircuitBreaker.classify(apiError(404))).toBe('not-found');
+    expect(CircuitBreaker.classify(apiError(429))).toBe('rate-limit');
+    expect(CircuitBreaker.classify(apiError('ECONNRESET'))).toBe('network');
+    expect(CircuitBreaker.classify(apiError(503))).toBe('network');
+    expect(CircuitBreaker.classify(new Error('Unexpected token'))).toBeNull();
+  });
+
+  it('should open after the class threshold and refuse requests until the cooldown passes', () => {
+    const breaker = new CircuitBreaker();
+
+    breaker.recordFailure(apiError('ETIMEDOUT'), '111', start);
+    breaker.recordFailure(apiError('ETIMEDOUT'), '111', start);
+    expect(breaker.check('111', start).allowed).toBe(true);
+
+    breaker.recordFailure(apiError('ETIMEDOUT'), '111', start);
+    expect(breaker.check('222', start + minutes(1))).toEqual(expect.objectContaining({ allowed: false }));
+    expect(breaker.getStatus()).toEqual(expect.objectContaining({
+      state: 'open',
+      lastError: expect.objectContaining({ code: 'ETIMEDOUT' }),
+    }));
+  });
+
+  it('should let one probe through when half-open and close on success', () => {
+    const breaker = new CircuitBreaker();
+    breaker.recordFailure(apiError(401), null, start);
+
+    const probe = breaker.check('111', start + minutes(31));
+    expect(probe).toEqual(expect.objectContaining({ allowed: true, probe: true }));
+    expect(breaker.check('222', start + minutes(31)).allowed).toBe(false);
+
+    breaker.recordSuccess('111');
+    expect(breaker.getStatus()).toEqual({ state: 'closed', circuits: [], lastError: null });
+  });
+
+  it('should reopen with a doubled cooldown when the probe fails', () => {
+    const breaker = new CircuitBreaker();
+    breaker.recordFailure(apiError(401), null, start);
+    breaker.check(null, start + minutes(30));
+
+    breaker.recordFailure(apiError(401), null, start + minutes(30));
+
+    const [circuit] = breaker.getStatus().circuits;
+    expect(circuit).toEqual(expect.objectContaining({ state: 'open', failures: 2 }));
+    expect(circuit.retryAt).toBe(new Date(start + minutes(90)).toISOString());
+  });
+
+  it('should track missing lists per list', () => {
+    const breaker = new CircuitBreaker();
+    breaker.recordFailure(apiError(404), 'deleted', start);
+    breaker.recordFailure(apiError(404), 'deleted', start);
+
+    expect(breaker.check('deleted', start).allowed).toBe(false);
+    expect(breaker.check('other', start).allowed).toBe(true);
+    expect(breaker.getOpenCircuits('deleted').map(circuit => circuit.key)).toEqual(['not-found:deleted']);
+    expect(breaker.getOpenCircuits('other')).toEqual([]);
+  });
+
+  it('should hold a rate-limit circuit open until the window resets', () => {
+    const breaker = new CircuitBreaker();
+    const reset = (start + minutes(40)) / 1000;
+    breaker.recordFailure(Object.assign(apiError(429), { rateLimit: { limit: 5, remaining: 0, reset } }), '111', start);
+
+    expect(breaker.check('111', start + minutes(20)).allowed).toBe(false);
+    expect(breaker.check('111', start + minutes(40)).allowed).toBe(true);
+  });
+
+  it('should restore open circuits after a restart', async () => {
+    const store = createStore();
+    const breaker = new CircuitBreaker(store);
+    await breaker.ready;
+    breaker.recordFailure(apiError(401), null, Date.now());
+    await breaker.saving;
+
+    const restarted = new CircuitBreaker(store);
+    await restarted.ready;
+
+    expect(restarted.check('111').allowed).toBe(false);
+  });
+});
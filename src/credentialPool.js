@@ -0,0 +1,338 @@
+/**
+ * Credential Pool
+ * Spreads API requests across several developer apps and user tokens. Every
+ * credential gets its own TwitterService, so rate limit windows are tracked
+ * (and persisted) per credential. Each call goes to the eligible credential
+ * with the most requests left in the endpoint's window; a credential that
+ * answers 401/403 is quarantined for a while and the call moves on to the
+ * next one. Private lists are only fetched with user-context credentials
+ * that can see them.
+ *
+ * The pool exposes the TwitterService methods the app uses, so it stands in
+ * for a single service.
+ */
+
+const TwitterService = require('./twitterService');
+const TierProfile = require('./tierProfile');
+
+// Simple logger for credential pool operations
+const poolLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [CREDENTIALS] ${message}${metaStr}`);
+  },
+  warn: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.warn(`[${timestamp}] [WARN] [CREDENTIALS] ${message}${metaStr}`);
+  }
+};
+
+const LIST_ENDPOINTS = ['/2/lists/:id', '/2/lists/:id/tweets'];
+
+function invalidCredentials(message) {
+  return new Error(`Invalid TWITTER_CREDENTIALS: ${message}`);
+}
+
+class CredentialPool {
+  /**
+   * credentials: [{ id, bearerToken } | { id, appKey, appSecret, accessToken, accessSecret, lists }]
+   * where `lists` optionally names the private lists a user token can see.
+   * Options: database, profile, privateLists (IDs known to be private),
+   * quarantineMinutes, createSource (builds the TweetSource of a credential,
+   * default the live API), createService (builds the TwitterService of a credential)
+   */
+  constructor(credentials, options = {}) {
+    if (!credentials || credentials.length === 0) {
+      throw new Error('No valid Twitter API credentials found. Need either Bearer Token or OAuth 1.0a credentials.');
+    }
+
+    this.profile = options.profile || TierProfile.fromEnv();
+    this.quarantineMinutes = options.quarantineMinutes || 60;
+    this.privateLists = new Set((options.privateLists || []).map(String));
+    const createService = options.createService || ((credential, serviceOptions) => new TwitterService(
+      credential.bearerToken || credential,
+      {
+        ...serviceOptions,
+        source: options.createSource ? options.createSource(credential.bearerToken || credential) : undefined
+      }
+    ));
+
+    this.members = credentials.map(credential => ({
+      id: credential.id,
+      authType: credential.bearerToken ? 'app-only' : 'user-context',
+      lists: credential.lists ? credential.lists.map(String) : null, // null: every list the token can see
+      service: createService(credential, { database: options.database, profile: this.profile, credentialId: credential.id }),
+      quarantinedUntil: null,
+      lastError: null,
+      lastUsedAt: 0
+    }));
+
+    poolLogger.info('Credential pool ready', {
+      credentials: this.members.map(member => ({ id: member.id, authType: member.authType }))
+    });
+  }
+
+  /**
+   * TWITTER_CREDENTIALS (JSON array) plus the single-credential variables:
+   * TWITTER_API_KEY/SECRET with TWITTER_ACCESS_TOKEN/SECRET ("user") and
+   * TWITTER_BEARER_TOKEN ("app"), unless options.credentials are given
+   */
+  static fromEnv(env = process.env, options = {}) {
+    return new CredentialPool(options.credentials || CredentialPool.parseCredentials(env), {
+      quarantineMinutes: parseFloat(env.CREDENTIAL_QUARANTINE_MINUTES),
+      ...options
+    });
+  }
+
+  static parseCredentials(env = process.env) {
+    let configured = [];
+    if (env.TWITTER_CREDENTIALS) {
+      try {
+        configured = JSON.parse(env.TWITTER_CREDENTIALS);
+      } catch (error) {
+        throw invalidCredentials(error.message);
+      }
+      if (!Array.isArray(configured)) {
+        throw invalidCredentials('expected a JSON array');
+      }
+    }
+
+    const credentials = configured.map((entry, index) => {
+      const id = entry && entry.id ? String(entry.id) : `credential-${index + 1}`;
+      if (entry && entry.bearerToken) {
+        return { id, bearerToken: entry.bearerToken };
+      }
+      if (entry && entry.appKey && entry.appSecret && entry.accessToken && entry.accessSecret) {
+        return {
+          id,
+          appKey: entry.appKey,
+          appSecret: entry.appSecret,
+          accessToken: entry.accessToken,
+          accessSecret: entry.accessSecret,
+          lists: Array.isArray(entry.lists) ? entry.lists : null
+        };
+      }
+      throw invalidCredentials(`${id} needs a bearerToken or appKey, appSecret, accessToken and accessSecret`);
+    });
+
+    if (env.TWITTER_API_KEY && env.TWITTER_API_SECRET && env.TWITTER_ACCESS_TOKEN && env.TWITTER_ACCESS_SECRET) {
+      credentials.push({
+        id: 'user',
+        appKey: env.TWITTER_API_KEY,
+        appSecret: env.TWITTER_API_SECRET,
+        accessToken: env.TWITTER_ACCESS_TOKEN,
+        accessSecret: env.TWITTER_ACCESS_SECRET,
+        lists: null
+      });
+    }
+    if (env.TWITTER_BEARER_TOKEN) {
+      credentials.push({ id: 'app', bearerToken: env.TWITTER_BEARER_TOKEN });
+    }
+
+    const ids = credentials.map(credential => credential.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw invalidCredentials(`duplicate credential id "${duplicate}"`);
+    }
+    return credentials;
+  }
+
+  get size() {
+    return this.members.length;
+  }
+
+  get canAccessPrivateLists() {
+    return this.members.some(member => member.authType === 'user-context');
+  }
+
+  /**
+   * Record whether a list is private (from configuration or its metadata)
+   */
+  setListPrivacy(listId, isPrivate) {
+    if (isPrivate) {
+      this.privateLists.add(String(listId));
+    } else {
+      this.privateLists.delete(String(listId));
+    }
+  }
+
+  isQuarantined(member, now = Date.now()) {
+    return member.quarantinedUntil !== null && member.quarantinedUntil > now;
+  }
+
+  quarantine(member, error) {
+    member.quarantinedUntil = Date.now() + this.quarantineMinutes * 60 * 1000;
+    member.lastError = { code: error.code || null, message: error.message };
+    poolLogger.warn('Credential quarantined', {
+      credentialId: member.id,
+      code: error.code,
+      error: error.message,
+      until: new Date(member.quarantinedUntil).toISOString()
+    });
+  }
+
+  /**
+   * Credentials allowed to serve a request for the given list (none: any list)
+   */
+  canServe(member, listId) {
+    if (!listId || !this.privateLists.has(String(listId))) {
+      return true;
+    }
+    return member.authType === 'user-context' && (!member.lists || member.lists.includes(String(listId)));
+  }
+
+  /**
+   * Usable credentials for a request, the most remaining budget first and the
+   * least recently used among equals. When every eligible credential is
+   * quarantined the one released soonest is retried alone; the app's circuit
+   * breaker paces those attempts.
+   */
+  candidates(endpoint, listId = null) {
+    const now = Date.now();
+    const eligible = this.members.filter(member => this.canServe(member, listId));
+    const usable = eligible.filter(member => !this.isQuarantined(member, now));
+    if (usable.length === 0) {
+      return eligible.sort((a, b) => a.quarantinedUntil - b.quarantinedUntil).slice(0, 1);
+    }
+    return usable
+      .map(member => ({ member, budget: member.service.getRemainingBudget(endpoint) }))
+      .sort((a, b) => (b.budget - a.budget) || (a.member.lastUsedAt - b.member.lastUsedAt))
+      .map(candidate => candidate.member);
+  }
+
+  /**
+   * Run a request with the best credential, failing over on auth errors and
+   * exhausted windows
+   */
+  async execute(endpoint, listId, request) {
+    const candidates = this.candidates(endpoint, listId);
+    if (candidates.length === 0) {
+      // Reported as the auth failure it amounts to
+      const error = new Error(`No usable user-context credential can read private list ${listId}`);
+      error.code = 403;
+      throw error;
+    }
+
+    let lastError;
+    for (const member of candidates) {
+      member.lastUsedAt = Date.now();
+      try {
+        return await request(member.service);
+      } catch (error) {
+        lastError = error;
+        if (!this.isFailoverError(member, endpoint, listId, error)) {
+          throw error;
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Decide what an error means for the credential; true moves on to the next one
+   */
+  isFailoverError(member, endpoint, listId, error) {
+    if (error.code === 429) {
+      // The credential's own window now records the exhaustion
+      poolLogger.warn('Credential rate limited, trying the next one', { credentialId: member.id, endpoint });
+      return true;
+    }
+    if (error.code === 403 && listId && LIST_ENDPOINTS.includes(endpoint) && member.authType === 'app-only' && this.canAccessPrivateLists) {
+      // App-only tokens cannot see private lists; that says nothing about the token
+      poolLogger.warn('List refused an app-only credential, treating it as private', { credentialId: member.id, listId });
+      this.setListPrivacy(listId, true);
+      return true;
+    }
+    if (error.code === 401 || error.code === 403) {
+      this.quarantine(member, error);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Verify every credential; failing ones are quarantined. True while one works.
+   */
+  async verifyCredentials() {
+    let verified = 0;
+    for (const member of this.members) {
+      if (await member.service.verifyCredentials()) {
+        verified++;
+      } else {
+        this.quarantine(member, { code: 401, message: 'Credential verification failed' });
+      }
+    }
+    poolLogger.info('Credentials verified', { verified, total: this.members.length });
+    return verified > 0;
+  }
+
+  async fetchListTimeline(listId, options = {}) {
+    return this.execute('/2/lists/:id/tweets', listId, service => service.fetchListTimeline(listId, options));
+  }
+
+  async getListTweets(listId, sinceId = null, options = {}) {
+    const timeline = await this.fetchListTimeline(listId, { ...options, sinceId });
+    return timeline.tweets;
+  }
+
+  async getListInfo(listId) {
+    try {
+      const info = await this.execute('/2/lists/:id', listId, service => service.requestListInfo(listId));
+      if (info && info.private === true) {
+        this.setListPrivacy(listId, true);
+      }
+      return info;
+    } catch (error) {
+      poolLogger.warn('Failed to fetch list information', { listId, error: error.message, code: error.code });
+      return null;
+    }
+  }
+
+  /**
+   * Whether any credential that can read the list would send a timeline request now
+   */
+  async canFetchList(listId = null) {
+    let blocked = { canRequest: false, resetTime: null };
+    for (const member of this.candidates('/2/lists/:id/tweets', listId)) {
+      const result = await member.service.canFetchList();
+      if (result.canRequest) {
+        return result;
+      }
+      if (result.resetTime && (!blocked.resetTime || result.resetTime < blocked.resetTime)) {
+        blocked = result;
+      }
+    }
+    return blocked;
+  }
+
+  checkTierProfile() {
+    const checks = this.members.map(member => ({ id: member.id, ...member.service.checkTierProfile() }));
+    return {
+      tier: this.profile.name,
+      checked: [...new Set(checks.flatMap(check => check.checked))],
+      mismatches: checks.flatMap(check => check.mismatches.map(mismatch => ({ credentialId: check.id, ...mismatch })))
+    };
+  }
+
+  getRateLimitStatus(endpoint = null) {
+    return Object.fromEntries(this.members.map(member => [member.id, member.service.getRateLimitStatus(endpoint)]));
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return this.members.map(member => ({
+      id: member.id,
+      authType: member.authType,
+      lists: member.lists,
+      quarantined: this.isQuarantined(member, now),
+      quarantinedUntil: this.isQuarantined(member, now) ? new Date(member.quarantinedUntil).toISOString() : null,
+      lastError: member.lastError,
+      lastUsedAt: member.lastUsedAt ? new Date(member.lastUsedAt).toISOString() : null,
+      listBudget: member.service.getRemainingBudget('/2/lists/:id/tweets')
+    }));
+  }
+}
+
+module.exports = CredentialPool;
@@ -0,0 +1,134 @@
+const CredentialPool = require('./credentialPool');
+const TierProfile = require('./tierProfile');
+
+const apiError = (code, message = `HTTP ${code}`) => Object.assign(new Error(message), { code });
+
+// Stand-in TwitterService whose remaining list budget is fixed per credential
+const fakeService = (credential, budgets) => ({
+  id: credential.id,
+  fetchListTimeline: jest.fn(async listId => ({ tweets: [], listId, credentialId: credential.id })),
+  requestListInfo: jest.fn(async listId => ({ id: listId, name: 'List' })),
+  verifyCredentials: jest.fn(async () => true),
+  canFetchList: jest.fn(async () => ({ canRequest: budgets[credential.id] > 0, resetTime: budgets[credential.id] > 0 ? null : 1000 })),
+  getRemainingBudget: jest.fn(() => budgets[credential.id]),
+  checkTierProfile: jest.fn(() => ({ tier: 'free', checked: [], mismatches: [] })),
+  getRateLimitStatus: jest.fn(() => ({ hasInfo: false })),
+});
+
+describe('CredentialPool', () => {
+  const credentials = [
+    { id: 'app-a', bearerToken: 'a' },
+    { id: 'app-b', bearerToken: 'b' },
+    { id: 'me', appKey: 'k', appSecret: 's', accessToken: 't', accessSecret: 'x', lists: ['private-1'] },
+  ];
+  let budgets;
+  let pool;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    budgets = { 'app-a': 1, 'app-b': 4, me: 2 };
+    pool = new CredentialPool(credentials, {
+      profile: TierProfile.fromEnv({}),
+      privateLists: ['private-1'],
+      createService: credential => fakeService(credential, budgets),
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const member = id => pool.members.find(entry => entry.id === id);
+
+  it('should build credentials from TWITTER_CREDENTIALS and the single-credential variables', () => {
+    const parsed = CredentialPool.parseCredentials({
+      TWITTER_CREDENTIALS: JSON.stringify([{ id: 'second-app', bearerToken: 'b2' }]),
+      TWITTER_BEARER_TOKEN: 'b1',
+      TWITTER_API_KEY: 'k', TWITTER_API_SECRET: 's', TWITTER_ACCESS_TOKEN: 't', TWITTER_ACCESS_SECRET: 'x',
+    });
+
+    expect(parsed.map(credential => credential.id)).toEqual(['second-app', 'user', 'app']);
+    expect(() => CredentialPool.parseCredentials({ TWITTER_CREDENTIALS: '[{"id":"half","appKey":"k"}]' })).toThrow('Invalid TWITTER_CREDENTIALS');
+    expect(() => CredentialPool.parseCredentials({ TWITTER_CREDENTIALS: '[{"id":"app","bearerToken":"x"}]', TWITTER_BEARER_TOKEN: 'y' })).toThrow('duplicate credential id "app"');
+  });
+
+  it('should build each service on the source it is given', () => {
+    const createSource = jest.fn(() => ({ describe: () => 'fixture:test' }));
+    const fromEnv = CredentialPool.fromEnv({}, {
+      credentials: [{ id: 'fixture', bearerToken: 'fixture' }],
+      profile: TierProfile.fromEnv({}),
+      createSource,
+    });
+
+    expect(createSource).toHaveBeenCalledWith('fixture');
+    expect(fromEnv.members[0].service.source.describe()).toBe('fixture:test');
+  });
+
+  it('should send each request to the credential with the most remaining budget', async () => {
+    expect((await pool.fetchListTimeline('public-1')).credentialId).toBe('app-b');
+
+    budgets['app-b'] = 0;
+    expect((await pool.fetchListTimeline('public-1')).credentialId).toBe('me');
+  });
+
+  it('should only fetch private lists with user-context credentials that can see them', async () => {
+    budgets.me = 0;
+    expect((await pool.fetchListTimeline('private-1')).credentialId).toBe('me');
+
+    pool.setListPrivacy('private-2', true);
+    await expect(pool.fetchListTimeline('private-2')).rejects.toThrow('No usable user-context credential can read private list private-2');
+  });
+
+  it('should quarantine a credential that answers 401 and fail over', async () => {
+    member('app-b').service.fetchListTimeline.mockRejectedValueOnce(apiError(401));
+
+    expect((await pool.fetchListTimeline('public-1')).credentialId).toBe('me');
+    expect(pool.getStatus().find(status => status.id === 'app-b')).toEqual(expect.objectContaining({
+      quarantined: true,
+      lastError: { code: 401, message: 'HTTP 401' },
+    }));
+    expect(pool.candidates('/2/lists/:id/tweets', 'public-1').map(entry => entry.id)).toEqual(['me', 'app-a']);
+  });
+
+  it('should retry the credential released soonest once all are quarantined', async () => {
+    pool.quarantine(member('app-a'), apiError(401));
+    pool.quarantine(member('me'), apiError(401));
+    pool.quarantine(member('app-b'), apiError(401));
+    member('app-a').quarantinedUntil -= 1000;
+
+    expect(pool.candidates('/2/lists/:id/tweets', 'public-1').map(entry => entry.id)).toEqual(['app-a']);
+    expect((await pool.fetchListTimeline('public-1')).credentialId).toBe('app-a');
+  });
+
+  it('should treat a list refusing an app-only credential as private instead of quarantining it', async () => {
+    member('app-b').service.fetchListTimeline.mockRejectedValueOnce(apiError(403));
+
+    expect((await pool.fetchListTimeline('secret')).credentialId).toBe('me');
+    expect(pool.privateLists.has('secret')).toBe(true);
+    expect(pool.getStatus().every(status => !status.quarantined)).toBe(true);
+  });
+
+  it('should not fail over on errors unrelated to the credential', async () => {
+    member('app-b').service.fetchListTimeline.mockRejectedValueOnce(apiError(404, 'List not found'));
+
+    await expect(pool.fetchListTimeline('missing')).rejects.toThrow('List not found');
+    expect(member('me').service.fetchListTimeline).not.toHaveBeenCalled();
+  });
+
+  it('should verify every credential and quarantine the failing ones', async () => {
+    member('app-a').service.verifyCredentials.mockResolvedValueOnce(false);
+
+    await expect(pool.verifyCredentials()).resolves.toBe(true);
+    expect(pool.getStatus().filter(status => status.quarantined).map(status => status.id)).toEqual(['app-a']);
+  });
+
+  it('should report a list fetchable while any eligible credential has budget', async () => {
+    budgets['app-a'] = 0;
+    budgets['app-b'] = 0;
+    await expect(pool.canFetchList('public-1')).resolves.toEqual(expect.objectContaining({ canRequest: true }));
+
+    budgets.me = 0;
+    await expect(pool.canFetchList('private-1')).resolves.toEqual({ canRequest: false, resetTime: 1000 });
+  });
+});
@@ -1,5 +1,129 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const Migrator = require('./migrator');
+const { createStorageDriver, getDatabaseTarget } = require('./storage');
+
+/**
+ * Split user search input into terms. Supports "quoted phrases", prefix*
+ * terms, -excluded terms and OR between terms.
+ * Returns { included, excluded } where included mixes terms and 'OR'.
+ */
+function parseSearchTerms(input) {
+  const tokens = String(input || '').match(/-?"[^"]*"\*?|\S+/g) || [];
+  const included = [];
+  const excluded = [];
+
+  tokens.forEach(token => {
+    if (token === 'OR') {
+      if (included.length > 0 && included[included.length - 1] !== 'OR') {
+        included.push('OR');
+      }
+      return;
+    }
+
+    const negated = token.startsWith('-') && token.length > 1;
+    let text = negated ? token.slice(1) : token;
+    const prefix = text.length > 1 && text.endsWith('*');
+    if (prefix) {
+      text = text.slice(0, -1);
+    }
+    text = text.replace(/^"|"$/g, '').trim();
+    if (!text) {
+      return;
+    }
+
+    (negated ? excluded : included).push({ text, prefix });
+  });
+
+  if (included[included.length - 1] === 'OR') {
+    included.pop();
+  }
+  return { included, excluded };
+}
+
+/**
+ * Turn user input into a safe FTS5 query
+ * Terms are quoted so punctuation cannot break the MATCH syntax.
+ */
+function toSearchQuery(input) {
+  const { included, excluded } = parseSearchTerms(input);
+  const format = term => `"${term.text.replace(/"/g, '""')}"` + (term.prefix ? '*' : '');
+
+  // FTS5 NOT is binary, so a query needs at least one positive term
+  if (included.length === 0) {
+    return null;
+  }
+
+  return [
+    included.map(term => (term === 'OR' ? 'OR' : format(term))).join(' '),
+    ...excluded.map(term => `NOT ${format(term)}`)
+  ].join(' ');
+}
+
+/**
+ * Same input as toSearchQuery, as a PostgreSQL tsquery for the 'simple' config.
+ * Terms are reduced to the word characters the index keeps, phrases use <->,
+ * and OR binds tighter than AND as it does in FTS5.
+ */
+function toTsQuery(input) {
+  const { included, excluded } = parseSearchTerms(input);
+  const format = (term) => {
+    const words = term.text.toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (words.length === 0) {
+      return null;
+    }
+    const phrase = words.join(' <-> ') + (term.prefix ? ':*' : '');
+    return words.length > 1 ? `(${phrase})` : phrase;
+  };
+
+  // Consecutive terms are ANDed; OR adds an alternative to the previous clause
+  const clauses = [];
+  let previousWasOr = false;
+  included.forEach(term => {
+    if (term === 'OR') {
+      previousWasOr = clauses.length > 0;
+      return;
+    }
+    const formatted = format(term);
+    if (!formatted) {
+      return;
+    }
+    if (previousWasOr) {
+      clauses[clauses.length - 1].push(formatted);
+    } else {
+      clauses.push([formatted]);
+    }
+    previousWasOr = false;
+  });
+
+  if (clauses.length === 0) {
+    return null;
+  }
+
+  return [
+    ...clauses.map(alternatives => (alternatives.length > 1 ? `(${alternatives.join(' | ')})` : alternatives[0])),
+    ...excluded.map(format).filter(Boolean).map(term => `!${term}`)
+  ].join(' & ');
+}
+
+// Columns written by saveTweets, also compared to tell updates from duplicates
+const TWEET_COLUMNS = [
+  'id', 'text', 'author_id', 'author_username', 'author_name', 'author_profile_image', 'created_at',
+  'public_metrics', 'entities', 'referenced_tweets', 'media', 'conversation_id', 'lang', 'source'
+];
+
+// NDJSON archive format written by exportArchive() and read by importArchive()
+const ARCHIVE_FORMAT = 'twitter2rss-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_PAGE_SIZE = 500;
+const REQUIRED_TWEET_FIELDS = ['id', 'text', 'author_id', 'author_username', 'author_name', 'created_at'];
+
+function invalidArchiveOption(message) {
+  const error = new Error(message);
+  error.code = 400;
+  return error;
+}
 
 // Simple logger for database operations
 const dbLogger = {
@@ -25,26 +149,37 @@ const dbLogger = {
 class Database {
   constructor() {
     this.db = null;
+    this.searchAvailable = false;
     dbLogger.info('Initializing database connection');
     this.init();
   }
 
-  init() {
-    // Create database file in a persistent directory
-    // For serverless, try to use /tmp directory as fallback
+  /**
+   * Database file in a persistent directory; serverless falls back to /tmp
+   */
+  static getDefaultPath() {
     const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
-    const dbPath = isServerless 
-      ? '/tmp/tweets.db' 
+    return isServerless
+      ? '/tmp/tweets.db'
       : path.join(__dirname, '..', 'data', 'tweets.db');
+  }
+
+  init() {
+    const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME;
+    // DATABASE_URL (PostgreSQL) takes precedence over the local SQLite file
+    const target = getDatabaseTarget(Database.getDefaultPath());
+    this.db = createStorageDriver(target);
+    const dbPath = this.db.describe();
     
     dbLogger.info('Database path determined', { 
       path: dbPath, 
+      driver: this.db.name,
       isServerless,
       environment: process.env.NODE_ENV || 'unknown'
     });
     
-    // Ensure data directory exists (only for non-serverless)
-    if (!isServerless) {
+    // Ensure data directory exists (only for a local file outside serverless)
+    if (!isServerless && this.db.dialect === 'sqlite') {
       const fs = require('fs');
       const dataDir = path.dirname(dbPath);
       if (!fs.existsSync(dataDir)) {
@@ -53,259 +188,691 @@ class Database {
       }
     }
 
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
+    this.ready = this.db.open().then(
+      () => {
+        dbLogger.info('Database connection established', { path: dbPath, driver: this.db.name });
+        // A failed or refused migration must stop startup (awaited by the app)
+        return this.createTables().catch((migrationErr) => {
+          dbLogger.error('Database schema setup failed', { error: migrationErr.message });
+          throw migrationErr;
+        });
+      },
+      (err) => {
         dbLogger.error('Failed to open database', { 
           error: err.message, 
           path: dbPath 
         });
-      } else {
-        dbLogger.info('Database connection established', { path: dbPath });
-        this.createTables();
       }
-    });
+    );
+    // Avoid an unhandled rejection before anyone awaits ready
+    this.ready.catch(() => {});
   }
 
+  /**
+   * Bring the schema up to date through the versioned migrations in
+   * src/migrations, then fill the search index for any unindexed tweets
+   */
   createTables() {
-    dbLogger.info('Creating database tables if they do not exist');
-    
-    const createTweetsTable = `
-      CREATE TABLE IF NOT EXISTS tweets (
-        id TEXT PRIMARY KEY,
-        text TEXT NOT NULL,
-        author_id TEXT NOT NULL,
-        author_username TEXT NOT NULL,
-        author_name TEXT NOT NULL,
-        created_at TEXT NOT NULL,
-        public_metrics TEXT,
-        entities TEXT,
-        referenced_tweets TEXT,
-        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createConfigTable = `
-      CREATE TABLE IF NOT EXISTS config (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    // Create indexes for better performance
-    const createIndexes = [
-      'CREATE INDEX IF NOT EXISTS idx_tweets_created_at ON tweets(created_at DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_tweets_fetched_at ON tweets(fetched_at DESC)',
-      'CREATE INDEX IF NOT EXISTS idx_tweets_author_id ON tweets(author_id)',
-      'CREATE INDEX IF NOT EXISTS idx_config_key ON config(key)'
-    ];
+    dbLogger.info('Checking database schema version');
 
-    // Use serialize to ensure proper execution order
-    this.db.serialize(() => {
-      // Create tables first
-      this.db.run(createTweetsTable, (err) => {
-        if (err) {
-          dbLogger.error('Failed to create tweets table', { error: err.message });
-        } else {
-          dbLogger.info('Tweets table created or verified');
-        }
-      });
-      
-      this.db.run(createConfigTable, (err) => {
-        if (err) {
-          dbLogger.error('Failed to create config table', { error: err.message });
-        } else {
-          dbLogger.info('Config table created or verified');
-        }
-      });
-      
-      // Create indexes after tables are created
-      dbLogger.info('Creating performance indexes');
-      createIndexes.forEach((indexQuery, i) => {
-        this.db.run(indexQuery, (err) => {
-          if (err) {
-            dbLogger.error('Failed to create index', { 
-              error: err.message, 
-              indexNumber: i + 1 
-            });
-          } else {
-            dbLogger.debug('Index created or verified', { indexNumber: i + 1 });
-          }
-        });
-      });
-    });
+    return new Migrator(this.db).migrate()
+      .then(() => this.detectSearchIndex())
+      .then(() => this.indexUnsearchedTweets());
   }
 
-  async saveTweets(tweets) {
-    dbLogger.info('Saving tweets to database', { count: tweets.length });
-    
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT OR REPLACE INTO tweets 
-        (id, text, author_id, author_username, author_name, created_at, public_metrics, entities, referenced_tweets)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-
-      let savedCount = 0;
-      let errors = [];
-
-      tweets.forEach((tweet, index) => {
-        stmt.run([
-          tweet.id,
-          tweet.text,
-          tweet.author_id,
-          tweet.author_username,
-          tweet.author_name,
-          tweet.created_at,
-          JSON.stringify(tweet.public_metrics || {}),
-          JSON.stringify(tweet.entities || {}),
-          JSON.stringify(tweet.referenced_tweets || [])
-        ], (err) => {
-          if (err) {
-            errors.push({ index, tweetId: tweet.id, error: err.message });
-            dbLogger.error('Failed to save tweet', { 
-              tweetId: tweet.id, 
-              index, 
-              error: err.message 
-            });
-          } else {
-            savedCount++;
-            dbLogger.debug('Tweet saved', { tweetId: tweet.id, index });
+  async detectSearchIndex() {
+    this.searchAvailable = await this.db.hasTable('tweets_fts');
+    if (!this.searchAvailable) {
+      dbLogger.error('Search index not available, search disabled');
+    }
+    return this.searchAvailable;
+  }
+
+  /**
+   * Upsert tweets (and their list membership and search rows) in one transaction
+   * Returns the tweet IDs by outcome:
+   *   inserted  - new to the archive, or new to the given list
+   *   updated   - already stored, but text, metrics or other fields changed
+   *   unchanged - duplicates of what is already stored
+   * Archive imports never overwrite a tweet fetched through the API: the
+   * archive lacks its expanded references, media variants and fresh metrics.
+   */
+  async saveTweets(tweets, listId = null) {
+    dbLogger.info('Saving tweets to database', { count: tweets.length, listId });
+
+    const searchAvailable = this.searchAvailable;
+    const result = { inserted: [], updated: [], unchanged: [] };
+    try {
+      await this.db.transaction(async (tx) => {
+        for (const tweet of tweets) {
+          const row = Database.toTweetRow(tweet);
+          const existing = await tx.get(`SELECT ${TWEET_COLUMNS.join(', ')} FROM tweets WHERE id = ?`, [tweet.id]);
+          const keepFetched = existing && row.source === 'archive' && existing.source !== 'archive';
+          const changed = !existing || (!keepFetched && TWEET_COLUMNS.some(column => existing[column] !== row[column]));
+
+          if (changed) {
+            await tx.run(`
+              INSERT INTO tweets (${TWEET_COLUMNS.join(', ')})
+              VALUES (${TWEET_COLUMNS.map(() => '?').join(', ')})
+              ON CONFLICT (id) DO UPDATE SET
+                ${TWEET_COLUMNS.filter(column => column !== 'id').map(column => `${column} = excluded.${column}`).join(', ')},
+                fetched_at = CURRENT_TIMESTAMP
+            `, TWEET_COLUMNS.map(column => row[column]));
+
+            // Replace the tweet's search row so edits and re-fetches stay in sync
+            if (searchAvailable) {
+              await tx.run('DELETE FROM tweets_fts WHERE tweet_id = ?', [tweet.id]);
+              await tx.run(`
+                INSERT INTO tweets_fts (tweet_id, text, author_username, author_name, urls) VALUES (?, ?, ?, ?, ?)
+              `, Database.buildSearchDocument(tweet));
+            }
+          }
+
+          let addedToList = false;
+          if (listId) {
+            const { changes } = await tx.run(
+              'INSERT INTO tweet_lists (tweet_id, list_id) VALUES (?, ?) ON CONFLICT DO NOTHING',
+              [tweet.id, listId]
+            );
+            addedToList = changes > 0;
           }
-        });
-      });
 
-      stmt.finalize((err) => {
-        if (err) {
-          dbLogger.error('Failed to finalize statement', { 
-            error: err.message,
-            savedCount,
-            totalCount: tweets.length
-          });
-          reject(err);
-        } else {
-          dbLogger.info('Tweets save operation completed', { 
-            savedCount, 
-            totalCount: tweets.length,
-            errorCount: errors.length
-          });
-          
-          if (errors.length > 0) {
-            dbLogger.error('Some tweets failed to save', { errors });
+          if (!existing || addedToList) {
+            result.inserted.push(tweet.id);
+          } else if (changed) {
+            result.updated.push(tweet.id);
+          } else {
+            result.unchanged.push(tweet.id);
           }
-          
-          resolve();
+
+          dbLogger.debug('Tweet saved', { tweetId: tweet.id, changed, addedToList });
         }
       });
+    } catch (error) {
+      // The whole batch is rolled back, so the since_id cursor does not move past it
+      dbLogger.error('Failed to save tweets, batch rolled back', {
+        error: error.message,
+        totalCount: tweets.length
+      });
+      throw error;
+    }
+
+    dbLogger.info('Tweets save operation completed', {
+      inserted: result.inserted.length,
+      updated: result.updated.length,
+      unchanged: result.unchanged.length,
+      totalCount: tweets.length
     });
+    return result;
   }
 
-  async getTweets(limit = 50) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        `SELECT * FROM tweets ORDER BY created_at DESC LIMIT ?`,
-        [limit],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            const tweets = rows.map(row => ({
-              ...row,
-              public_metrics: JSON.parse(row.public_metrics || '{}'),
-              entities: JSON.parse(row.entities || '{}'),
-              referenced_tweets: JSON.parse(row.referenced_tweets || '[]')
-            }));
-            resolve(tweets);
-          }
-        }
-      );
+  /**
+   * Column values for a tweet, with nested objects serialized as stored
+   */
+  static toTweetRow(tweet) {
+    return {
+      id: tweet.id,
+      text: tweet.text,
+      author_id: tweet.author_id,
+      author_username: tweet.author_username,
+      author_name: tweet.author_name,
+      author_profile_image: tweet.author_profile_image || null,
+      created_at: tweet.created_at,
+      public_metrics: JSON.stringify(tweet.public_metrics || {}),
+      entities: JSON.stringify(tweet.entities || {}),
+      referenced_tweets: JSON.stringify(tweet.referenced_tweets || []),
+      media: JSON.stringify(tweet.media || []),
+      conversation_id: tweet.conversation_id || null,
+      lang: tweet.lang || null,
+      // Where the tweet came from: 'api' for fetched tweets, 'archive' for account archive imports
+      source: tweet.source || 'api'
+    };
+  }
+
+  async getTweets(limit = 50, listId = null) {
+    const query = listId
+      ? `SELECT t.* FROM tweets t
+         INNER JOIN tweet_lists tl ON tl.tweet_id = t.id
+         WHERE tl.list_id = ?
+         ORDER BY t.created_at DESC LIMIT ?`
+      : `SELECT * FROM tweets ORDER BY created_at DESC LIMIT ?`;
+    const params = listId ? [listId, limit] : [limit];
+
+    const rows = await this.db.all(query, params);
+    return rows.map(row => Database.parseTweetRow(row));
+  }
+
+  static parseTweetRow(row) {
+    return {
+      ...row,
+      public_metrics: JSON.parse(row.public_metrics || '{}'),
+      entities: JSON.parse(row.entities || '{}'),
+      referenced_tweets: JSON.parse(row.referenced_tweets || '[]'),
+      media: JSON.parse(row.media || '[]')
+    };
+  }
+
+  /**
+   * Search index row for a tweet: [tweet_id, text, author_username, author_name, urls]
+   * Retweets also index the original text, which the retweet truncates.
+   */
+  static buildSearchDocument(tweet) {
+    const references = tweet.referenced_tweets || [];
+    const texts = [tweet.text || ''];
+    references.forEach(reference => {
+      if (reference.type === 'retweeted' && reference.tweet && reference.tweet.text) {
+        texts.push(reference.tweet.text);
+      }
     });
+
+    const urls = ((tweet.entities && tweet.entities.urls) || [])
+      .map(url => url.expanded_url || url.url)
+      .filter(Boolean);
+
+    return [tweet.id, texts.join('\n'), tweet.author_username || '', tweet.author_name || '', urls.join(' ')];
   }
 
-  async getConfig(key) {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        `SELECT value FROM config WHERE key = ?`,
-        [key],
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row ? row.value : null);
-        }
-      );
+  /**
+   * Add search rows for tweets stored before the index existed
+   */
+  async indexUnsearchedTweets() {
+    if (!this.searchAvailable) {
+      return 0;
+    }
+
+    const rows = await this.db.all('SELECT * FROM tweets WHERE id NOT IN (SELECT tweet_id FROM tweets_fts)');
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    dbLogger.info('Indexing archived tweets for search', { count: rows.length });
+    await this.db.transaction(async (tx) => {
+      for (const row of rows) {
+        await tx.run(`
+          INSERT INTO tweets_fts (tweet_id, text, author_username, author_name, urls) VALUES (?, ?, ?, ?, ?)
+        `, Database.buildSearchDocument(Database.parseTweetRow(row)));
+      }
     });
+    return rows.length;
+  }
+
+  /**
+   * Full-text search over stored tweets
+   * Options: limit, listId, sort ('recent' or 'relevance')
+   */
+  async searchTweets(query, { limit = 50, listId = null, sort = 'recent' } = {}) {
+    if (!this.searchAvailable) {
+      throw new Error('Search is not available: SQLite was built without FTS5');
+    }
+
+    const postgres = this.db.dialect === 'postgres';
+    const match = postgres ? toTsQuery(query) : toSearchQuery(query);
+    if (!match) {
+      const error = new Error('Search query must contain at least one term');
+      error.code = 400;
+      throw error;
+    }
+
+    const relevance = sort === 'relevance';
+    const rank = postgres ? `ts_rank(f.document, to_tsquery('simple', ?)) DESC` : 'bm25(tweets_fts)';
+    const sql = `SELECT t.* FROM tweets_fts f
+      INNER JOIN tweets t ON t.id = f.tweet_id
+      ${listId ? 'INNER JOIN tweet_lists tl ON tl.tweet_id = t.id AND tl.list_id = ?' : ''}
+      WHERE ${postgres ? `f.document @@ to_tsquery('simple', ?)` : 'tweets_fts MATCH ?'}
+      ORDER BY ${relevance ? rank : 't.created_at DESC'}
+      LIMIT ?`;
+    const params = [
+      ...(listId ? [listId] : []),
+      match,
+      ...(relevance && postgres ? [match] : []),
+      limit
+    ];
+
+    dbLogger.debug('Searching tweets', { query, match, listId, sort, limit });
+
+    const rows = await this.db.all(sql, params);
+    return rows.map(row => Database.parseTweetRow(row));
+  }
+
+  async getConfig(key) {
+    const row = await this.db.get(`SELECT value FROM config WHERE key = ?`, [key]);
+    return row ? row.value : null;
   }
 
   async setConfig(key, value) {
-    return new Promise((resolve, reject) => {
-      this.db.run(
-        `INSERT OR REPLACE INTO config (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)`,
-        [key, value],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
+    await this.db.run(
+      `INSERT INTO config (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`,
+      [key, value]
+    );
+  }
+
+  /**
+   * Add one fetch to the quota ledger
+   */
+  async recordQuotaUsage({ listId = null, postsRead = 0, requests = 0, recordedAt = new Date().toISOString() }) {
+    await this.db.run(
+      'INSERT INTO quota_usage (list_id, posts_read, requests, recorded_at) VALUES (?, ?, ?, ?)',
+      [listId, postsRead, requests, recordedAt]
+    );
+  }
+
+  /**
+   * Posts read, requests and fetches per list since `since`
+   */
+  async getQuotaUsage(since) {
+    const rows = await this.db.all(
+      `SELECT list_id, SUM(posts_read) AS posts_read, SUM(requests) AS requests, COUNT(*) AS fetches
+       FROM quota_usage WHERE recorded_at >= ? GROUP BY list_id`,
+      [since]
+    );
+    return rows.map(row => ({
+      listId: row.list_id,
+      postsRead: Number(row.posts_read),
+      requests: Number(row.requests),
+      fetches: Number(row.fetches)
+    }));
+  }
+
+  async deleteQuotaUsageBefore(cutoff) {
+    const result = await this.db.run('DELETE FROM quota_usage WHERE recorded_at < ?', [cutoff]);
+    return result.changes;
+  }
+
+  /**
+   * Get the newest tweet ID, used as the since_id cursor.
+   * When a list ID is given the cursor is scoped to tweets seen in that list.
+   * Archive imports are left out: the API never returned them to the list, so
+   * they say nothing about how far the timeline has been fetched.
+   */
+  async getLatestTweetId(listId = null) {
+    const fetched = "(t.source IS NULL OR t.source <> 'archive')";
+    const query = listId
+      ? `SELECT t.id FROM tweets t
+         INNER JOIN tweet_lists tl ON tl.tweet_id = t.id
+         WHERE tl.list_id = ? AND ${fetched}
+         ORDER BY t.created_at DESC LIMIT 1`
+      : `SELECT t.id FROM tweets t WHERE ${fetched} ORDER BY t.created_at DESC LIMIT 1`;
+    const params = listId ? [listId] : [];
+
+    const row = await this.db.get(query, params);
+    return row ? row.id : null;
+  }
+
+  /**
+   * created_at of the keep-th newest tweet, optionally within a list or by one
+   * author (and without archive imports); null when there are no more than `keep` tweets
+   */
+  async getRetentionCutoff(keep, { listId = null, authorId = null, fetchedOnly = false } = {}) {
+    const { joins, where, params } = Database.buildTweetScope({ listId, authorId, fetchedOnly });
+    const row = await this.db.get(
+      `SELECT t.created_at FROM tweets t ${joins} ${where} ORDER BY t.created_at DESC LIMIT 1 OFFSET ?`,
+      [...params, Math.max(keep - 1, 0)]
+    );
+    return row ? row.created_at : null;
+  }
+
+  /**
+   * IDs of tweets created before the cutoff, optionally within a list or by one
+   * author; fetchedOnly leaves out account archive imports
+   */
+  async getTweetIdsBefore(cutoff, { listId = null, authorId = null, fetchedOnly = false } = {}) {
+    const { joins, where, params } = Database.buildTweetScope({ listId, authorId, fetchedOnly }, ['t.created_at < ?']);
+    const rows = await this.db.all(`SELECT t.id FROM tweets t ${joins} ${where}`, [...params, cutoff]);
+    return rows.map(row => row.id);
+  }
+
+  /**
+   * created_at of every stored tweet since `since`, optionally within a list
+   */
+  async getTweetTimestamps(since, listId = null) {
+    const { joins, where, params } = Database.buildTweetScope({ listId }, ['t.created_at >= ?']);
+    const rows = await this.db.all(`SELECT t.created_at FROM tweets t ${joins} ${where}`, [...params, since]);
+    return rows.map(row => row.created_at);
+  }
+
+  static buildTweetScope({ listId = null, authorId = null, fetchedOnly = false }, conditions = []) {
+    const params = [];
+    const scoped = [];
+    if (authorId) {
+      scoped.push('t.author_id = ?');
+      params.push(authorId);
+    }
+    if (fetchedOnly) {
+      scoped.push("(t.source IS NULL OR t.source <> 'archive')");
+    }
+    const all = [...scoped, ...conditions];
+    return {
+      joins: listId ? 'INNER JOIN tweet_lists tl ON tl.tweet_id = t.id AND tl.list_id = ?' : '',
+      where: all.length > 0 ? `WHERE ${all.join(' AND ')}` : '',
+      params: listId ? [listId, ...params] : params
+    };
+  }
+
+  /**
+   * Authors with more than `limit` stored tweets (fetchedOnly: not counting archive imports)
+   */
+  async getAuthorsOverLimit(limit, { fetchedOnly = false } = {}) {
+    const { where } = Database.buildTweetScope({ fetchedOnly });
+    const rows = await this.db.all(
+      `SELECT t.author_id, COUNT(*) AS count FROM tweets t ${where} GROUP BY t.author_id HAVING COUNT(*) > ?`,
+      [limit]
+    );
+    return rows.map(row => ({ authorId: row.author_id, count: Number(row.count) }));
+  }
+
+  /**
+   * Delete tweets with their list memberships and search rows
+   */
+  async deleteTweets(ids) {
+    if (ids.length === 0) {
+      return 0;
+    }
+    return this.db.transaction(tx => this.deleteTweetRows(tx, ids));
+  }
+
+  async deleteTweetRows(tx, ids) {
+    let deleted = 0;
+    for (const chunk of Database.chunk(ids)) {
+      const placeholders = chunk.map(() => '?').join(', ');
+      const { changes } = await tx.run(`DELETE FROM tweets WHERE id IN (${placeholders})`, chunk);
+      await tx.run(`DELETE FROM tweet_lists WHERE tweet_id IN (${placeholders})`, chunk);
+      if (this.searchAvailable) {
+        await tx.run(`DELETE FROM tweets_fts WHERE tweet_id IN (${placeholders})`, chunk);
+      }
+      deleted += changes;
+    }
+    return deleted;
+  }
+
+  /**
+   * Take tweets out of one list; those left in no list at all are deleted
+   * Returns { removed, deleted }
+   */
+  async removeTweetsFromList(listId, ids) {
+    if (ids.length === 0) {
+      return { removed: 0, deleted: 0 };
+    }
+
+    return this.db.transaction(async (tx) => {
+      let removed = 0;
+      const orphaned = [];
+      for (const chunk of Database.chunk(ids)) {
+        const placeholders = chunk.map(() => '?').join(', ');
+        const result = await tx.run(`DELETE FROM tweet_lists WHERE list_id = ? AND tweet_id IN (${placeholders})`, [listId, ...chunk]);
+        removed += result.changes;
+        const rows = await tx.all(
+          `SELECT id FROM tweets WHERE id IN (${placeholders}) AND id NOT IN (SELECT tweet_id FROM tweet_lists)`,
+          chunk
+        );
+        orphaned.push(...rows.map(row => row.id));
+      }
+      return { removed, deleted: await this.deleteTweetRows(tx, orphaned) };
     });
   }
 
-  async getLatestTweetId() {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        `SELECT id FROM tweets ORDER BY created_at DESC LIMIT 1`,
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row ? row.id : null);
-        }
-      );
+  // Keep IN (...) lists well below SQLite's bound parameter limit
+  static chunk(ids, size = 500) {
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += size) {
+      chunks.push(ids.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  /**
+   * Refresh planner statistics and, when vacuum is set, reclaim free space
+   */
+  async optimize({ vacuum = false } = {}) {
+    await this.db.exec('ANALYZE');
+    if (vacuum) {
+      // VACUUM cannot run inside a transaction; exec runs it on its own
+      await this.db.exec('VACUUM');
+    }
+  }
+
+  /**
+   * Write the archive as NDJSON: a header line, then one line per tweet
+   * (oldest first, with its lists) and one per config entry.
+   * Options: since, until (dates), authors (usernames or IDs), listId, includeConfig
+   * Returns { tweets, config }
+   */
+  async exportArchive(output, { since = null, until = null, authors = [], listId = null, includeConfig = true } = {}) {
+    const conditions = [];
+    const params = [];
+    const toDate = (value, name) => {
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw invalidArchiveOption(`Invalid ${name} date: ${value}`);
+      }
+      return date.toISOString();
+    };
+
+    if (since) {
+      conditions.push('t.created_at >= ?');
+      params.push(toDate(since, 'since'));
+    }
+    if (until) {
+      conditions.push('t.created_at < ?');
+      params.push(toDate(until, 'until'));
+    }
+    if (authors.length > 0) {
+      const placeholders = authors.map(() => '?').join(', ');
+      conditions.push(`(lower(t.author_username) IN (${placeholders}) OR t.author_id IN (${placeholders}))`);
+      params.push(...authors.map(author => author.replace(/^@/, '').toLowerCase()), ...authors);
+    }
+    if (listId) {
+      conditions.push('t.id IN (SELECT tweet_id FROM tweet_lists WHERE list_id = ?)');
+      params.push(listId);
+    }
+
+    const write = async (type, data) => {
+      if (!output.write(`${JSON.stringify({ type, data })}\n`)) {
+        await once(output, 'drain');
+      }
+    };
+
+    await write('header', {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      schemaVersion: await new Migrator(this.db).getCurrentVersion(),
+      exportedAt: new Date().toISOString(),
+      filters: { since, until, authors, listId }
     });
+
+    // Page by (created_at, id) so large archives never sit in memory at once
+    const counts = { tweets: 0, config: 0 };
+    let after = null;
+    for (;;) {
+      const pageConditions = after ? [...conditions, '(t.created_at > ? OR (t.created_at = ? AND t.id > ?))'] : conditions;
+      const pageParams = after ? [...params, after.created_at, after.created_at, after.id] : params;
+      const rows = await this.db.all(
+        `SELECT t.* FROM tweets t
+         ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+         ORDER BY t.created_at ASC, t.id ASC LIMIT ?`,
+        [...pageParams, ARCHIVE_PAGE_SIZE]
+      );
+      if (rows.length === 0) {
+        break;
+      }
+
+      const placeholders = rows.map(() => '?').join(', ');
+      const memberships = await this.db.all(
+        `SELECT tweet_id, list_id FROM tweet_lists WHERE tweet_id IN (${placeholders}) ORDER BY list_id`,
+        rows.map(row => row.id)
+      );
+      for (const row of rows) {
+        const { fetched_at: _fetchedAt, ...tweet } = Database.parseTweetRow(row);
+        tweet.lists = memberships.filter(membership => membership.tweet_id === row.id).map(membership => membership.list_id);
+        await write('tweet', tweet);
+        counts.tweets++;
+      }
+      after = rows[rows.length - 1];
+    }
+
+    if (includeConfig) {
+      for (const row of await this.db.all('SELECT key, value FROM config ORDER BY key')) {
+        await write('config', row);
+        counts.config++;
+      }
+    }
+
+    dbLogger.info('Archive exported', counts);
+    return counts;
   }
 
-  async cleanupOldTweets(retentionDays = 30) {
-    return new Promise((resolve, reject) => {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-      
-      this.db.run(
-        'DELETE FROM tweets WHERE created_at < ?',
-        [cutoffDate.toISOString()],
-        function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            console.log(`Cleaned up ${this.changes} old tweets`);
-            resolve(this.changes);
-          }
+  /**
+   * Read an NDJSON archive and upsert it through saveTweets(), so importing
+   * the same archive twice leaves the database unchanged. Config entries are
+   * the exporting instance's runtime state (rate limit windows, scheduler and
+   * circuit state), so they are only restored with includeConfig.
+   * Options: includeConfig (default false)
+   * Returns { tweets: { inserted, updated, unchanged }, config, skipped, errors }
+   */
+  async importArchive(input, { includeConfig = false } = {}) {
+    const result = { tweets: { inserted: 0, updated: 0, unchanged: 0 }, config: 0, skipped: 0, errors: [] };
+    const skip = (line, message) => {
+      result.skipped++;
+      if (result.errors.length < 20) {
+        result.errors.push({ line, error: message });
+      }
+    };
+
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) {
+        return;
+      }
+      (await this.saveArchiveBatch(batch)).forEach(outcome => {
+        result.tweets[outcome]++;
+      });
+      batch = [];
+    };
+
+    let lineNumber = 0;
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      lineNumber++;
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        skip(lineNumber, 'Invalid JSON');
+        continue;
+      }
+
+      const { type, data } = record || {};
+      if (type === 'header') {
+        if (!data || data.format !== ARCHIVE_FORMAT || data.version > ARCHIVE_VERSION) {
+          throw invalidArchiveOption(`Unsupported archive format: ${JSON.stringify(data && { format: data.format, version: data.version })}`);
         }
-      );
-    });
+      } else if (type === 'tweet') {
+        const missing = REQUIRED_TWEET_FIELDS.filter(field => !data || data[field] === undefined || data[field] === null);
+        if (missing.length > 0) {
+          skip(lineNumber, `Tweet is missing ${missing.join(', ')}`);
+          continue;
+        }
+        batch.push(data);
+        if (batch.length >= ARCHIVE_PAGE_SIZE) {
+          await flush();
+        }
+      } else if (type === 'config') {
+        if (!data || typeof data.key !== 'string' || typeof data.value !== 'string') {
+          skip(lineNumber, 'Config entry needs a string key and value');
+        } else if (includeConfig) {
+          await this.setConfig(data.key, data.value);
+          result.config++;
+        }
+      } else {
+        skip(lineNumber, `Unknown record type: ${type}`);
+      }
+    }
+    await flush();
+
+    dbLogger.info('Archive imported', { ...result.tweets, config: result.config, skipped: result.skipped });
+    return result;
   }
 
-  async getTweetCount() {
-    return new Promise((resolve, reject) => {
-      this.db.get('SELECT COUNT(*) as count FROM tweets', (err, row) => {
-        if (err) reject(err);
-        else resolve(row.count);
+  /**
+   * Save one batch of archived tweets, once per list they belong to.
+   * Returns tweet ID -> 'inserted' | 'updated' | 'unchanged'
+   */
+  async saveArchiveBatch(tweets) {
+    const byList = new Map([[null, []]]);
+    tweets.forEach(({ lists, ...tweet }) => {
+      const listIds = Array.isArray(lists) && lists.length > 0 ? lists.map(String) : [null];
+      listIds.forEach(listId => {
+        if (!byList.has(listId)) {
+          byList.set(listId, []);
+        }
+        byList.get(listId).push(tweet);
       });
     });
+
+    // A tweet counts as inserted or updated if any of its saves was
+    const outcomes = new Map();
+    const rank = { unchanged: 0, updated: 1, inserted: 2 };
+    for (const [listId, listTweets] of byList) {
+      if (listTweets.length === 0) {
+        continue;
+      }
+      const saved = await this.saveTweets(listTweets, listId);
+      Object.entries(saved).forEach(([outcome, ids]) => {
+        ids.forEach(id => {
+          if (!outcomes.has(id) || rank[outcome] > rank[outcomes.get(id)]) {
+            outcomes.set(id, outcome);
+          }
+        });
+      });
+    }
+    return outcomes;
+  }
+
+  async getTweetCount(listId = null) {
+    const query = listId
+      ? 'SELECT COUNT(*) as count FROM tweet_lists WHERE list_id = ?'
+      : 'SELECT COUNT(*) as count FROM tweets';
+    const params = listId ? [listId] : [];
+
+    const row = await this.db.get(query, params);
+    // PostgreSQL returns COUNT(*) as a bigint string
+    return Number(row.count);
+  }
+
+  /**
+   * Attach tweets fetched before list tracking existed to the given list.
+   * Single-list deployments keep their archive when upgrading; account
+   * archive imports stay out of feeds unless imported with a list.
+   */
+  async assignUnlistedTweets(listId) {
+    const { changes } = await this.db.run(
+      `INSERT INTO tweet_lists (tweet_id, list_id)
+       SELECT id, CAST(? AS TEXT) FROM tweets
+       WHERE id NOT IN (SELECT tweet_id FROM tweet_lists)
+         AND (source IS NULL OR source = 'api')
+       ON CONFLICT DO NOTHING`,
+      [listId]
+    );
+    if (changes > 0) {
+      dbLogger.info('Assigned unlisted tweets to list', { listId, count: changes });
+    }
+    return changes;
   }
 
   async getOldestTweetDate() {
-    return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT created_at FROM tweets ORDER BY created_at ASC LIMIT 1',
-        (err, row) => {
-          if (err) reject(err);
-          else resolve(row ? row.created_at : null);
-        }
-      );
-    });
+    const row = await this.db.get('SELECT created_at FROM tweets ORDER BY created_at ASC LIMIT 1');
+    return row ? row.created_at : null;
   }
 
   close() {
     if (this.db) {
-      this.db.close();
+      return this.db.close();
     }
+    return Promise.resolve();
   }
 }
 
-module.exports = Database;
\ No newline at end of file
+module.exports = Database;
@@ -1,59 +1,55 @@
 
-const sqlite3 = require('sqlite3');
+const { PassThrough, Readable } = require('stream');
 const Database = require('./database');
+const { Sqlite3Driver, BetterSqlite3Driver, PostgresDriver } = require('./storage');
 
 // Mock the Database class to prevent its original constructor from running and creating file-based DBs
 jest.mock('./database', () => {
     const originalModule = jest.requireActual('./database');
     return jest.fn().mockImplementation(() => {
-        const instance = new originalModule();
-        // Replace the init method with a mock to prevent file IO
-        instance.init = jest.fn();
-        return instance;
+        // Replace the init method with a mock before constructing to prevent file IO
+        const init = originalModule.prototype.init;
+        originalModule.prototype.init = jest.fn();
+        try {
+            return new originalModule();
+        } finally {
+            originalModule.prototype.init = init;
+        }
     });
 });
 
-describe('Database', () => {
+// Every storage driver must behave the same behind the Database API.
+// PostgreSQL joins in when TEST_DATABASE_URL is set, with a throwaway schema per test.
+const drivers = [
+  ['sqlite3', () => new Sqlite3Driver(':memory:')],
+  ['better-sqlite3', () => new BetterSqlite3Driver(':memory:')],
+];
+if (process.env.TEST_DATABASE_URL) {
+  drivers.push(['postgres', () => new PostgresDriver(process.env.TEST_DATABASE_URL, {
+    schema: `test_${process.pid}_${Math.random().toString(36).slice(2, 10)}`,
+  })]);
+}
+
+describe.each(drivers)('Database (%s driver)', (_driverName, createDriver) => {
   let dbInstance;
-  let db; // Holds the raw sqlite3 database connection
+  let db; // Holds the storage driver for the in-memory database
 
-  beforeEach((done) => {
+  beforeEach(async () => {
     dbInstance = new Database();
     // Create a new in-memory database for each test to ensure isolation
-    db = new sqlite3.Database(':memory:', (err) => {
-      if (err) return done(err);
-      // Assign the ready, in-memory db to our service instance
-      dbInstance.db = db;
-      // Use serialize to ensure table creation commands run in order and complete
-      db.serialize(() => {
-        // Manually run the table creation queries from database.js
-        db.run(`
-          CREATE TABLE IF NOT EXISTS tweets (
-            id TEXT PRIMARY KEY,
-            text TEXT NOT NULL,
-            author_id TEXT NOT NULL,
-            author_username TEXT NOT NULL,
-            author_name TEXT NOT NULL,
-            created_at TEXT NOT NULL,
-            public_metrics TEXT,
-            entities TEXT,
-            referenced_tweets TEXT,
-            fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-        db.run(`
-          CREATE TABLE IF NOT EXISTS config (
-            key TEXT PRIMARY KEY,
-            value TEXT NOT NULL,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `, done); // Call done() in the callback of the LAST command to signal completion
-      });
-    });
-  });
-
-  afterEach((done) => {
-    db.close(done);
+    db = createDriver();
+    await db.open();
+    // Assign the ready, in-memory db to our service instance
+    dbInstance.db = db;
+    // Create the schema through the real table setup so the tests track it
+    await dbInstance.createTables();
+  });
+
+  afterEach(async () => {
+    if (db.dialect === 'postgres') {
+      await db.exec(`DROP SCHEMA ${db.schema} CASCADE`);
+    }
+    await db.close();
   });
 
   it('should save and retrieve tweets', async () => {
@@ -87,4 +83,245 @@ describe('Database', () => {
     const latestId = await dbInstance.getLatestTweetId();
     expect(latestId).toBeNull();
   });
+
+  it('should scope tweets, cursors and counts to a list', async () => {
+    await dbInstance.saveTweets([
+      { id: '10', text: 'List A', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z' },
+    ], 'list-a');
+    await dbInstance.saveTweets([
+      { id: '11', text: 'List B', author_id: '2', author_username: 'b', author_name: 'B', created_at: '2025-06-26T11:00:00Z' },
+    ], 'list-b');
+
+    const listATweets = await dbInstance.getTweets(10, 'list-a');
+    expect(listATweets.map(t => t.id)).toEqual(['10']);
+    expect(await dbInstance.getLatestTweetId('list-a')).toBe('10');
+    expect(await dbInstance.getLatestTweetId('list-b')).toBe('11');
+    expect(await dbInstance.getTweetCount('list-b')).toBe(1);
+    expect(await dbInstance.getTweetCount()).toBe(2);
+    expect(await dbInstance.getTweetTimestamps('2025-06-26T00:00:00Z', 'list-b')).toHaveLength(1);
+    expect(await dbInstance.getTweetTimestamps('2025-06-26T10:30:00Z')).toHaveLength(1);
+  });
+
+  it('should record a tweet that appears in several lists once', async () => {
+    const tweet = { id: '20', text: 'Shared', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z' };
+    await dbInstance.saveTweets([tweet], 'list-a');
+    await dbInstance.saveTweets([tweet], 'list-b');
+
+    expect(await dbInstance.getTweetCount()).toBe(1);
+    expect(await dbInstance.getTweets(10, 'list-a')).toHaveLength(1);
+    expect(await dbInstance.getTweets(10, 'list-b')).toHaveLength(1);
+  });
+
+  it('should assign tweets saved without a list to the given list', async () => {
+    await dbInstance.saveTweets([
+      { id: '30', text: 'Legacy', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z' },
+    ]);
+    const assigned = await dbInstance.assignUnlistedTweets('list-a');
+    expect(assigned).toBe(1);
+    expect(await dbInstance.getLatestTweetId('list-a')).toBe('30');
+  });
+
+  it('should not move the since_id cursor to imported archive tweets', async () => {
+    const tweet = (id, createdAt, source) => ({
+      id, text: `Tweet ${id}`, author_id: '1', author_username: 'a', author_name: 'A', created_at: createdAt, source,
+    });
+    await dbInstance.saveTweets([tweet('60', '2025-06-26T10:00:00Z', 'api')], 'list-a');
+    await dbInstance.saveTweets([tweet('70', '2025-06-27T10:00:00Z', 'archive')], 'list-a');
+
+    expect(await dbInstance.getLatestTweetId('list-a')).toBe('60');
+    expect(await dbInstance.getLatestTweetId()).toBe('60');
+  });
+
+  it('should leave archive imports saved without a list out of the list', async () => {
+    await dbInstance.saveTweets([
+      { id: '31', text: 'From my archive', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z', source: 'archive' },
+    ]);
+
+    expect(await dbInstance.assignUnlistedTweets('list-a')).toBe(0);
+    expect(await dbInstance.getTweets(10, 'list-a')).toEqual([]);
+  });
+
+  it('should store media alongside the tweet', async () => {
+    const media = [{ media_key: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/abc.jpg' }];
+    await dbInstance.saveTweets([
+      { id: '40', text: 'Photo', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z', media },
+    ]);
+    const [tweet] = await dbInstance.getTweets(1);
+    expect(tweet.media).toEqual(media);
+  });
+
+  it('should store the author profile image', async () => {
+    await dbInstance.saveTweets([
+      { id: '42', text: 'Avatar', author_id: '1', author_username: 'a', author_name: 'A', author_profile_image: 'https://pbs.twimg.com/a.jpg', created_at: '2025-06-26T10:00:00Z' },
+    ]);
+    const [tweet] = await dbInstance.getTweets(1);
+    expect(tweet.author_profile_image).toBe('https://pbs.twimg.com/a.jpg');
+  });
+
+  it('should store the conversation ID', async () => {
+    await dbInstance.saveTweets([
+      { id: '41', text: 'Reply', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z', conversation_id: '40' },
+    ]);
+    const [tweet] = await dbInstance.getTweets(1);
+    expect(tweet.conversation_id).toBe('40');
+  });
+
+  describe('search', () => {
+    const tweet = (id, text, overrides = {}) => ({
+      id, text, author_id: '1', author_username: 'alice', author_name: 'Alice Example', created_at: `2025-06-26T10:0${id}:00Z`, ...overrides,
+    });
+
+    beforeEach(async () => {
+      await dbInstance.saveTweets([
+        tweet('1', 'Release notes for the new version', { entities: { urls: [{ url: 'https://t.co/a', expanded_url: 'https://example.com/notes' }] } }),
+        tweet('2', 'Lunch break', { author_username: 'bob', author_name: 'Bob' }),
+        tweet('3', 'RT @carol: Releasing…', { referenced_tweets: [{ type: 'retweeted', id: '9', tweet: { text: 'Releasing the searchable archive today' } }] }),
+      ], 'list-a');
+    });
+
+    it('should find tweets by text, author and expanded URL', async () => {
+      expect((await dbInstance.searchTweets('release')).map(t => t.id)).toEqual(['1']);
+      expect((await dbInstance.searchTweets('bob')).map(t => t.id)).toEqual(['2']);
+      expect((await dbInstance.searchTweets('example.com/notes')).map(t => t.id)).toEqual(['1']);
+      expect((await dbInstance.searchTweets('searchable')).map(t => t.id)).toEqual(['3']);
+    });
+
+    it('should support prefixes, exclusions and list scoping', async () => {
+      expect((await dbInstance.searchTweets('releas*')).map(t => t.id)).toEqual(['3', '1']);
+      expect((await dbInstance.searchTweets('releas* -notes')).map(t => t.id)).toEqual(['3']);
+      expect(await dbInstance.searchTweets('release', { listId: 'list-b' })).toEqual([]);
+    });
+
+    it('should keep the index in sync when a tweet is saved again', async () => {
+      await dbInstance.saveTweets([tweet('2', 'Dinner break', { author_username: 'bob', author_name: 'Bob' })]);
+      expect(await dbInstance.searchTweets('lunch')).toEqual([]);
+      expect((await dbInstance.searchTweets('dinner')).map(t => t.id)).toEqual(['2']);
+    });
+
+    it('should index tweets stored before the search index existed', async () => {
+      await dbInstance.db.run(
+        `INSERT INTO tweets (id, text, author_id, author_username, author_name, created_at) VALUES ('7', 'Legacy archive tweet', '1', 'alice', 'Alice', '2025-06-26T09:00:00Z')`
+      );
+      expect(await dbInstance.indexUnsearchedTweets()).toBe(1);
+      expect((await dbInstance.searchTweets('legacy')).map(t => t.id)).toEqual(['7']);
+    });
+
+    it('should treat punctuation as text rather than query syntax', async () => {
+      await expect(dbInstance.searchTweets('"unbalanced AND (')).resolves.toEqual([]);
+      await expect(dbInstance.searchTweets('-only')).rejects.toMatchObject({ code: 400 });
+    });
+  });
+
+  it('should report inserted, updated and unchanged tweets', async () => {
+    const tweet = (id, likes) => ({
+      id, text: `Tweet ${id}`, author_id: '1', author_username: 'a', author_name: 'A', created_at: `2025-06-26T10:0${id}:00Z`,
+      public_metrics: { like_count: likes },
+    });
+
+    expect(await dbInstance.saveTweets([tweet('1', 0), tweet('2', 0)], 'list-a'))
+      .toEqual({ inserted: ['1', '2'], updated: [], unchanged: [] });
+    expect(await dbInstance.saveTweets([tweet('1', 0), tweet('2', 5), tweet('3', 0)], 'list-a'))
+      .toEqual({ inserted: ['3'], updated: ['2'], unchanged: ['1'] });
+    // Already archived, but new to this list
+    expect(await dbInstance.saveTweets([tweet('1', 0)], 'list-b'))
+      .toEqual({ inserted: ['1'], updated: [], unchanged: [] });
+
+    const [stored] = (await dbInstance.getTweets(3)).filter(t => t.id === '2');
+    expect(stored.public_metrics).toEqual({ like_count: 5 });
+  });
+
+  it('should not let an archive import overwrite a tweet fetched from the API', async () => {
+    const fetched = {
+      id: '50', text: 'RT @carol: Shipping today', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z',
+      conversation_id: '49', public_metrics: { like_count: 12 },
+      referenced_tweets: [{ type: 'retweeted', id: '49', tweet: { text: 'Shipping today' } }],
+    };
+    await dbInstance.saveTweets([fetched], 'list-a');
+
+    const imported = { ...fetched, conversation_id: null, public_metrics: { like_count: 3 }, referenced_tweets: [], source: 'archive' };
+    expect(await dbInstance.saveTweets([imported])).toEqual({ inserted: [], updated: [], unchanged: ['50'] });
+    expect(await dbInstance.saveTweets([imported], 'list-b')).toEqual({ inserted: ['50'], updated: [], unchanged: [] });
+
+    const [stored] = await dbInstance.getTweets(1, 'list-b');
+    expect(stored).toEqual(expect.objectContaining({
+      conversation_id: '49',
+      public_metrics: { like_count: 12 },
+      referenced_tweets: fetched.referenced_tweets,
+    }));
+    expect((await dbInstance.db.get('SELECT source FROM tweets WHERE id = ?', ['50'])).source).toBe('api');
+  });
+
+  describe('archive export and import', () => {
+    const tweet = (id, author, day) => ({
+      id, text: `Tweet ${id}`, author_id: `${author}-id`, author_username: author, author_name: author.toUpperCase(),
+      created_at: `2025-06-0${day}T10:00:00.000Z`, public_metrics: { like_count: Number(id) },
+    });
+    const exportLines = async (options) => {
+      const output = new PassThrough();
+      const chunks = [];
+      output.on('data', chunk => chunks.push(chunk));
+      const counts = await dbInstance.exportArchive(output, options);
+      return { counts, lines: Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line)) };
+    };
+
+    beforeEach(async () => {
+      await dbInstance.saveTweets([tweet('1', 'alice', 1), tweet('2', 'bob', 2)], 'list-a');
+      await dbInstance.saveTweets([tweet('2', 'bob', 2), tweet('3', 'alice', 3)], 'list-b');
+      await dbInstance.setConfig('cursor', '42');
+    });
+
+    it('should export tweets oldest first with their lists, then config', async () => {
+      const { counts, lines } = await exportLines();
+
+      expect(counts).toEqual({ tweets: 3, config: 1 });
+      expect(lines[0]).toEqual({ type: 'header', data: expect.objectContaining({ format: 'twitter2rss-archive', version: 1 }) });
+      expect(lines.slice(1, 4).map(line => [line.data.id, line.data.lists])).toEqual([['1', ['list-a']], ['2', ['list-a', 'list-b']], ['3', ['list-b']]]);
+      expect(lines[2].data.public_metrics).toEqual({ like_count: 2 });
+      expect(lines[4]).toEqual({ type: 'config', data: { key: 'cursor', value: '42' } });
+    });
+
+    it('should filter the export by date range and author', async () => {
+      const { lines } = await exportLines({ since: '2025-06-02', until: '2025-06-04', authors: ['@Alice'], includeConfig: false });
+      expect(lines.slice(1).map(line => line.data.id)).toEqual(['3']);
+
+      await expect(exportLines({ since: 'yesterday-ish' })).rejects.toMatchObject({ code: 400 });
+    });
+
+    it('should import idempotently and report counts', async () => {
+      const { lines } = await exportLines();
+      const archive = lines.map(line => JSON.stringify(line)).join('\n');
+      await dbInstance.deleteTweets(['1', '3']);
+      await dbInstance.setConfig('cursor', '1');
+
+      const first = await dbInstance.importArchive(Readable.from([archive, '\n{"type":"tweet","data":{"id":"9"}}\nnot json\n']));
+      expect(first.tweets).toEqual({ inserted: 2, updated: 0, unchanged: 1 });
+      expect(first.config).toBe(0);
+      expect(first.skipped).toBe(2);
+      expect(first.errors.map(error => error.line)).toEqual([6, 7]);
+      expect(await dbInstance.getTweetCount('list-b')).toBe(2);
+      expect(await dbInstance.getConfig('cursor')).toBe('1');
+
+      const second = await dbInstance.importArchive(Readable.from([archive]));
+      expect(second.tweets).toEqual({ inserted: 0, updated: 0, unchanged: 3 });
+    });
+
+    it('should only restore config entries when asked to', async () => {
+      const { lines } = await exportLines();
+      const archive = lines.map(line => JSON.stringify(line)).join('\n');
+      await dbInstance.setConfig('cursor', '1');
+
+      expect((await dbInstance.importArchive(Readable.from([archive]), { includeConfig: true })).config).toBe(1);
+      expect(await dbInstance.getConfig('cursor')).toBe('42');
+    });
+  });
+
+  it('should save a batch atomically', async () => {
+    await expect(dbInstance.saveTweets([
+      { id: '50', text: 'Valid', author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:00:00Z' },
+      { id: '51', text: null, author_id: '1', author_username: 'a', author_name: 'A', created_at: '2025-06-26T10:01:00Z' },
+    ], 'list-a')).rejects.toMatchObject({ message: expect.stringMatching(/not.null/i) });
+
+    expect(await dbInstance.getTweetCount()).toBe(0);
+    expect(await dbInstance.getTweetCount('list-a')).toBe(0);
+  });
 });
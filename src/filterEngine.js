@@ -0,0 +1,373 @@
+/**
+ * Filter Engine
+ * Drops unwanted tweets between the database and the feed renderers. Rules
+ * come from the list configuration, named presets and request query
+ * parameters; all matching rule sets are merged before filtering. Regex rules
+ * are only accepted from configuration: a pattern from an anonymous query
+ * string could backtrack catastrophically and block the event loop.
+ */
+
+// Simple logger for filter operations
+const filterLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [FILTER] ${message}${metaStr}`);
+  },
+  debug: (message, meta = {}) => {
+    if (process.env.NODE_ENV === 'development' || process.env.DEBUG === 'true') {
+      const timestamp = new Date().toISOString();
+      const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+      console.log(`[${timestamp}] [DEBUG] [FILTER] ${message}${metaStr}`);
+    }
+  }
+};
+
+const BUILT_IN_PRESETS = {
+  'links-only': { requireLinks: true },
+  'media-only': { requireMedia: true },
+  'no-replies': { excludeReplies: true },
+  'no-retweets': { excludeRetweets: true },
+  'originals-only': { excludeReplies: true, excludeRetweets: true }
+};
+
+const LIST_RULES = [
+  'includeKeywords',
+  'excludeKeywords',
+  'includePatterns',
+  'excludePatterns',
+  'allowAuthors',
+  'denyAuthors',
+  'languages'
+];
+const FLAG_RULES = ['excludeRetweets', 'excludeReplies', 'requireLinks', 'requireMedia'];
+const MINIMUM_RULES = ['minLikes', 'minRetweets'];
+
+// Query parameter -> rule name (literal rules only)
+const QUERY_PARAMS = {
+  include: 'includeKeywords',
+  exclude: 'excludeKeywords',
+  authors: 'allowAuthors',
+  exclude_authors: 'denyAuthors',
+  lang: 'languages',
+  exclude_retweets: 'excludeRetweets',
+  exclude_replies: 'excludeReplies',
+  links_only: 'requireLinks',
+  media_only: 'requireMedia',
+  min_likes: 'minLikes',
+  min_retweets: 'minRetweets'
+};
+
+// Regex rules refused in query strings, with the config rule to use instead
+const CONFIG_ONLY_PARAMS = {
+  include_regex: 'includePatterns',
+  exclude_regex: 'excludePatterns'
+};
+
+// Keeps configured patterns readable; not a defence against slow patterns
+const MAX_PATTERN_LENGTH = 200;
+
+// Links to tweets or tweet media are not "links" for requireLinks
+const TWITTER_HOST_PATTERN = /^https?:\/\/(www\.|mobile\.)?(twitter\.com|x\.com|pic\.twitter\.com)\//i;
+
+function invalidRules(message) {
+  const error = new Error(`Invalid filter: ${message}`);
+  error.code = 400;
+  return error;
+}
+
+/**
+ * Config and preset values are taken whole (a pattern may contain commas);
+ * only query parameters are comma-separated strings to split
+ */
+function toList(value, { split = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  if (!split) {
+    return values.map(item => String(item)).filter(item => item.length > 0);
+  }
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+function toFlag(value) {
+  return value === true || value === 'true' || value === '1' || value === '';
+}
+
+class FilterEngine {
+  constructor(presets = {}) {
+    this.presets = { ...BUILT_IN_PRESETS, ...presets };
+  }
+
+  /**
+   * Custom presets come from FILTER_PRESETS, a JSON object of name -> rules.
+   * A custom preset with a built-in name replaces the built-in one.
+   */
+  static fromEnv(env = process.env) {
+    let presets = {};
+    if (env.FILTER_PRESETS) {
+      try {
+        presets = JSON.parse(env.FILTER_PRESETS);
+      } catch (error) {
+        throw new Error(`Invalid FILTER_PRESETS configuration: ${error.message}`);
+      }
+      if (typeof presets !== 'object' || presets === null || Array.isArray(presets)) {
+        throw new Error('Invalid FILTER_PRESETS configuration: must be a JSON object');
+      }
+    }
+
+    const engine = new FilterEngine(presets);
+    // Fail at startup rather than on the first request
+    Object.keys(engine.presets).forEach(name => engine.normalizeRules(engine.presets[name]));
+    return engine;
+  }
+
+  presetNames() {
+    return Object.keys(this.presets);
+  }
+
+  /**
+   * Validate a raw rule object and compile its patterns
+   */
+  normalizeRules(raw = {}) {
+    const rules = {};
+
+    LIST_RULES.forEach(name => {
+      const values = toList(raw[name]);
+      if (values.length > 0) {
+        rules[name] = values;
+      }
+    });
+
+    ['includeKeywords', 'excludeKeywords'].forEach(name => {
+      if (rules[name]) {
+        rules[name] = rules[name].map(keyword => keyword.toLowerCase());
+      }
+    });
+
+    ['allowAuthors', 'denyAuthors'].forEach(name => {
+      if (rules[name]) {
+        rules[name] = rules[name].map(author => author.replace(/^@/, '').toLowerCase());
+      }
+    });
+
+    if (rules.languages) {
+      rules.languages = rules.languages.map(language => language.toLowerCase());
+    }
+
+    ['includePatterns', 'excludePatterns'].forEach(name => {
+      if (rules[name]) {
+        rules[name] = rules[name].map(pattern => this.compilePattern(pattern));
+      }
+    });
+
+    FLAG_RULES.forEach(name => {
+      if (raw[name] !== undefined && toFlag(raw[name])) {
+        rules[name] = true;
+      }
+    });
+
+    MINIMUM_RULES.forEach(name => {
+      if (raw[name] === undefined || raw[name] === null || raw[name] === '') {
+        return;
+      }
+      const value = Number(raw[name]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw invalidRules(`${name} must be a non-negative integer`);
+      }
+      rules[name] = value;
+    });
+
+    return rules;
+  }
+
+  /**
+   * Accepts "/pattern/flags" or a bare pattern (matched case-insensitively)
+   */
+  compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern;
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw invalidRules(`pattern longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+    } catch (error) {
+      throw invalidRules(`bad pattern ${pattern} (${error.message})`);
+    }
+  }
+
+  /**
+   * Combine rule sets: lists are concatenated, flags OR-ed, minimums take the highest
+   */
+  mergeRules(...ruleSets) {
+    return ruleSets.filter(Boolean).reduce((merged, rules) => {
+      LIST_RULES.forEach(name => {
+        if (rules[name]) {
+          merged[name] = [...(merged[name] || []), ...rules[name]];
+        }
+      });
+      FLAG_RULES.forEach(name => {
+        if (rules[name]) {
+          merged[name] = true;
+        }
+      });
+      MINIMUM_RULES.forEach(name => {
+        if (rules[name] !== undefined) {
+          merged[name] = Math.max(merged[name] || 0, rules[name]);
+        }
+      });
+      return merged;
+    }, {});
+  }
+
+  getPreset(name) {
+    if (!Object.prototype.hasOwnProperty.call(this.presets, name)) {
+      throw invalidRules(`unknown preset ${name}`);
+    }
+    return this.normalizeRules(this.presets[name]);
+  }
+
+  rulesFromQuery(query = {}) {
+    Object.entries(CONFIG_ONLY_PARAMS).forEach(([param, name]) => {
+      if (query[param] !== undefined) {
+        throw invalidRules(`${param} is not accepted in query strings; put ${name} in a list's filters or a preset`);
+      }
+    });
+
+    const raw = {};
+    Object.entries(QUERY_PARAMS).forEach(([param, name]) => {
+      if (query[param] !== undefined) {
+        raw[name] = LIST_RULES.includes(name) ? toList(query[param], { split: true }) : query[param];
+      }
+    });
+    return this.normalizeRules(raw);
+  }
+
+  /**
+   * Work out the rules for one feed request
+   * Returns { rules, active, cacheKey }. cacheKey is null for ad-hoc query
+   * rules so arbitrary parameters cannot grow the feed cache without bound.
+   */
+  resolve(baseRules = null, query = {}) {
+    const presetNames = toList(query.preset, { split: true });
+    const queryRules = this.rulesFromQuery(query);
+    const rules = this.mergeRules(
+      baseRules ? this.normalizeRules(baseRules) : null,
+      ...presetNames.map(name => this.getPreset(name)),
+      queryRules
+    );
+
+    let cacheKey = '';
+    if (Object.keys(queryRules).length > 0) {
+      cacheKey = null;
+    } else if (presetNames.length > 0) {
+      cacheKey = `preset=${[...presetNames].sort().join(',')}`;
+    }
+
+    return { rules, active: this.isActive(rules), cacheKey };
+  }
+
+  isActive(rules) {
+    return Object.keys(rules || {}).length > 0;
+  }
+
+  apply(tweets, rules) {
+    if (!this.isActive(rules)) {
+      return tweets;
+    }
+
+    const filtered = tweets.filter(tweet => this.matches(tweet, rules));
+    filterLogger.debug('Filter applied', { before: tweets.length, after: filtered.length });
+    return filtered;
+  }
+
+  matches(tweet, rules) {
+    const references = tweet.referenced_tweets || [];
+    const isRetweet = references.some(reference => reference.type === 'retweeted');
+    const isReply = references.some(reference => reference.type === 'replied_to');
+
+    if (rules.excludeRetweets && isRetweet) {
+      return false;
+    }
+    if (rules.excludeReplies && isReply) {
+      return false;
+    }
+
+    const author = (tweet.author_username || '').toLowerCase();
+    const authorId = String(tweet.author_id || '');
+    const isAuthor = candidates => candidates.includes(author) || candidates.includes(authorId);
+    if (rules.allowAuthors && !isAuthor(rules.allowAuthors)) {
+      return false;
+    }
+    if (rules.denyAuthors && isAuthor(rules.denyAuthors)) {
+      return false;
+    }
+
+    // Tweets stored before the lang field was fetched are not dropped
+    if (rules.languages && tweet.lang && !rules.languages.includes(tweet.lang.toLowerCase())) {
+      return false;
+    }
+
+    const metrics = tweet.public_metrics || {};
+    if (rules.minLikes !== undefined && (metrics.like_count || 0) < rules.minLikes) {
+      return false;
+    }
+    if (rules.minRetweets !== undefined && (metrics.retweet_count || 0) < rules.minRetweets) {
+      return false;
+    }
+
+    // Retweet text is truncated, so also match against the original
+    const retweeted = references.find(reference => reference.type === 'retweeted' && reference.tweet);
+    const text = retweeted ? `${tweet.text || ''}\n${retweeted.tweet.text || ''}` : (tweet.text || '');
+    const lowerText = text.toLowerCase();
+
+    if (rules.includeKeywords && !rules.includeKeywords.some(keyword => lowerText.includes(keyword))) {
+      return false;
+    }
+    if (rules.excludeKeywords && rules.excludeKeywords.some(keyword => lowerText.includes(keyword))) {
+      return false;
+    }
+    if (rules.includePatterns && !rules.includePatterns.some(pattern => this.testPattern(pattern, text))) {
+      return false;
+    }
+    if (rules.excludePatterns && rules.excludePatterns.some(pattern => this.testPattern(pattern, text))) {
+      return false;
+    }
+
+    const source = retweeted ? retweeted.tweet : tweet;
+    if (rules.requireLinks && !this.hasExternalLink(source)) {
+      return false;
+    }
+    if (rules.requireMedia && !this.hasMedia(source)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  testPattern(pattern, text) {
+    // Global/sticky regexes keep lastIndex between calls
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  }
+
+  hasExternalLink(tweet) {
+    const urls = (tweet.entities && tweet.entities.urls) || [];
+    return urls.some(url => !TWITTER_HOST_PATTERN.test(url.expanded_url || url.url || ''));
+  }
+
+  hasMedia(tweet) {
+    return (tweet.media && tweet.media.length > 0) ||
+      !!(tweet.entities && tweet.entities.media && tweet.entities.media.length > 0);
+  }
+}
+
+module.exports = FilterEngine;
@@ -0,0 +1,130 @@
+const FilterEngine = require('./filterEngine');
+
+describe('FilterEngine', () => {
+  const tweet = (overrides = {}) => ({
+    id: '1',
+    text: 'Shipping the new release today',
+    author_id: '101',
+    author_username: 'alice',
+    lang: 'en',
+    entities: {},
+    public_metrics: { like_count: 10, retweet_count: 2 },
+    referenced_tweets: [],
+    ...overrides,
+  });
+
+  let engine;
+
+  beforeEach(() => {
+    engine = new FilterEngine();
+  });
+
+  const keep = (rules, tweets) => engine.apply(tweets, engine.normalizeRules(rules)).map(t => t.id);
+
+  it('should pass everything through without rules', () => {
+    const tweets = [tweet()];
+    expect(engine.apply(tweets, {})).toBe(tweets);
+  });
+
+  it('should filter on keywords and regexes case-insensitively', () => {
+    const tweets = [tweet({ id: '1' }), tweet({ id: '2', text: 'Lunch time' })];
+    expect(keep({ includeKeywords: ['RELEASE'] }, tweets)).toEqual(['1']);
+    expect(keep({ excludeKeywords: 'lunch' }, tweets)).toEqual(['1']);
+    expect(keep({ includePatterns: ['^lunch'] }, tweets)).toEqual(['2']);
+    expect(keep({ excludePatterns: ['/Release/'] }, tweets)).toEqual(['1', '2']);
+  });
+
+  it('should match keywords against the original text of retweets', () => {
+    const retweet = tweet({
+      text: 'RT @bob: Big news…',
+      referenced_tweets: [{ type: 'retweeted', id: '50', tweet: tweet({ id: '50', text: 'Big news about the launch' }) }],
+    });
+    expect(keep({ includeKeywords: ['launch'] }, [retweet])).toEqual(['1']);
+  });
+
+  it('should apply author allow and deny lists by username or ID', () => {
+    const tweets = [tweet({ id: '1' }), tweet({ id: '2', author_id: '102', author_username: 'Bob' })];
+    expect(keep({ allowAuthors: ['@alice'] }, tweets)).toEqual(['1']);
+    expect(keep({ denyAuthors: ['bob'] }, tweets)).toEqual(['1']);
+    expect(keep({ denyAuthors: ['101'] }, tweets)).toEqual(['2']);
+  });
+
+  it('should drop retweets and replies', () => {
+    const tweets = [
+      tweet({ id: '1' }),
+      tweet({ id: '2', referenced_tweets: [{ type: 'retweeted', id: '9' }] }),
+      tweet({ id: '3', referenced_tweets: [{ type: 'replied_to', id: '9' }] }),
+    ];
+    expect(keep({ excludeRetweets: true }, tweets)).toEqual(['1', '3']);
+    expect(keep({ excludeReplies: true, excludeRetweets: false }, tweets)).toEqual(['1', '2']);
+  });
+
+  it('should enforce engagement minimums and languages', () => {
+    const tweets = [tweet({ id: '1' }), tweet({ id: '2', lang: 'es', public_metrics: { like_count: 50, retweet_count: 0 } })];
+    expect(keep({ minLikes: 20 }, tweets)).toEqual(['2']);
+    expect(keep({ minRetweets: 1 }, tweets)).toEqual(['1']);
+    expect(keep({ languages: ['ES'] }, tweets)).toEqual(['2']);
+    expect(keep({ languages: ['en'] }, [tweet({ lang: null })])).toEqual(['1']);
+  });
+
+  it('should keep only tweets with external links for links-only', () => {
+    const tweets = [
+      tweet({ id: '1', entities: { urls: [{ expanded_url: 'https://example.com/post' }] } }),
+      tweet({ id: '2', entities: { urls: [{ expanded_url: 'https://twitter.com/bob/status/9' }] } }),
+      tweet({ id: '3' }),
+    ];
+    const { rules } = engine.resolve(null, { preset: 'links-only' });
+    expect(engine.apply(tweets, rules).map(t => t.id)).toEqual(['1']);
+  });
+
+  it('should merge list rules, presets and query parameters', () => {
+    const filter = engine.resolve(
+      { excludeKeywords: ['lunch'], minLikes: 5 },
+      { preset: 'no-replies', exclude: 'spam,ads', min_likes: '3', exclude_retweets: 'true' }
+    );
+
+    expect(filter.active).toBe(true);
+    expect(filter.cacheKey).toBeNull();
+    expect(filter.rules).toEqual(expect.objectContaining({
+      excludeKeywords: ['lunch', 'spam', 'ads'],
+      minLikes: 5,
+      excludeReplies: true,
+      excludeRetweets: true,
+    }));
+  });
+
+  it('should only give cacheable keys to unfiltered and preset feeds', () => {
+    expect(engine.resolve(null, {}).cacheKey).toBe('');
+    expect(engine.resolve(null, { preset: 'no-retweets,links-only' }).cacheKey).toBe('preset=links-only,no-retweets');
+  });
+
+  it('should reject unknown presets and invalid rules with code 400', () => {
+    expect(() => engine.resolve(null, { preset: 'missing' })).toThrow(expect.objectContaining({ code: 400 }));
+    expect(() => engine.normalizeRules({ includePatterns: ['('] })).toThrow('Invalid filter');
+    expect(() => engine.resolve(null, { min_likes: '-1' })).toThrow('minLikes');
+    expect(() => engine.normalizeRules({ includePatterns: ['a'.repeat(201)] })).toThrow('pattern longer');
+  });
+
+  it('should only take regex rules from configuration, never from query strings', () => {
+    expect(() => engine.resolve(null, { include_regex: '(a+)+$' })).toThrow(expect.objectContaining({
+      code: 400,
+      message: expect.stringContaining('include_regex is not accepted in query strings'),
+    }));
+    expect(() => engine.resolve(null, { exclude_regex: 'spam' })).toThrow('Invalid filter');
+    expect(engine.resolve({ excludePatterns: ['^RT @'] }, { exclude: 'ads' }).rules.excludePatterns).toEqual([/^RT @/i]);
+  });
+
+  it('should keep configured patterns and keywords whole instead of splitting them on commas', () => {
+    expect(engine.normalizeRules({ includePatterns: ['/\\d{2,4}/'] }).includePatterns).toEqual([/\d{2,4}/]);
+    expect(engine.normalizeRules({ excludePatterns: '(foo|bar),baz' }).excludePatterns).toEqual([/(foo|bar),baz/i]);
+    expect(engine.normalizeRules({ excludeKeywords: ['hello, world'] }).excludeKeywords).toEqual(['hello, world']);
+    expect(engine.resolve(null, { include: 'a, b' }).rules.includeKeywords).toEqual(['a', 'b']);
+  });
+
+  it('should load custom presets from FILTER_PRESETS', () => {
+    const custom = FilterEngine.fromEnv({ FILTER_PRESETS: JSON.stringify({ popular: { minLikes: 100 } }) });
+    expect(custom.presetNames()).toEqual(expect.arrayContaining(['popular', 'links-only']));
+    expect(custom.resolve(null, { preset: 'popular' }).rules).toEqual({ minLikes: 100 });
+    expect(() => FilterEngine.fromEnv({ FILTER_PRESETS: '[1]' })).toThrow('Invalid FILTER_PRESETS');
+  });
+});
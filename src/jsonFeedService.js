@@ -0,0 +1,88 @@
+/**
+ * JSON Feed 1.1 renderer
+ * Gives dashboards structured tweet data without parsing XML. Item HTML,
+ * titles and feed metadata come from the RSS service.
+ * Spec: https://www.jsonfeed.org/version/1.1/
+ */
+
+class JsonFeedService {
+  constructor(rssService) {
+    this.rssService = rssService;
+  }
+
+  /**
+   * Render tweets as a JSON Feed 1.1 document (returned as a string)
+   * Options: title, description, selfUrl, alternateUrl
+   */
+  generateFeed(tweets, listInfo = null, options = {}) {
+    const feed = {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: this.rssService.getFeedTitle(listInfo, options),
+      description: this.rssService.getFeedDescription(listInfo, options),
+      language: 'en'
+    };
+
+    const homePageUrl = options.alternateUrl || this.rssService.config.siteUrl;
+    if (homePageUrl) {
+      feed.home_page_url = homePageUrl;
+    }
+    if (options.selfUrl) {
+      feed.feed_url = options.selfUrl;
+    }
+
+    feed.items = tweets.map(tweet => this.buildItem(tweet));
+
+    return JSON.stringify(feed);
+  }
+
+  buildItem(tweet) {
+    const entities = tweet.entities || {};
+    const displayTweet = this.rssService.getDisplayTweet(tweet);
+    const profileUrl = `https://twitter.com/${tweet.author_username}`;
+
+    const author = {
+      name: `${tweet.author_name} (@${tweet.author_username})`,
+      url: profileUrl
+    };
+    if (tweet.author_profile_image) {
+      author.avatar = tweet.author_profile_image;
+    }
+
+    const item = {
+      id: tweet.id,
+      url: this.rssService.getTweetUrl(tweet),
+      title: this.rssService.generateTweetTitle(tweet),
+      content_html: this.rssService.formatTweetContent(displayTweet, (displayTweet.entities || {}).urls || []),
+      content_text: displayTweet.text,
+      date_published: new Date(tweet.created_at).toISOString(),
+      authors: [author]
+    };
+
+    const media = this.rssService.getTweetMedia(displayTweet);
+    const attachments = this.rssService.getMediaAttachments(media);
+    if (attachments.length > 0) {
+      item.attachments = attachments.map(({ url, type }) => ({ url, mime_type: type }));
+      const photo = attachments.find(({ type }) => type.startsWith('image/'));
+      if (photo) {
+        item.image = photo.url;
+      }
+    }
+
+    const tags = this.rssService.extractHashtags(entities);
+    if (tags.length > 0) {
+      item.tags = tags;
+    }
+
+    // Extension object (JSON Feed allows keys prefixed with an underscore)
+    item._twitter = {
+      author_id: tweet.author_id,
+      author_username: tweet.author_username,
+      public_metrics: tweet.public_metrics || {},
+      referenced_tweets: tweet.referenced_tweets || []
+    };
+
+    return item;
+  }
+}
+
+module.exports = JsonFeedService;
@@ -0,0 +1,56 @@
+const RSSService = require('./rssService');
+const JsonFeedService = require('./jsonFeedService');
+
+describe('JsonFeedService', () => {
+  const tweet = {
+    id: '1234567890',
+    text: 'Reading #javascript https://t.co/abc',
+    created_at: '2025-06-26T10:00:00Z',
+    author_id: '101',
+    author_name: 'Test User',
+    author_username: 'testuser',
+    author_profile_image: 'https://pbs.twimg.com/profile_images/1/avatar.jpg',
+    entities: {
+      hashtags: [{ tag: 'javascript' }],
+      urls: [{ url: 'https://t.co/abc', expanded_url: 'https://example.com/post', display_url: 'example.com/post' }],
+    },
+    public_metrics: { like_count: 4, retweet_count: 1 },
+    referenced_tweets: [{ type: 'quoted', id: '99' }],
+  };
+
+  let jsonFeedService;
+
+  beforeEach(() => {
+    jsonFeedService = new JsonFeedService(new RSSService({ title: 'Test Feed', description: 'Test Description' }));
+  });
+
+  it('should generate a JSON Feed 1.1 document', () => {
+    const feed = JSON.parse(jsonFeedService.generateFeed([tweet], null, {
+      selfUrl: 'http://example.com/feed.json',
+      alternateUrl: 'https://twitter.com/i/lists/42',
+    }));
+
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    expect(feed.title).toBe('Test Feed');
+    expect(feed.feed_url).toBe('http://example.com/feed.json');
+    expect(feed.home_page_url).toBe('https://twitter.com/i/lists/42');
+    expect(feed.items).toHaveLength(1);
+  });
+
+  it('should map tweets to items with authors, tags and the _twitter extension', () => {
+    const [item] = JSON.parse(jsonFeedService.generateFeed([tweet])).items;
+
+    expect(item.id).toBe('1234567890');
+    expect(item.url).toBe('https://twitter.com/testuser/status/1234567890');
+    expect(item.content_html).toContain('<a href="https://example.com/post" target="_blank">example.com/post</a>');
+    expect(item.date_published).toBe('2025-06-26T10:00:00.000Z');
+    expect(item.authors).toEqual([{
+      name: 'Test User (@testuser)',
+      url: 'https://twitter.com/testuser',
+      avatar: 'https://pbs.twimg.com/profile_images/1/avatar.jpg',
+    }]);
+    expect(item.tags).toEqual(['javascript']);
+    expect(item._twitter.public_metrics).toEqual({ like_count: 4, retweet_count: 1 });
+    expect(item._twitter.referenced_tweets).toEqual([{ type: 'quoted', id: '99' }]);
+  });
+});
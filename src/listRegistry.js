@@ -0,0 +1,159 @@
+/**
+ * List Registry
+ * Keeps track of every Twitter list served by this instance together with
+ * its per-list settings and runtime state (metadata, feed cache, scheduler).
+ */
+
+const TierProfile = require('./tierProfile');
+const FilterEngine = require('./filterEngine');
+
+// Checks list filters at registration; presets are not needed for that
+const filterEngine = new FilterEngine();
+
+// Simple logger for list registry operations
+const registryLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [LISTS] ${message}${metaStr}`);
+  },
+  warn: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.warn(`[${timestamp}] [WARN] [LISTS] ${message}${metaStr}`);
+  }
+};
+
+class ListRegistry {
+  constructor(lists = [], defaults = {}) {
+    this.lists = new Map(); // listId -> list entry
+    this.defaults = {
+      minInterval: defaults.minInterval || 60,
+      maxInterval: defaults.maxInterval || 480,
+      threadMode: defaults.threadMode || false
+    };
+
+    lists.forEach(list => this.register(list));
+  }
+
+  /**
+   * Build a registry from environment variables
+   * Supported formats (first match wins):
+   * 1. TWITTER_LISTS - JSON array of list objects, e.g.
+   *    [{"id":"123","title":"Markets","minInterval":30,"maxInterval":240,"retention":{"maxTweets":500},"timezone":"America/New_York","quietHours":"20-7"}]
+   * 2. TWITTER_LIST_IDS - comma-separated list IDs
+   * 3. TWITTER_LIST_ID - a single list ID (or comma-separated IDs)
+   * Interval defaults come from the API tier profile unless set explicitly.
+   */
+  static fromEnv(env = process.env, profile = TierProfile.fromEnv(env)) {
+    const defaults = {
+      minInterval: parseInt(env.MIN_UPDATE_INTERVAL) || profile.scheduler.minInterval,
+      maxInterval: parseInt(env.MAX_UPDATE_INTERVAL) || profile.scheduler.maxInterval,
+      threadMode: env.THREAD_MODE === 'true'
+    };
+
+    let lists = [];
+
+    if (env.TWITTER_LISTS) {
+      try {
+        const parsed = JSON.parse(env.TWITTER_LISTS);
+        if (!Array.isArray(parsed)) {
+          throw new Error('TWITTER_LISTS must be a JSON array');
+        }
+        lists = parsed.map(item => (typeof item === 'object' && item !== null ? item : { id: item }));
+      } catch (error) {
+        throw new Error(`Invalid TWITTER_LISTS configuration: ${error.message}`);
+      }
+    } else {
+      const rawIds = env.TWITTER_LIST_IDS || env.TWITTER_LIST_ID || '';
+      lists = rawIds
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => id.length > 0)
+        .map(id => ({ id }));
+    }
+
+    return new ListRegistry(lists, defaults);
+  }
+
+  register(config) {
+    const id = config && config.id !== undefined && config.id !== null ? String(config.id).trim() : '';
+    if (!id) {
+      throw new Error('List configuration is missing an id');
+    }
+
+    if (this.lists.has(id)) {
+      registryLogger.warn('Duplicate list configuration ignored', { listId: id });
+      return this.lists.get(id);
+    }
+
+    // A bad rule would otherwise only surface as a 400 on every feed request
+    if (config.filters !== undefined && config.filters !== null) {
+      if (typeof config.filters !== 'object' || Array.isArray(config.filters)) {
+        throw new Error(`Invalid filters for list ${id}: must be an object of filter rules`);
+      }
+      try {
+        filterEngine.normalizeRules(config.filters);
+      } catch (error) {
+        throw new Error(`Invalid filters for list ${id}: ${error.message}`);
+      }
+    }
+
+    const minInterval = parseInt(config.minInterval) || this.defaults.minInterval;
+    const maxInterval = Math.max(parseInt(config.maxInterval) || this.defaults.maxInterval, minInterval);
+
+    const entry = {
+      id,
+      title: config.title || null,
+      description: config.description || null,
+      minInterval,
+      maxInterval,
+      filters: config.filters || null, // base filter rules for every feed of this list
+      retention: config.retention || null, // { days, maxTweets } trimming this list only
+      timezone: config.timezone || null, // activity histogram and quiet hours; defaults to SCHEDULE_TIMEZONE
+      quietHours: config.quietHours || null, // e.g. "22-6"; defaults to QUIET_HOURS
+      private: config.private === true || config.private === 'true', // only user-context credentials may fetch it
+      threadMode: config.threadMode !== undefined ? config.threadMode === true || config.threadMode === 'true' : this.defaults.threadMode,
+      // Runtime state
+      listInfo: null,
+      feedCache: {}, // format -> { body, updatedAt }
+      feedVersion: 0, // bumped on every cache invalidation
+      scheduler: null
+    };
+
+    this.lists.set(id, entry);
+    registryLogger.info('List registered', { listId: id, minInterval, maxInterval });
+
+    return entry;
+  }
+
+  get(listId) {
+    return this.lists.get(String(listId)) || null;
+  }
+
+  has(listId) {
+    return this.lists.has(String(listId));
+  }
+
+  /**
+   * The first configured list backs the legacy single-list routes (e.g. /rss)
+   */
+  getDefault() {
+    const first = this.lists.values().next();
+    return first.done ? null : first.value;
+  }
+
+  all() {
+    return Array.from(this.lists.values());
+  }
+
+  ids() {
+    return Array.from(this.lists.keys());
+  }
+
+  get size() {
+    return this.lists.size;
+  }
+}
+
+module.exports = ListRegistry;
@@ -0,0 +1,59 @@
+const ListRegistry = require('./listRegistry');
+
+describe('ListRegistry', () => {
+  it('should build a single-list registry from TWITTER_LIST_ID', () => {
+    const registry = ListRegistry.fromEnv({ TWITTER_LIST_ID: '123' });
+    expect(registry.ids()).toEqual(['123']);
+    expect(registry.getDefault().id).toBe('123');
+  });
+
+  it('should parse comma-separated TWITTER_LIST_IDS', () => {
+    const registry = ListRegistry.fromEnv({ TWITTER_LIST_IDS: '1, 2,,3', TWITTER_LIST_ID: '9' });
+    expect(registry.ids()).toEqual(['1', '2', '3']);
+  });
+
+  it('should apply per-list settings from TWITTER_LISTS', () => {
+    const registry = ListRegistry.fromEnv({
+      TWITTER_LISTS: JSON.stringify([{ id: '1', title: 'Markets', minInterval: 30 }, '2']),
+      MIN_UPDATE_INTERVAL: '90',
+      MAX_UPDATE_INTERVAL: '300',
+    });
+    expect(registry.get('1')).toEqual(expect.objectContaining({ title: 'Markets', minInterval: 30, maxInterval: 300 }));
+    expect(registry.get('2')).toEqual(expect.objectContaining({ minInterval: 90, maxInterval: 300 }));
+  });
+
+  it('should take default intervals from the API tier profile', () => {
+    expect(ListRegistry.fromEnv({ TWITTER_LIST_ID: '1' }).getDefault()).toEqual(expect.objectContaining({ minInterval: 60, maxInterval: 480 }));
+    expect(ListRegistry.fromEnv({ TWITTER_LIST_ID: '1', API_TIER: 'free' }).getDefault()).toEqual(expect.objectContaining({ minInterval: 120, maxInterval: 1440 }));
+    expect(ListRegistry.fromEnv({ TWITTER_LIST_ID: '1', API_TIER: 'pro' }).getDefault()).toEqual(expect.objectContaining({ minInterval: 15, maxInterval: 240 }));
+    expect(ListRegistry.fromEnv({ TWITTER_LIST_ID: '1', API_TIER: 'pro', MIN_UPDATE_INTERVAL: '30' }).getDefault().minInterval).toBe(30);
+  });
+
+  it('should reject invalid TWITTER_LISTS JSON', () => {
+    expect(() => ListRegistry.fromEnv({ TWITTER_LISTS: '{not json' })).toThrow('Invalid TWITTER_LISTS configuration');
+  });
+
+  it('should reject invalid list filters at startup', () => {
+    const lists = filters => ({ TWITTER_LISTS: JSON.stringify([{ id: '1', filters }]) });
+
+    expect(ListRegistry.fromEnv(lists({ excludeReplies: true, includePatterns: ['^launch'] })).get('1').filters)
+      .toEqual({ excludeReplies: true, includePatterns: ['^launch'] });
+    expect(() => ListRegistry.fromEnv(lists({ minLikes: -5 }))).toThrow('Invalid filters for list 1: Invalid filter: minLikes must be a non-negative integer');
+    expect(() => ListRegistry.fromEnv(lists({ includePatterns: ['('] }))).toThrow('Invalid filters for list 1');
+    expect(() => ListRegistry.fromEnv(lists('no-replies'))).toThrow('must be an object of filter rules');
+  });
+
+  it('should ignore duplicate list IDs', () => {
+    const registry = ListRegistry.fromEnv({ TWITTER_LIST_IDS: '1,1' });
+    expect(registry.size).toBe(1);
+  });
+
+  it('should default thread mode from THREAD_MODE and allow per-list overrides', () => {
+    const registry = ListRegistry.fromEnv({
+      TWITTER_LISTS: JSON.stringify([{ id: '1', threadMode: false }, '2']),
+      THREAD_MODE: 'true',
+    });
+    expect(registry.get('1').threadMode).toBe(false);
+    expect(registry.get('2').threadMode).toBe(true);
+  });
+});
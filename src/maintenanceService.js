@@ -0,0 +1,248 @@
+/**
+ * Maintenance Service
+ * Keeps the archive bounded: deletes tweets past the retention age or beyond
+ * the row limits (overall, per author, per list), then refreshes statistics.
+ * VACUUM runs on its own, slower cadence. Tweets inside a list's current feed
+ * window are never removed, and account archive imports are left alone
+ * unless includeArchive is set. Runs are recorded in config so /status can
+ * report them across restarts and serverless instances.
+ */
+
+// Simple logger for maintenance operations
+const maintenanceLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [MAINTENANCE] ${message}${metaStr}`);
+  },
+  error: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.error(`[${timestamp}] [ERROR] [MAINTENANCE] ${message}${metaStr}`);
+  }
+};
+
+const LAST_RUN_KEY = 'maintenance:last_run';
+const LAST_VACUUM_KEY = 'maintenance:last_vacuum';
+const HISTORY_SIZE = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+function positiveInt(value) {
+  const parsed = parseInt(value);
+  return parsed > 0 ? parsed : null;
+}
+
+class MaintenanceService {
+  /**
+   * Options (null disables a rule):
+   *   retentionDays, maxTweets, maxTweetsPerAuthor, maxTweetsPerList,
+   *   intervalHours (between runs), vacuumIntervalHours, feedWindow (tweets kept per list),
+   *   includeArchive (apply the rules to archive imports too; default false)
+   */
+  constructor(database, listRegistry, options = {}) {
+    this.database = database;
+    this.listRegistry = listRegistry;
+    this.retentionDays = options.retentionDays !== undefined ? options.retentionDays : 30;
+    this.maxTweets = options.maxTweets || null;
+    this.maxTweetsPerAuthor = options.maxTweetsPerAuthor || null;
+    this.maxTweetsPerList = options.maxTweetsPerList || null;
+    this.intervalHours = options.intervalHours || 24;
+    this.vacuumIntervalHours = options.vacuumIntervalHours || 168;
+    this.feedWindow = options.feedWindow || 50;
+    this.includeArchive = options.includeArchive === true;
+    this.running = null;
+    this.history = [];
+  }
+
+  static fromEnv(database, listRegistry, env = process.env) {
+    const maxTweetsPerFeed = parseInt(env.MAX_TWEETS_PER_FEED) || 50;
+    return new MaintenanceService(database, listRegistry, {
+      retentionDays: env.RETENTION_DAYS !== undefined ? positiveInt(env.RETENTION_DAYS) : 30,
+      maxTweets: positiveInt(env.RETENTION_MAX_TWEETS),
+      maxTweetsPerAuthor: positiveInt(env.RETENTION_MAX_TWEETS_PER_AUTHOR),
+      maxTweetsPerList: positiveInt(env.RETENTION_MAX_TWEETS_PER_LIST),
+      intervalHours: positiveInt(env.MAINTENANCE_INTERVAL_HOURS),
+      vacuumIntervalHours: positiveInt(env.VACUUM_INTERVAL_HOURS),
+      // Filtered feeds read further back than MAX_TWEETS_PER_FEED
+      feedWindow: maxTweetsPerFeed * (parseInt(env.FILTER_FETCH_MULTIPLIER) || 4),
+      includeArchive: env.RETENTION_INCLUDE_ARCHIVE === 'true'
+    });
+  }
+
+  /**
+   * Run when the last recorded run is older than the interval.
+   * Concurrent callers (one per list scheduler) share the same run.
+   */
+  async runIfDue(now = new Date()) {
+    if (this.running) {
+      return this.running;
+    }
+
+    const lastRun = await this.getLastRun();
+    if (lastRun && now - new Date(lastRun.startedAt) < this.intervalHours * HOUR_MS) {
+      return null;
+    }
+    return this.run(now);
+  }
+
+  run(now = new Date()) {
+    if (!this.running) {
+      this.running = this.execute(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async execute(now) {
+    const startedAt = now.toISOString();
+    const result = {
+      startedAt,
+      finishedAt: null,
+      deleted: { age: 0, maxTweets: 0, perAuthor: 0, lists: {} },
+      protectedTweets: 0,
+      analyzed: false,
+      vacuumed: false,
+      error: null
+    };
+
+    maintenanceLogger.info('Maintenance run started', { startedAt });
+
+    try {
+      const feedWindows = await this.getFeedWindows();
+      const protectedIds = new Set([...feedWindows.values()].flatMap(ids => [...ids]));
+      result.protectedTweets = protectedIds.size;
+      const removable = ids => ids.filter(id => !protectedIds.has(id));
+      const fetchedOnly = !this.includeArchive;
+
+      if (this.retentionDays) {
+        const cutoff = new Date(now.getTime() - this.retentionDays * 24 * HOUR_MS).toISOString();
+        result.deleted.age = await this.database.deleteTweets(removable(await this.database.getTweetIdsBefore(cutoff, { fetchedOnly })));
+      }
+
+      if (this.maxTweets) {
+        result.deleted.maxTweets = await this.deleteBeyond(this.maxTweets, { fetchedOnly }, removable);
+      }
+
+      if (this.maxTweetsPerAuthor) {
+        for (const { authorId } of await this.database.getAuthorsOverLimit(this.maxTweetsPerAuthor, { fetchedOnly })) {
+          result.deleted.perAuthor += await this.deleteBeyond(this.maxTweetsPerAuthor, { authorId, fetchedOnly }, removable);
+        }
+      }
+
+      for (const list of this.listRegistry.all()) {
+        const window = feedWindows.get(list.id);
+        const trimmed = await this.trimList(list, now, ids => ids.filter(id => !window.has(id)));
+        if (trimmed.removed > 0) {
+          result.deleted.lists[list.id] = trimmed;
+        }
+      }
+
+      const lastVacuum = await this.database.getConfig(LAST_VACUUM_KEY);
+      const vacuum = !lastVacuum || now - new Date(lastVacuum) >= this.vacuumIntervalHours * HOUR_MS;
+      await this.database.optimize({ vacuum });
+      result.analyzed = true;
+      if (vacuum) {
+        result.vacuumed = true;
+        await this.database.setConfig(LAST_VACUUM_KEY, startedAt);
+      }
+    } catch (error) {
+      result.error = error.message;
+      maintenanceLogger.error('Maintenance run failed', { error: error.message });
+    }
+
+    result.finishedAt = new Date().toISOString();
+    await this.record(result);
+    maintenanceLogger.info('Maintenance run finished', result);
+    return result;
+  }
+
+  /**
+   * listId -> IDs in that list's current feed window
+   */
+  async getFeedWindows() {
+    const windows = new Map();
+    for (const list of this.listRegistry.all()) {
+      const tweets = await this.database.getTweets(this.feedWindow, list.id);
+      windows.set(list.id, new Set(tweets.map(tweet => tweet.id)));
+    }
+    return windows;
+  }
+
+  async deleteBeyond(keep, scope, removable) {
+    const cutoff = await this.database.getRetentionCutoff(keep, scope);
+    if (!cutoff) {
+      return 0;
+    }
+    return this.database.deleteTweets(removable(await this.database.getTweetIdsBefore(cutoff, scope)));
+  }
+
+  /**
+   * Per-list limits (list `retention` settings or RETENTION_MAX_TWEETS_PER_LIST)
+   * take tweets out of that list only; tweets left in no list are deleted
+   */
+  async trimList(list, now, removable) {
+    const retention = list.retention || {};
+    const maxTweets = positiveInt(retention.maxTweets) || this.maxTweetsPerList;
+    const days = positiveInt(retention.days);
+    const scope = { listId: list.id, fetchedOnly: !this.includeArchive };
+    const ids = new Set();
+
+    if (days) {
+      const cutoff = new Date(now.getTime() - days * 24 * HOUR_MS).toISOString();
+      (await this.database.getTweetIdsBefore(cutoff, scope)).forEach(id => ids.add(id));
+    }
+    if (maxTweets) {
+      const cutoff = await this.database.getRetentionCutoff(maxTweets, scope);
+      if (cutoff) {
+        (await this.database.getTweetIdsBefore(cutoff, scope)).forEach(id => ids.add(id));
+      }
+    }
+
+    return this.database.removeTweetsFromList(list.id, removable([...ids]));
+  }
+
+  async record(result) {
+    this.history = [result, ...this.history].slice(0, HISTORY_SIZE);
+    try {
+      await this.database.setConfig(LAST_RUN_KEY, JSON.stringify(result));
+    } catch (error) {
+      maintenanceLogger.error('Failed to record maintenance run', { error: error.message });
+    }
+  }
+
+  async getLastRun() {
+    const stored = await this.database.getConfig(LAST_RUN_KEY);
+    try {
+      return stored ? JSON.parse(stored) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Settings, last run (also from other instances) and recent runs for /status
+   */
+  async getStatus() {
+    const lastRun = await this.getLastRun();
+    return {
+      retention: {
+        days: this.retentionDays,
+        maxTweets: this.maxTweets,
+        maxTweetsPerAuthor: this.maxTweetsPerAuthor,
+        maxTweetsPerList: this.maxTweetsPerList,
+        feedWindow: this.feedWindow,
+        includeArchive: this.includeArchive
+      },
+      intervalHours: this.intervalHours,
+      vacuumIntervalHours: this.vacuumIntervalHours,
+      running: !!this.running,
+      lastRun,
+      lastVacuum: await this.database.getConfig(LAST_VACUUM_KEY),
+      nextRun: lastRun ? new Date(new Date(lastRun.startedAt).getTime() + this.intervalHours * HOUR_MS).toISOString() : null,
+      recentRuns: this.history
+    };
+  }
+}
+
+module.exports = MaintenanceService;
@@ -0,0 +1,112 @@
+const Database = require('./database');
+const ListRegistry = require('./listRegistry');
+const MaintenanceService = require('./maintenanceService');
+const { Sqlite3Driver } = require('./storage');
+
+describe('MaintenanceService', () => {
+  const now = new Date('2025-07-01T00:00:00Z');
+  let database;
+  let registry;
+
+  const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  const tweet = (id, days, author = '1') => ({
+    id, text: `Tweet ${id}`, author_id: author, author_username: `u${author}`, author_name: 'U', created_at: daysAgo(days),
+  });
+  const storedIds = async (listId = null) => (await database.getTweets(100, listId)).map(t => t.id).sort();
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Database.prototype, 'init').mockImplementation(() => {});
+
+    database = new Database();
+    database.db = new Sqlite3Driver(':memory:');
+    await database.db.open();
+    await database.createTables();
+
+    registry = new ListRegistry([{ id: 'a' }, { id: 'b', retention: { maxTweets: 1 } }]);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+  });
+
+  it('should delete tweets past the retention age but keep the feed window', async () => {
+    await database.saveTweets([tweet('1', 90), tweet('2', 60), tweet('3', 45), tweet('4', 1)], 'a');
+    const service = new MaintenanceService(database, registry, { retentionDays: 30, feedWindow: 2 });
+
+    const result = await service.run(now);
+
+    // 3 is older than 30 days but still one of the two newest tweets in list a
+    expect(await storedIds()).toEqual(['3', '4']);
+    expect(result.deleted.age).toBe(2);
+    expect(result.protectedTweets).toBe(2);
+    expect(result.error).toBeNull();
+  });
+
+  it('should cap tweets overall and per author', async () => {
+    await database.saveTweets([tweet('1', 5, 'x'), tweet('2', 4, 'x'), tweet('3', 3, 'x'), tweet('4', 2, 'y'), tweet('5', 1, 'y')]);
+    const service = new MaintenanceService(database, registry, { retentionDays: null, maxTweets: 4, maxTweetsPerAuthor: 1 });
+
+    const result = await service.run(now);
+
+    expect(await storedIds()).toEqual(['3', '5']);
+    expect(result.deleted).toEqual(expect.objectContaining({ maxTweets: 1, perAuthor: 2 }));
+  });
+
+  it('should trim a list without deleting tweets other lists still show', async () => {
+    await database.saveTweets([tweet('1', 3), tweet('2', 2), tweet('3', 1)], 'b');
+    await database.saveTweets([tweet('1', 3)], 'a');
+    const service = new MaintenanceService(database, registry, { retentionDays: null, feedWindow: 1 });
+
+    const result = await service.run(now);
+
+    expect(await storedIds('b')).toEqual(['3']);
+    expect(await storedIds()).toEqual(['1', '3']);
+    expect(result.deleted.lists).toEqual({ b: { removed: 2, deleted: 1 } });
+  });
+
+  it('should leave imported archive tweets alone unless told to include them', async () => {
+    const imported = (id, days) => ({ ...tweet(id, days), source: 'archive' });
+    await database.saveTweets([imported('1', 900), imported('2', 400), tweet('3', 90), tweet('4', 1)]);
+    const options = { retentionDays: 30, maxTweets: 1, feedWindow: 1 };
+
+    const result = await new MaintenanceService(database, registry, options).run(now);
+    expect(await storedIds()).toEqual(['1', '2', '4']);
+    expect(result.deleted).toEqual(expect.objectContaining({ age: 1, maxTweets: 0 }));
+
+    await new MaintenanceService(database, registry, { ...options, includeArchive: true }).run(now);
+    expect(await storedIds()).toEqual(['4']);
+  });
+
+  it('should record runs, skip until the next one is due and vacuum less often', async () => {
+    const service = new MaintenanceService(database, registry, { intervalHours: 24, vacuumIntervalHours: 48 });
+    const later = hours => new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+    expect((await service.runIfDue(now)).vacuumed).toBe(true);
+    expect(await service.runIfDue(later(12))).toBeNull();
+
+    const second = await service.runIfDue(later(25));
+    expect(second).toEqual(expect.objectContaining({ analyzed: true, vacuumed: false }));
+
+    const status = await service.getStatus();
+    expect(status.lastRun.startedAt).toBe(later(25).toISOString());
+    expect(status.lastVacuum).toBe(now.toISOString());
+    expect(status.recentRuns).toHaveLength(2);
+  });
+
+  it('should read its settings from the environment', () => {
+    const service = MaintenanceService.fromEnv(database, registry, {
+      RETENTION_DAYS: '7', RETENTION_MAX_TWEETS_PER_AUTHOR: '100', MAX_TWEETS_PER_FEED: '20', FILTER_FETCH_MULTIPLIER: '2',
+    });
+
+    expect(service.retentionDays).toBe(7);
+    expect(service.maxTweetsPerAuthor).toBe(100);
+    expect(service.maxTweets).toBeNull();
+    expect(service.feedWindow).toBe(40);
+    expect(service.includeArchive).toBe(false);
+    expect(MaintenanceService.fromEnv(database, registry, { RETENTION_INCLUDE_ARCHIVE: 'true' }).includeArchive).toBe(true);
+    expect(MaintenanceService.fromEnv(database, registry, { RETENTION_DAYS: '0' }).retentionDays).toBeNull();
+  });
+});
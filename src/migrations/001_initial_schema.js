@@ -0,0 +1,36 @@
+/**
+ * Tables from the first release: tweets and key/value config
+ */
+module.exports = {
+  description: 'Create tweets and config tables',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS tweets (
+        id TEXT PRIMARY KEY,
+        text TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        author_username TEXT NOT NULL,
+        author_name TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        public_metrics TEXT,
+        entities TEXT,
+        referenced_tweets TEXT,
+        fetched_at ${db.timestampType} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS config (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at ${db.timestampType} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tweets_created_at ON tweets(created_at DESC)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tweets_fetched_at ON tweets(fetched_at DESC)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tweets_author_id ON tweets(author_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_config_key ON config(key)');
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * A tweet can appear in several lists, so membership lives in its own table
+ */
+module.exports = {
+  description: 'Track which lists each tweet belongs to',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS tweet_lists (
+        tweet_id TEXT NOT NULL,
+        list_id TEXT NOT NULL,
+        added_at ${db.timestampType} DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tweet_id, list_id)
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_tweet_lists_list_id ON tweet_lists(list_id)');
+  }
+};
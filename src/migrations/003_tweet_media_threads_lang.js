@@ -0,0 +1,13 @@
+/**
+ * Columns for media attachments, thread grouping and language filters.
+ * Databases created before migrations existed may already have them.
+ */
+module.exports = {
+  description: 'Add media, conversation_id and lang columns to tweets',
+
+  async up(db) {
+    await db.addColumnIfMissing('tweets', 'media', 'TEXT');
+    await db.addColumnIfMissing('tweets', 'conversation_id', 'TEXT');
+    await db.addColumnIfMissing('tweets', 'lang', 'TEXT');
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Full-text index over tweet text, authors and expanded URLs.
+ * SQLite builds without FTS5 skip it and run without search; the index is
+ * filled from existing tweets by Database.indexUnsearchedTweets().
+ * PostgreSQL keeps the same columns in a plain table with a generated
+ * tsvector and a GIN index over it.
+ */
+module.exports = {
+  description: 'Create the tweets_fts full-text search index',
+
+  async up(db, logger) {
+    if (db.dialect === 'postgres') {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS tweets_fts (
+          tweet_id TEXT NOT NULL,
+          text TEXT,
+          author_username TEXT,
+          author_name TEXT,
+          urls TEXT,
+          document tsvector GENERATED ALWAYS AS (
+            to_tsvector('simple'::regconfig, regexp_replace(
+              lower(coalesce(text, '') || ' ' || coalesce(author_username, '') || ' ' ||
+                coalesce(author_name, '') || ' ' || coalesce(urls, '')),
+              '[^[:alnum:]_]+', ' ', 'g'
+            ))
+          ) STORED
+        )
+      `);
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tweets_fts_document ON tweets_fts USING GIN (document)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tweets_fts_tweet_id ON tweets_fts(tweet_id)');
+      return;
+    }
+
+    try {
+      await db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS tweets_fts USING fts5(
+          tweet_id UNINDEXED,
+          text,
+          author_username,
+          author_name,
+          urls,
+          tokenize = 'unicode61 remove_diacritics 2'
+        )
+      `);
+    } catch (error) {
+      if (!/no such module: fts5/i.test(error.message)) {
+        throw error;
+      }
+      logger.warn('FTS5 is not available, search stays disabled', { error: error.message });
+    }
+  }
+};
@@ -0,0 +1,10 @@
+/**
+ * Keep the author avatar that TwitterService already returns
+ */
+module.exports = {
+  description: 'Add author_profile_image column to tweets',
+
+  async up(db) {
+    await db.addColumnIfMissing('tweets', 'author_profile_image', 'TEXT');
+  }
+};
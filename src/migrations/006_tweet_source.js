@@ -0,0 +1,11 @@
+/**
+ * Record where each tweet came from, so account archive imports can be told
+ * apart from tweets fetched through the API
+ */
+module.exports = {
+  description: 'Add source column to tweets',
+
+  async up(db) {
+    await db.addColumnIfMissing('tweets', 'source', `TEXT DEFAULT 'api'`);
+  }
+};
@@ -0,0 +1,18 @@
+/**
+ * Ledger of posts read per fetch, counted against the monthly API allowance
+ */
+module.exports = {
+  description: 'Track posts read per fetch for the monthly quota',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS quota_usage (
+        list_id TEXT,
+        posts_read INTEGER NOT NULL DEFAULT 0,
+        requests INTEGER NOT NULL DEFAULT 0,
+        recorded_at ${db.timestampType} NOT NULL
+      )
+    `);
+    await db.run('CREATE INDEX IF NOT EXISTS idx_quota_usage_recorded_at ON quota_usage(recorded_at)');
+  }
+};
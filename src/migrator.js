@@ -0,0 +1,199 @@
+/**
+ * Schema Migrator
+ * Applies the numbered files in src/migrations in order, each inside its own
+ * transaction, and records progress in the schema_version table.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Simple logger for migration operations
+const migrationLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [MIGRATIONS] ${message}${metaStr}`);
+  },
+  warn: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.warn(`[${timestamp}] [WARN] [MIGRATIONS] ${message}${metaStr}`);
+  },
+  error: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.error(`[${timestamp}] [ERROR] [MIGRATIONS] ${message}${metaStr}`);
+  }
+};
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+  constructor(db, migrations = Migrator.loadMigrations()) {
+    this.db = db; // storage driver (see src/storage)
+    this.migrations = migrations;
+  }
+
+  /**
+   * Read migration modules named <version>_<name>.js, ordered by version
+   */
+  static loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(dir, file));
+        if (typeof migration.up !== 'function') {
+          throw new Error(`Migration ${file} does not export an up() function`);
+        }
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+      if (i > 0 && migrations[i - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  get latestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Helpers handed to each migration's up(db, logger), bound to its transaction.
+   * db.dialect ('sqlite' or 'postgres') lets a migration branch where SQL differs.
+   */
+  getMigrationContext(tx) {
+    return {
+      dialect: this.db.dialect,
+      timestampType: this.getTimestampType(),
+      run: (sql, params) => tx.run(sql, params),
+      all: (sql, params) => tx.all(sql, params),
+      addColumnIfMissing: async (table, column, definition) => {
+        const columns = await this.db.getColumnNames(table, tx);
+        if (columns.includes(column)) {
+          return false;
+        }
+        await tx.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        return true;
+      }
+    };
+  }
+
+  getTimestampType() {
+    return this.db.dialect === 'postgres' ? 'TIMESTAMP' : 'DATETIME';
+  }
+
+  async ensureVersionTable() {
+    await this.db.transaction(async (tx) => {
+      await this.db.lockMigrations(tx);
+      await tx.run(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+          version INTEGER PRIMARY KEY,
+          description TEXT NOT NULL,
+          applied_at ${this.getTimestampType()} DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    });
+  }
+
+  /**
+   * Highest applied version; 0 for new databases and those created before migrations
+   */
+  async getCurrentVersion() {
+    if (!(await this.db.hasTable('schema_version'))) {
+      return 0;
+    }
+    const row = await this.db.get('SELECT MAX(version) AS version FROM schema_version');
+    return row.version || 0;
+  }
+
+  async getPending() {
+    const currentVersion = await this.getCurrentVersion();
+    this.assertSupported(currentVersion);
+    return this.migrations.filter(migration => migration.version > currentVersion);
+  }
+
+  /**
+   * Refuse to touch a database written by a newer release
+   */
+  assertSupported(currentVersion) {
+    if (currentVersion > this.latestVersion) {
+      throw new Error(
+        `Database schema version ${currentVersion} is newer than this release supports (${this.latestVersion}). ` +
+        'Upgrade the application before using this database.'
+      );
+    }
+  }
+
+  /**
+   * Apply pending migrations, or only report them when dryRun is set
+   * Returns { fromVersion, toVersion, pending, applied }
+   */
+  async migrate({ dryRun = false } = {}) {
+    const fromVersion = await this.getCurrentVersion();
+    const pending = await this.getPending();
+    const summary = pending.map(({ version, name, description }) => ({ version, name, description }));
+
+    if (dryRun || pending.length === 0) {
+      if (pending.length === 0) {
+        migrationLogger.info('Database schema is up to date', { version: fromVersion });
+      }
+      return { fromVersion, toVersion: fromVersion, pending: summary, applied: [] };
+    }
+
+    migrationLogger.info('Applying migrations', { fromVersion, toVersion: this.latestVersion, count: pending.length });
+    await this.ensureVersionTable();
+
+    const applied = [];
+    for (const migration of pending) {
+      let skipped = false;
+      try {
+        await this.db.transaction(async (tx) => {
+          await this.db.lockMigrations(tx);
+
+          // Another instance may have applied it while we waited for the lock
+          if (await tx.get('SELECT version FROM schema_version WHERE version = ?', [migration.version])) {
+            skipped = true;
+            return;
+          }
+
+          await migration.up(this.getMigrationContext(tx), migrationLogger);
+          await tx.run(
+            'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+            [migration.version, migration.description]
+          );
+        });
+      } catch (error) {
+        migrationLogger.error('Migration failed, rolled back', {
+          version: migration.version,
+          name: migration.name,
+          error: error.message
+        });
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+
+      if (skipped) {
+        migrationLogger.info('Migration already applied by another instance', { version: migration.version, name: migration.name });
+        continue;
+      }
+
+      migrationLogger.info('Migration applied', { version: migration.version, name: migration.name });
+      applied.push({ version: migration.version, name: migration.name, description: migration.description });
+    }
+
+    return { fromVersion, toVersion: this.latestVersion, pending: [], applied };
+  }
+}
+
+module.exports = Migrator;
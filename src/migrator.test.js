@@ -0,0 +1,136 @@
+const Migrator = require('./migrator');
+const { Sqlite3Driver, PostgresDriver } = require('./storage');
+
+describe('Migrator', () => {
+  let db;
+
+  const all = (sql) => db.all(sql);
+  const exec = (sql) => db.exec(sql);
+  const columns = async (table) => (await all(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db = new Sqlite3Driver(':memory:');
+    await db.open();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await db.close();
+  });
+
+  it('should load migrations in version order', () => {
+    const migrations = Migrator.loadMigrations();
+    const versions = migrations.map(migration => migration.version);
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(migrations[0]).toEqual(expect.objectContaining({ version: 1, name: 'initial_schema' }));
+  });
+
+  it('should build a new database and record the schema version', async () => {
+    const migrator = new Migrator(db);
+    const result = await migrator.migrate();
+
+    expect(result.fromVersion).toBe(0);
+    expect(result.toVersion).toBe(migrator.latestVersion);
+    expect(await migrator.getCurrentVersion()).toBe(migrator.latestVersion);
+    expect(await columns('tweets')).toEqual(expect.arrayContaining(['media', 'lang', 'author_profile_image']));
+    expect((await migrator.migrate()).applied).toEqual([]);
+  });
+
+  it('should upgrade a database created before migrations existed', async () => {
+    await exec(`
+      CREATE TABLE tweets (id TEXT PRIMARY KEY, text TEXT NOT NULL, author_id TEXT NOT NULL, author_username TEXT NOT NULL,
+        author_name TEXT NOT NULL, created_at TEXT NOT NULL, public_metrics TEXT, entities TEXT, referenced_tweets TEXT,
+        fetched_at DATETIME DEFAULT CURRENT_TIMESTAMP, media TEXT);
+      CREATE TABLE config (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP);
+      INSERT INTO tweets (id, text, author_id, author_username, author_name, created_at) VALUES ('1', 'kept', '1', 'a', 'A', '2025-01-01');
+    `);
+
+    await new Migrator(db).migrate();
+
+    expect(await columns('tweets')).toEqual(expect.arrayContaining(['media', 'conversation_id', 'author_profile_image']));
+    expect(await all('SELECT id FROM tweets')).toEqual([{ id: '1' }]);
+  });
+
+  it('should only report pending migrations in a dry run', async () => {
+    const migrator = new Migrator(db);
+    const result = await migrator.migrate({ dryRun: true });
+
+    expect(result.pending.map(migration => migration.version)).toEqual(migrator.migrations.map(migration => migration.version));
+    expect(result.applied).toEqual([]);
+    expect(await all(`SELECT name FROM sqlite_master WHERE name IN ('tweets', 'schema_version')`)).toEqual([]);
+  });
+
+  it('should refuse a database from a newer release', async () => {
+    const migrator = new Migrator(db);
+    await migrator.migrate();
+    await exec(`INSERT INTO schema_version (version, description) VALUES (${migrator.latestVersion + 1}, 'future')`);
+
+    await expect(new Migrator(db).migrate()).rejects.toThrow('newer than this release supports');
+  });
+
+  it('should roll back a failing migration and stop', async () => {
+    const migrator = new Migrator(db, [
+      { version: 1, name: 'ok', description: 'ok', up: (m) => m.run('CREATE TABLE first (id INTEGER)') },
+      {
+        version: 2,
+        name: 'broken',
+        description: 'broken',
+        up: async (m) => {
+          await m.run('CREATE TABLE second (id INTEGER)');
+          await m.run('INSERT INTO missing_table VALUES (1)');
+        },
+      },
+      { version: 3, name: 'later', description: 'later', up: (m) => m.run('CREATE TABLE third (id INTEGER)') },
+    ]);
+
+    await expect(migrator.migrate()).rejects.toThrow('Migration 2_broken failed');
+
+    expect(await migrator.getCurrentVersion()).toBe(1);
+    const tables = (await all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(row => row.name);
+    expect(tables).toContain('first');
+    expect(tables).not.toContain('second');
+    expect(tables).not.toContain('third');
+  });
+});
+
+// Runs against a real server only when TEST_DATABASE_URL is set
+(process.env.TEST_DATABASE_URL ? describe : describe.skip)('Migrator (PostgreSQL)', () => {
+  const schema = `test_migrator_${process.pid}`;
+  const connect = async () => {
+    const driver = new PostgresDriver(process.env.TEST_DATABASE_URL, { schema });
+    await driver.open();
+    return driver;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    const db = await connect();
+    await db.exec(`DROP SCHEMA ${schema} CASCADE`);
+    await db.close();
+  });
+
+  it('should apply every migration once when instances start together', async () => {
+    const first = await connect();
+    const second = await connect();
+
+    try {
+      const results = await Promise.all([new Migrator(first).migrate(), new Migrator(second).migrate()]);
+      const applied = results.flatMap(result => result.applied.map(migration => migration.version));
+      const migrator = new Migrator(first);
+
+      expect(applied.sort((a, b) => a - b)).toEqual(migrator.migrations.map(migration => migration.version));
+      expect(await migrator.getCurrentVersion()).toBe(migrator.latestVersion);
+      expect(await first.getColumnNames('tweets')).toEqual(expect.arrayContaining(['lang', 'author_profile_image']));
+      expect(await first.hasTable('tweets_fts')).toBe(true);
+    } finally {
+      await Promise.all([first.close(), second.close()]);
+    }
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Quota Ledger
+ * The API tiers cap posts read per month, not just requests per window. Every
+ * fetch records how many posts it read; against a configured monthly
+ * allowance the ledger tells the schedulers how far apart fetches must be
+ * (and how many pages each may read) for the allowance to last until the
+ * reset date, and reports consumption and projected exhaustion for /status.
+ */
+
+// Simple logger for quota operations
+const quotaLogger = {
+  warn: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.warn(`[${timestamp}] [WARN] [QUOTA] ${message}${metaStr}`);
+  }
+};
+
+const TierProfile = require('./tierProfile');
+
+const MINUTE_MS = 60 * 1000;
+
+class QuotaLedger {
+  /**
+   * Options: monthlyAllowance (posts; null only records usage),
+   * resetDay (day of the month the allowance resets, UTC), listCount,
+   * pageBudget (pages a fetch reads when the allowance is not tight),
+   * pageSize (posts per page)
+   */
+  constructor(database, options = {}) {
+    this.database = database;
+    this.monthlyAllowance = options.monthlyAllowance || null;
+    this.resetDay = Math.min(Math.max(parseInt(options.resetDay) || 1, 1), 28);
+    this.listCount = Math.max(options.listCount || 1, 1);
+    this.pageBudget = Math.max(options.pageBudget || 3, 1);
+    this.pageSize = options.pageSize || 100;
+    this.usage = null; // { cycleStart, used, requests, fetches, byList }
+  }
+
+  /**
+   * QUOTA_MONTHLY_POSTS overrides the tier profile's cap; 0 disables it
+   */
+  static fromEnv(database, listRegistry, env = process.env, profile = TierProfile.fromEnv(env)) {
+    const allowance = env.QUOTA_MONTHLY_POSTS !== undefined && env.QUOTA_MONTHLY_POSTS !== ''
+      ? parseInt(env.QUOTA_MONTHLY_POSTS)
+      : profile.monthlyPostCap;
+    return new QuotaLedger(database, {
+      monthlyAllowance: allowance > 0 ? allowance : null,
+      resetDay: env.QUOTA_RESET_DAY,
+      listCount: listRegistry.size,
+      pageBudget: parseInt(env.MAX_PAGES_PER_FETCH),
+      pageSize: profile.pageSize
+    });
+  }
+
+  get enabled() {
+    return !!this.monthlyAllowance;
+  }
+
+  /**
+   * The billing cycle containing `now`: { start, end }
+   */
+  getCycle(now = new Date()) {
+    let start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), this.resetDay));
+    if (now < start) {
+      start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, this.resetDay));
+    }
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, this.resetDay));
+    return { start, end };
+  }
+
+  /**
+   * Record the posts one fetch read. Rows from before the previous cycle are pruned.
+   */
+  async record(listId, { postsRead = 0, requests = 0 } = {}, now = new Date()) {
+    await this.database.recordQuotaUsage({ listId, postsRead, requests, recordedAt: now.toISOString() });
+
+    const { start } = this.getCycle(now);
+    const previousStart = this.getCycle(new Date(start.getTime() - 1)).start;
+    await this.database.deleteQuotaUsageBefore(previousStart.toISOString());
+
+    await this.refresh(now);
+    const usage = this.getUsage(now);
+    if (this.enabled && usage.remaining <= 0) {
+      quotaLogger.warn('Monthly post allowance used up', { used: usage.used, allowance: this.monthlyAllowance, resetAt: usage.resetAt });
+    }
+  }
+
+  /**
+   * Reload this cycle's totals from the ledger; other instances may share it
+   */
+  async refresh(now = new Date()) {
+    const { start } = this.getCycle(now);
+    const rows = await this.database.getQuotaUsage(start.toISOString());
+    this.usage = {
+      cycleStart: start.toISOString(),
+      used: rows.reduce((sum, row) => sum + row.postsRead, 0),
+      requests: rows.reduce((sum, row) => sum + row.requests, 0),
+      fetches: rows.reduce((sum, row) => sum + row.fetches, 0),
+      byList: Object.fromEntries(rows.map(row => [row.listId || 'unlisted', row.postsRead]))
+    };
+    return this.usage;
+  }
+
+  /**
+   * Consumption so far and where the current pace leads by the reset date
+   */
+  getUsage(now = new Date()) {
+    const { start, end } = this.getCycle(now);
+    const usage = this.usage && this.usage.cycleStart === start.toISOString()
+      ? this.usage
+      : { used: 0, requests: 0, fetches: 0, byList: {} };
+
+    // Posts per millisecond since the cycle started; the first hour is too noisy to project
+    const elapsed = Math.max(now - start, 60 * MINUTE_MS);
+    const rate = usage.used / elapsed;
+    const projectedUsage = Math.round(usage.used + rate * (end - now));
+    const remaining = this.enabled ? Math.max(this.monthlyAllowance - usage.used, 0) : null;
+    const exhaustionAt = this.enabled && rate > 0 ? new Date(now.getTime() + remaining / rate) : null;
+
+    return {
+      allowance: this.monthlyAllowance,
+      used: usage.used,
+      requests: usage.requests,
+      fetches: usage.fetches,
+      byList: usage.byList,
+      remaining,
+      percentUsed: this.enabled ? Number((usage.used / this.monthlyAllowance * 100).toFixed(1)) : null,
+      cycleStart: start.toISOString(),
+      resetAt: end.toISOString(),
+      projectedUsage,
+      // Only set when the current pace runs out before the reset
+      projectedExhaustion: exhaustionAt && exhaustionAt < end ? exhaustionAt.toISOString() : null,
+      // Posts left over at the reset if the pace holds; negative means an overrun
+      headroom: this.enabled ? this.monthlyAllowance - projectedUsage : null
+    };
+  }
+
+  /**
+   * Minutes each list must wait between fetches for the remaining allowance
+   * to last until the reset, given the average posts a fetch reads
+   */
+  getMinimumInterval(now = new Date()) {
+    if (!this.enabled) {
+      return 0;
+    }
+    const usage = this.getUsage(now);
+    const minutesLeft = (new Date(usage.resetAt) - now) / MINUTE_MS;
+    if (usage.remaining <= 0) {
+      return minutesLeft;
+    }
+    const postsPerFetch = usage.fetches > 0 ? Math.max(usage.used / usage.fetches, 1) : this.pageSize;
+    const affordableFetches = usage.remaining / postsPerFetch;
+    return Math.min(minutesLeft * this.listCount / affordableFetches, minutesLeft);
+  }
+
+  /**
+   * Pages a fetch may read: none once the allowance is used up, a single page
+   * while the pace would exhaust it early (skipped pages are resumed later)
+   */
+  getPageBudget(configured = this.pageBudget, now = new Date()) {
+    if (!this.enabled) {
+      return configured;
+    }
+    const usage = this.getUsage(now);
+    if (usage.remaining <= 0) {
+      return 0;
+    }
+    if (usage.projectedExhaustion) {
+      return 1;
+    }
+    return Math.min(configured, Math.max(Math.floor(usage.remaining / this.pageSize), 1));
+  }
+
+  async getStatus(now = new Date()) {
+    await this.refresh(now);
+    return {
+      enabled: this.enabled,
+      ...this.getUsage(now),
+      minimumInterval: Math.round(this.getMinimumInterval(now)),
+      pageBudget: this.getPageBudget(this.pageBudget, now)
+    };
+  }
+}
+
+module.exports = QuotaLedger;
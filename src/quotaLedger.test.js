@@ -0,0 +1,128 @@
+const Database = require('./database');
+const QuotaLedger = require('./quotaLedger');
+const { Sqlite3Driver } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('QuotaLedger', () => {
+  let database;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Database.prototype, 'init').mockImplementation(() => {});
+    database = new Database();
+    database.db = new Sqlite3Driver(':memory:');
+    await database.db.open();
+    await database.createTables();
+  });
+
+  afterEach(async () => {
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  // 50 fetches of 100 posts spread over the first ten days of July
+  async function spendFirstTenDays(ledger) {
+    for (let i = 0; i < 50; i++) {
+      await database.recordQuotaUsage({
+        listId: i % 2 ? 'markets' : 'news',
+        postsRead: 100,
+        requests: 1,
+        recordedAt: new Date(Date.parse('2025-07-01T00:00:00Z') + i * 4 * 60 * 60 * 1000).toISOString()
+      });
+    }
+    await ledger.refresh(new Date('2025-07-11T00:00:00Z'));
+  }
+
+  it('should default the allowance to the tier profile cap', () => {
+    const registry = { size: 2 };
+
+    expect(QuotaLedger.fromEnv(database, registry, { API_TIER: 'basic' }).monthlyAllowance).toBe(15000);
+    expect(QuotaLedger.fromEnv(database, registry, { API_TIER: 'basic', QUOTA_MONTHLY_POSTS: '20000' }).monthlyAllowance).toBe(20000);
+    expect(QuotaLedger.fromEnv(database, registry, { API_TIER: 'basic', QUOTA_MONTHLY_POSTS: '0' }).enabled).toBe(false);
+  });
+
+  it('should stay disabled when neither API_TIER nor QUOTA_MONTHLY_POSTS is set', () => {
+    const ledger = QuotaLedger.fromEnv(database, { size: 1 }, {});
+
+    expect(ledger.enabled).toBe(false);
+    expect(ledger.monthlyAllowance).toBeNull();
+  });
+
+  it('should find the billing cycle around the reset day', () => {
+    const ledger = new QuotaLedger(database, { monthlyAllowance: 10000, resetDay: 15 });
+
+    expect(ledger.getCycle(new Date('2025-07-10T12:00:00Z'))).toEqual({
+      start: new Date('2025-06-15T00:00:00Z'),
+      end: new Date('2025-07-15T00:00:00Z'),
+    });
+    expect(ledger.getCycle(new Date('2025-12-20T00:00:00Z')).end).toEqual(new Date('2026-01-15T00:00:00Z'));
+  });
+
+  it('should project exhaustion and report headroom from the current pace', async () => {
+    const ledger = new QuotaLedger(database, { monthlyAllowance: 10000 });
+    await spendFirstTenDays(ledger);
+
+    const usage = ledger.getUsage(new Date('2025-07-11T00:00:00Z'));
+
+    expect(usage).toEqual(expect.objectContaining({
+      used: 5000,
+      requests: 50,
+      fetches: 50,
+      remaining: 5000,
+      percentUsed: 50,
+      byList: { markets: 2500, news: 2500 },
+      resetAt: '2025-08-01T00:00:00.000Z',
+      projectedUsage: 15500,
+      projectedExhaustion: '2025-07-21T00:00:00.000Z',
+      headroom: -5500,
+    }));
+  });
+
+  it('should stretch intervals and trim pages so the allowance lasts', async () => {
+    const ledger = new QuotaLedger(database, { monthlyAllowance: 10000, listCount: 2, pageBudget: 3 });
+    await spendFirstTenDays(ledger);
+    const now = new Date('2025-07-11T00:00:00Z');
+
+    // 21 days left, 50 more fetches of ~100 posts shared by two lists
+    expect(ledger.getMinimumInterval(now)).toBeCloseTo(21 * 24 * 60 * 2 / 50);
+    expect(ledger.getPageBudget(3, now)).toBe(1);
+
+    const relaxed = new QuotaLedger(database, { monthlyAllowance: 100000, pageBudget: 3 });
+    await relaxed.refresh(now);
+    expect(relaxed.getPageBudget(3, now)).toBe(3);
+  });
+
+  it('should stop fetching until the reset once the allowance is used up', async () => {
+    const ledger = new QuotaLedger(database, { monthlyAllowance: 4000 });
+    await spendFirstTenDays(ledger);
+    const now = new Date('2025-07-11T00:00:00Z');
+
+    expect(ledger.getPageBudget(3, now)).toBe(0);
+    expect(ledger.getMinimumInterval(now)).toBe((Date.parse('2025-08-01T00:00:00Z') - now) / 60000);
+    expect(ledger.getUsage(now).remaining).toBe(0);
+  });
+
+  it('should only record usage without an allowance', async () => {
+    const ledger = new QuotaLedger(database);
+    const now = new Date('2025-07-11T00:00:00Z');
+
+    await ledger.record('news', { postsRead: 42, requests: 1 }, now);
+
+    expect(ledger.getMinimumInterval(now)).toBe(0);
+    expect(ledger.getPageBudget(3, now)).toBe(3);
+    expect(await ledger.getStatus(now)).toEqual(expect.objectContaining({ enabled: false, used: 42, remaining: null, headroom: null }));
+  });
+
+  it('should prune entries older than the previous cycle', async () => {
+    const ledger = new QuotaLedger(database, { monthlyAllowance: 10000 });
+    await database.recordQuotaUsage({ listId: 'news', postsRead: 10, recordedAt: '2025-05-20T00:00:00.000Z' });
+    await database.recordQuotaUsage({ listId: 'news', postsRead: 20, recordedAt: '2025-06-20T00:00:00.000Z' });
+
+    await ledger.record('news', { postsRead: 5, requests: 1 }, new Date(Date.parse('2025-07-01T00:00:00Z') + DAY_MS));
+
+    expect(await database.getQuotaUsage('2025-01-01T00:00:00.000Z')).toEqual([{ listId: 'news', postsRead: 25, requests: 1, fetches: 2 }]);
+    expect(ledger.getUsage(new Date('2025-07-02T00:00:00Z')).used).toBe(5);
+  });
+});
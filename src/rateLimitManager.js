@@ -2,8 +2,15 @@
  * Rate Limit Manager for Twitter API v2
  * Implements Twitter's official rate limit handling recommendations
  * Based on: https://docs.x.com/x-api/fundamentals/rate-limits
+ * Windows are persisted through the database (when given) so a restart or a
+ * serverless cold start does not spend requests Twitter would reject.
+ * The API tier profile supplies the declared per-endpoint limits (used until
+ * Twitter's headers are seen, and cross-checked against them) and the
+ * backoff defaults.
  */
 
+const TierProfile = require('./tierProfile');
+
 // Simple logger for rate limit operations
 const rateLimitLogger = {
   info: (message, meta = {}) => {
@@ -25,34 +32,111 @@ const rateLimitLogger = {
   }
 };
 
+const STORE_KEY = 'rate_limits';
+
 class RateLimitManager {
-  constructor() {
+  /**
+   * store: Database (getConfig/setConfig) that keeps windows across restarts; optional
+   * profile: TierProfile of the API tier in use (default from API_TIER)
+   * storeKey: config key of the stored windows; each credential keeps its own
+   */
+  constructor(store = null, profile = TierProfile.fromEnv(), storeKey = STORE_KEY) {
     this.rateLimits = new Map(); // endpoint -> limit info from headers
     this.lastRequests = new Map(); // endpoint -> last request timestamp
-    this.isFreeTier = this.detectFreeTier(); // Detect free tier usage
+    this.profile = profile;
+    this.declaredLimits = new Map(Object.entries(profile.endpoints)
+      .map(([endpoint, limit]) => [this.normalizeEndpoint(endpoint), limit]));
+    this.profileMismatches = new Map(); // endpoint -> { configured, reported }
+    rateLimitLogger.info('API tier profile loaded', { tier: profile.name });
+    this.store = store;
+    this.storeKey = storeKey;
+    this.saving = Promise.resolve();
+    // Resolves once stored windows are loaded; check before the first request
+    this.ready = this.load();
   }
 
   /**
-   * Detect if we're likely on free tier based on environment and usage patterns
+   * Restore windows that have not reset yet; entries recorded since construction win
    */
-  detectFreeTier() {
-    // Free tier indicators:
-    // 1. MIN_UPDATE_INTERVAL >= 120 minutes (2+ hours)
-    // 2. Basic authentication only (no enterprise features)
-    // 3. Conservative max intervals
-    
-    const minInterval = parseInt(process.env.MIN_UPDATE_INTERVAL) || 60;
-    const isConservativeScheduling = minInterval >= 120;
-    
-    const isFreeTierLikely = isConservativeScheduling;
-    
-    rateLimitLogger.info('Free tier detection completed', {
-      isFreeTier: isFreeTierLikely,
-      minUpdateInterval: minInterval,
-      conservativeScheduling: isConservativeScheduling
+  async load() {
+    if (!this.store) {
+      return;
+    }
+    try {
+      if (this.store.ready) {
+        await this.store.ready;
+      }
+      const stored = JSON.parse(await this.store.getConfig(this.storeKey) || '{}');
+      const now = Date.now();
+
+      Object.entries(stored.rateLimits || {}).forEach(([endpoint, rateLimit]) => {
+        if (rateLimit.reset > now && !this.rateLimits.has(endpoint)) {
+          this.rateLimits.set(endpoint, rateLimit);
+        }
+      });
+      Object.entries(stored.lastRequests || {}).forEach(([endpoint, timestamp]) => {
+        if (!this.lastRequests.has(endpoint)) {
+          this.lastRequests.set(endpoint, timestamp);
+        }
+      });
+
+      rateLimitLogger.info('Rate limit windows restored', {
+        endpoints: Array.from(this.rateLimits.keys())
+      });
+    } catch (error) {
+      rateLimitLogger.warn('Failed to restore rate limit windows', { error: error.message });
+    }
+  }
+
+  /**
+   * Write the current windows; writes are serialized so the latest state wins
+   */
+  persist() {
+    if (!this.store) {
+      return Promise.resolve();
+    }
+    this.saving = this.saving
+      .then(() => this.store.setConfig(this.storeKey, JSON.stringify({
+        rateLimits: Object.fromEntries(this.rateLimits),
+        lastRequests: Object.fromEntries(this.lastRequests)
+      })))
+      .catch(error => {
+        rateLimitLogger.warn('Failed to persist rate limit windows', { error: error.message });
+      });
+    return this.saving;
+  }
+
+  /**
+   * Warn once per endpoint when Twitter reports a different limit than the profile declares
+   */
+  crossCheckProfile(normalizedEndpoint, reportedLimit) {
+    const declared = this.declaredLimits.get(normalizedEndpoint);
+    if (!declared || declared.limit === reportedLimit || this.profileMismatches.has(normalizedEndpoint)) {
+      return;
+    }
+
+    this.profileMismatches.set(normalizedEndpoint, { configured: declared.limit, reported: reportedLimit });
+    rateLimitLogger.warn('x-rate-limit-limit contradicts the configured API tier profile', {
+      tier: this.profile.name,
+      endpoint: normalizedEndpoint,
+      configuredLimit: declared.limit,
+      reportedLimit,
+      hint: 'Check API_TIER (or TIER_PROFILE for custom tiers)'
     });
-    
-    return isFreeTierLikely;
+  }
+
+  /**
+   * Endpoints whose headers have been seen and those that disagreed with the profile
+   */
+  getProfileCheck() {
+    return {
+      tier: this.profile.name,
+      checked: Array.from(this.rateLimits.entries())
+        .filter(([, rateLimit]) => rateLimit.source !== 'profile')
+        .map(([endpoint]) => endpoint),
+      mismatches: Array.from(this.profileMismatches.entries())
+        .map(([endpoint, mismatch]) => ({ endpoint, ...mismatch }))
+    };
   }
 
   /**
@@ -73,6 +157,7 @@ class RateLimitManager {
         reset,
         lastUpdated: Date.now()
       });
+      this.crossCheckProfile(normalizedEndpoint, limit);
 
       rateLimitLogger.debug('Rate limit info updated from headers', {
         endpoint: normalizedEndpoint,
@@ -81,6 +166,7 @@ class RateLimitManager {
         resetTime: new Date(reset).toISOString(),
         windowEndsIn: Math.round((reset - Date.now()) / 1000 / 60) + ' minutes'
       });
+      this.persist();
     }
   }
 
@@ -158,7 +244,17 @@ class RateLimitManager {
     
     // Decrease remaining count if we have rate limit info
     const rateLimit = this.rateLimits.get(normalizedEndpoint);
-    if (rateLimit && rateLimit.remaining > 0) {
+    const declared = this.declaredLimits.get(normalizedEndpoint);
+    if ((!rateLimit || now >= rateLimit.reset) && declared) {
+      // No headers seen for this window: track the one the tier profile declares
+      this.rateLimits.set(normalizedEndpoint, {
+        limit: declared.limit,
+        remaining: declared.limit - 1,
+        reset: now + declared.windowMinutes * 60 * 1000,
+        lastUpdated: now,
+        source: 'profile'
+      });
+    } else if (rateLimit && rateLimit.remaining > 0) {
       rateLimit.remaining--;
       
       rateLimitLogger.debug('Request recorded, remaining count updated', {
@@ -167,6 +263,7 @@ class RateLimitManager {
         resetTime: new Date(rateLimit.reset).toISOString()
       });
     }
+    this.persist();
   }
 
   /**
@@ -200,34 +297,26 @@ class RateLimitManager {
   /**
    * Implement exponential backoff as recommended by Twitter
    * Used as fallback when reset time is not available
-   * Made more conservative for free tier usage
+   * Defaults come from the tier profile's backoff settings
    */
   calculateExponentialBackoff(attempt, baseDelay = null, maxDelay = null) {
-    // Adjust defaults based on tier detection
-    if (this.isFreeTier) {
-      baseDelay = baseDelay || 10 * 60 * 1000; // 10 minutes for free tier
-      maxDelay = maxDelay || 120 * 60 * 1000;  // 2 hours max for free tier
-    } else {
-      baseDelay = baseDelay || 5 * 60 * 1000;  // 5 minutes for higher tiers
-      maxDelay = maxDelay || 60 * 60 * 1000;   // 1 hour max for higher tiers
-    }
+    const { baseMinutes, maxMinutes, minimumMinutes } = this.profile.backoff;
+    baseDelay = baseDelay || baseMinutes * 60 * 1000;
+    maxDelay = maxDelay || maxMinutes * 60 * 1000;
     
-    // Conservative exponential backoff pattern:
-    // Free tier: 10min, 20min, 40min, 80min, 120min (capped)
-    // Regular: 5min, 10min, 20min, 40min, 60min (capped)
+    // Conservative exponential backoff pattern, e.g. on the free tier:
+    // 10min, 20min, 40min, 80min, 120min (capped)
     const delay = Math.min(baseDelay * Math.pow(2, attempt), maxDelay);
     
     // Add jitter (±10%) to avoid thundering herd, but keep it predictable for logging
     const jitter = delay * 0.1 * (Math.random() - 0.5) * 2;
     const finalDelay = delay + jitter;
     
-    const minimumDelay = this.isFreeTier ? 5 * 60 * 1000 : 60 * 1000; // 5min or 1min minimum
-    return Math.max(finalDelay, minimumDelay);
+    return Math.max(finalDelay, minimumMinutes * 60 * 1000);
   }
 
   /**
    * Handle retry logic combining Twitter's recommended approaches
-   * Conservative approach for free tier usage
    */
   async handleRetryDelay(endpoint, attempt, error) {
     const { canRequest, waitTime, resetTime } = this.canMakeRequest(endpoint);
@@ -240,16 +329,12 @@ class RateLimitManager {
       const backoffDelay = this.calculateExponentialBackoff(attempt);
       const delayMinutes = Math.round(backoffDelay / 60000);
       
-      const logMessage = this.isFreeTier 
-        ? 'Using extra-conservative exponential backoff for free tier'
-        : 'Using conservative exponential backoff';
-      
-      rateLimitLogger.warn(logMessage, {
+      rateLimitLogger.warn('Using conservative exponential backoff', {
         endpoint: this.normalizeEndpoint(endpoint),
         attempt: attempt,
         backoffDelay: backoffDelay,
         backoffMinutes: delayMinutes,
-        isFreeTier: this.isFreeTier,
+        tier: this.profile.name,
         reason: 'no_reset_time_available'
       });
       
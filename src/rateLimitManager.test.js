@@ -0,0 +1,117 @@
+const RateLimitManager = require('./rateLimitManager');
+const TierProfile = require('./tierProfile');
+
+function createStore() {
+  const config = {};
+  return {
+    config,
+    getConfig: jest.fn(async key => config[key] || null),
+    setConfig: jest.fn(async (key, value) => { config[key] = value; }),
+  };
+}
+
+describe('RateLimitManager', () => {
+  const endpoint = '/2/lists/:id/tweets';
+  const inMinutes = minutes => Math.floor((Date.now() + minutes * 60 * 1000) / 1000);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should persist windows and restore them in a new process', async () => {
+    const store = createStore();
+    const manager = new RateLimitManager(store);
+    await manager.ready;
+
+    manager.updateFromHeaders(endpoint, { 'x-rate-limit-limit': '5', 'x-rate-limit-remaining': '1', 'x-rate-limit-reset': String(inMinutes(10)) });
+    manager.recordRequest(endpoint);
+    await manager.saving;
+
+    const restarted = new RateLimitManager(store);
+    await restarted.ready;
+
+    expect(restarted.canMakeRequest(endpoint)).toEqual(expect.objectContaining({ canRequest: false, reason: 'rate_limit_exceeded' }));
+    expect(restarted.getRateLimitStatus(endpoint)).toEqual(expect.objectContaining({ limit: 5, remaining: 0 }));
+    expect(restarted.lastRequests.has(restarted.normalizeEndpoint(endpoint))).toBe(true);
+  });
+
+  it('should keep the windows of each credential under its own key', async () => {
+    const store = createStore();
+    const exhausted = new RateLimitManager(store, TierProfile.fromEnv({}), 'rate_limits:app-a');
+    await exhausted.ready;
+    exhausted.updateFromHeaders(endpoint, { 'x-rate-limit-limit': '5', 'x-rate-limit-remaining': '0', 'x-rate-limit-reset': String(inMinutes(10)) });
+    await exhausted.saving;
+
+    const other = new RateLimitManager(store, TierProfile.fromEnv({}), 'rate_limits:app-b');
+    await other.ready;
+
+    expect(Object.keys(store.config)).toEqual(['rate_limits:app-a']);
+    expect(other.canMakeRequest(endpoint).canRequest).toBe(true);
+  });
+
+  it('should drop stored windows that have already reset', async () => {
+    const store = createStore();
+    store.config.rate_limits = JSON.stringify({
+      rateLimits: { [endpoint]: { limit: 5, remaining: 0, reset: Date.now() - 1000, lastUpdated: Date.now() - 60000 } },
+    });
+
+    const manager = new RateLimitManager(store);
+    await manager.ready;
+
+    expect(manager.canMakeRequest(endpoint)).toEqual(expect.objectContaining({ canRequest: true, reason: 'no_limit_info' }));
+  });
+
+  it('should track the window the tier profile declares until headers arrive', () => {
+    const manager = new RateLimitManager(null, TierProfile.fromEnv({ API_TIER: 'free' }));
+
+    manager.recordRequest('/2/lists/123');
+
+    expect(manager.canMakeRequest('/2/lists/123')).toEqual(expect.objectContaining({ canRequest: false, reason: 'rate_limit_exceeded' }));
+    expect(manager.getRateLimitStatus('/2/lists/456')).toEqual(expect.objectContaining({ limit: 1, remaining: 0 }));
+    expect(manager.getProfileCheck().checked).toEqual([]);
+  });
+
+  it('should warn when the headers contradict the tier profile', () => {
+    const manager = new RateLimitManager(null, TierProfile.fromEnv({ API_TIER: 'free' }));
+
+    manager.updateFromHeaders(endpoint, { 'x-rate-limit-limit': '900', 'x-rate-limit-remaining': '899', 'x-rate-limit-reset': String(inMinutes(15)) });
+    manager.updateFromHeaders(endpoint, { 'x-rate-limit-limit': '900', 'x-rate-limit-remaining': '898', 'x-rate-limit-reset': String(inMinutes(15)) });
+
+    expect(console.warn).toHaveBeenCalledTimes(1);
+    expect(console.warn.mock.calls[0][0]).toContain('x-rate-limit-limit contradicts the configured API tier profile');
+    expect(manager.getProfileCheck()).toEqual({
+      tier: 'free',
+      checked: [manager.normalizeEndpoint(endpoint)],
+      mismatches: [{ endpoint: manager.normalizeEndpoint(endpoint), configured: 5, reported: 900 }],
+    });
+  });
+
+  it('should take backoff defaults from the tier profile', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const free = new RateLimitManager(null, TierProfile.fromEnv({ API_TIER: 'free' }));
+    const pro = new RateLimitManager(null, TierProfile.fromEnv({ API_TIER: 'pro' }));
+
+    expect(free.calculateExponentialBackoff(0)).toBe(10 * 60 * 1000);
+    expect(free.calculateExponentialBackoff(5)).toBe(120 * 60 * 1000);
+    expect(pro.calculateExponentialBackoff(0)).toBe(60 * 1000);
+    expect(pro.calculateExponentialBackoff(6)).toBe(15 * 60 * 1000);
+  });
+
+  it('should keep working when the store fails', async () => {
+    const store = createStore();
+    store.getConfig.mockRejectedValue(new Error('database is locked'));
+    store.setConfig.mockRejectedValue(new Error('database is locked'));
+
+    const manager = new RateLimitManager(store);
+    await manager.ready;
+    manager.updateFromHeaders(endpoint, { 'x-rate-limit-limit': '5', 'x-rate-limit-remaining': '4', 'x-rate-limit-reset': String(inMinutes(10)) });
+    await manager.saving;
+
+    expect(manager.canMakeRequest(endpoint).canRequest).toBe(true);
+  });
+});
@@ -1,60 +1,264 @@
 const RSS = require('rss');
 
+// Items carry media inline and as <media:content>, never as <enclosure>: RSS
+// requires the enclosure's byte length and the API does not report it
+const MEDIA_RSS_NAMESPACE = 'http://search.yahoo.com/mrss/';
+
+// Numeric ID strings sort by length first, then lexically
+function compareTweetIds(a, b) {
+  const left = String(a);
+  const right = String(b);
+  return left.length - right.length || (left < right ? -1 : left > right ? 1 : 0);
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 class RSSService {
   constructor(config) {
     this.config = config;
   }
 
-  generateFeed(tweets, listInfo = null) {
+  /**
+   * Render tweets as RSS 2.0
+   * Per-feed options (title, description, feedUrl) override the service config
+   */
+  generateFeed(tweets, listInfo = null, options = {}) {
     const feedOptions = {
-      title: this.config.title || 'Twitter List RSS Feed',
-      description: this.config.description || 
-        (listInfo ? `RSS feed for Twitter list: ${listInfo.name}` : 'RSS feed generated from Twitter list'),
-      feed_url: this.config.feedUrl,
+      title: this.getFeedTitle(listInfo, options),
+      description: this.getFeedDescription(listInfo, options),
+      feed_url: options.feedUrl || this.config.feedUrl,
       site_url: this.config.siteUrl,
       generator: 'Twitter List RSS Converter',
       language: 'en',
-      ttl: 60 // Cache for 60 minutes
+      ttl: 60, // Cache for 60 minutes
+      custom_namespaces: {
+        media: MEDIA_RSS_NAMESPACE
+      }
     };
 
     const feed = new RSS(feedOptions);
 
-    tweets.forEach(tweet => {
-      const tweetUrl = `https://twitter.com/${tweet.author_username}/status/${tweet.id}`;
-      
-      // Extract URLs from entities
-      const urls = tweet.entities.urls || [];
-      let content = this.formatTweetContent(tweet, urls);
-      
-      // Add media information if present
-      if (tweet.entities.media && tweet.entities.media.length > 0) {
-        content += this.formatMediaContent(tweet.entities.media);
-      }
+    if (options.threadMode) {
+      this.groupThreads(tweets).forEach(thread => {
+        feed.item(this.buildThreadItem(thread));
+      });
+      return feed.xml();
+    }
 
-      // Add metrics information
-      content += this.formatMetrics(tweet.public_metrics);
+    tweets.forEach(tweet => {
+      const media = this.getTweetMedia(this.getDisplayTweet(tweet));
 
       feed.item({
         title: this.generateTweetTitle(tweet),
-        description: content,
-        url: tweetUrl,
+        description: this.buildItemContent(tweet),
+        url: this.getTweetUrl(tweet),
         guid: tweet.id,
         author: `${tweet.author_name} (@${tweet.author_username})`,
         date: new Date(tweet.created_at),
-        categories: this.extractHashtags(tweet.entities)
+        categories: this.extractHashtags(tweet.entities),
+        custom_elements: media.map(item => this.buildMediaContentElement(item)).filter(Boolean)
       });
     });
 
     return feed.xml();
   }
 
+  /**
+   * Collapse chains of self-replies into threads
+   * A tweet joins its parent's thread when it replies to a tweet in the same
+   * batch, by the same author, in the same conversation. Returns
+   * [{ root, tweets, updatedAt }] with tweets oldest first, newest thread first.
+   */
+  groupThreads(tweets) {
+    const chronological = [...tweets].sort((a, b) =>
+      new Date(a.created_at) - new Date(b.created_at) || compareTweetIds(a.id, b.id));
+    const tweetsById = new Map(chronological.map(tweet => [tweet.id, tweet]));
+    const threadsByTweetId = new Map();
+    const threads = [];
+
+    chronological.forEach(tweet => {
+      const replyTo = this.getReference(tweet, 'replied_to');
+      const parent = replyTo ? tweetsById.get(replyTo.id) : null;
+      const parentThread = parent ? threadsByTweetId.get(parent.id) : null;
+      const sameConversation = !tweet.conversation_id || !parent || !parent.conversation_id ||
+        tweet.conversation_id === parent.conversation_id;
+
+      // Only extend from the last tweet so replies to the middle of a thread stay separate
+      if (parentThread && parent.author_id === tweet.author_id && sameConversation &&
+          parentThread.tweets[parentThread.tweets.length - 1] === parent) {
+        parentThread.tweets.push(tweet);
+        parentThread.updatedAt = new Date(tweet.created_at);
+        threadsByTweetId.set(tweet.id, parentThread);
+        return;
+      }
+
+      const thread = { root: tweet, tweets: [tweet], updatedAt: new Date(tweet.created_at) };
+      threads.push(thread);
+      threadsByTweetId.set(tweet.id, thread);
+    });
+
+    return threads.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Stable identity of a thread. The oldest tweet still in the feed window
+   * changes as the thread ages out, so self-threads are keyed by their
+   * conversation; a chain replying to someone else keeps its first tweet's ID.
+   */
+  getThreadKey(thread) {
+    const { root } = thread;
+    const replyTo = this.getReference(root, 'replied_to');
+    const continuesSelfThread = !!(replyTo && replyTo.author_id && String(replyTo.author_id) === String(root.author_id));
+    if (root.conversation_id && (root.id === root.conversation_id || continuesSelfThread)) {
+      return root.conversation_id;
+    }
+    return root.id;
+  }
+
+  /**
+   * A thread renders as one item keyed by its conversation; its date follows
+   * the newest tweet so readers notice appended replies
+   */
+  buildThreadItem(thread) {
+    const { root, tweets } = thread;
+    const key = this.getThreadKey(thread);
+    const media = tweets.flatMap(tweet => this.getTweetMedia(this.getDisplayTweet(tweet)));
+    const description = tweets.length === 1
+      ? this.buildItemContent(root)
+      : tweets.map(tweet => this.buildItemContent(tweet)).join('<hr/>');
+    const title = this.generateTweetTitle(root);
+
+    return {
+      title: tweets.length === 1 ? title : `${title} (thread, ${tweets.length} tweets)`,
+      description,
+      url: this.getTweetUrl({ ...root, id: key }),
+      guid: key,
+      author: `${root.author_name} (@${root.author_username})`,
+      date: thread.updatedAt,
+      categories: [...new Set(tweets.flatMap(tweet => this.extractHashtags(tweet.entities)))],
+      custom_elements: media.map(item => this.buildMediaContentElement(item)).filter(Boolean)
+    };
+  }
+
+  getFeedTitle(listInfo = null, options = {}) {
+    return options.title || this.config.title || 'Twitter List RSS Feed';
+  }
+
+  getFeedDescription(listInfo = null, options = {}) {
+    return options.description || this.config.description || 
+      (listInfo ? `RSS feed for Twitter list: ${listInfo.name}` : 'RSS feed generated from Twitter list');
+  }
+
+  getTweetUrl(tweet) {
+    // Items that are not tweets (feed diagnostics) carry their own link
+    if (tweet.url) {
+      return tweet.url;
+    }
+    return `https://twitter.com/${tweet.author_username}/status/${tweet.id}`;
+  }
+
+  getStatusUrl(tweetId, username = null) {
+    return username
+      ? `https://twitter.com/${username}/status/${tweetId}`
+      : `https://twitter.com/i/web/status/${tweetId}`;
+  }
+
+  /**
+   * Find a referenced tweet entry by type (retweeted, quoted, replied_to)
+   */
+  getReference(tweet, type) {
+    return (tweet.referenced_tweets || []).find(reference => reference.type === type) || null;
+  }
+
+  /**
+   * Retweets are shown as the original tweet; everything else as itself
+   */
+  getDisplayTweet(tweet) {
+    const retweet = this.getReference(tweet, 'retweeted');
+    return retweet && retweet.tweet ? retweet.tweet : tweet;
+  }
+
+  /**
+   * Item body HTML shared by every feed format
+   */
+  buildItemContent(tweet) {
+    const displayTweet = this.getDisplayTweet(tweet);
+    let content = '';
+
+    // Credit the list member who retweeted the original
+    if (displayTweet !== tweet) {
+      content += `<p><em>Retweeted by <a href="https://twitter.com/${tweet.author_username}" target="_blank">${tweet.author_name} (@${tweet.author_username})</a></em></p>`;
+    }
+
+    // Extract URLs from entities
+    const urls = (displayTweet.entities || {}).urls || [];
+    content += this.formatTweetContent(displayTweet, urls);
+
+    const replyTo = this.getReference(displayTweet, 'replied_to');
+    if (replyTo) {
+      content += this.formatReplyContext(replyTo);
+    }
+    
+    // Add media information if present
+    const media = this.getTweetMedia(displayTweet);
+    if (media.length > 0) {
+      content += this.formatMediaContent(media);
+    }
+
+    const quoted = this.getReference(displayTweet, 'quoted');
+    if (quoted) {
+      content += this.formatQuotedTweet(quoted);
+    }
+
+    // Add metrics information
+    content += this.formatMetrics(displayTweet.public_metrics);
+
+    return content;
+  }
+
+  formatReplyContext(reference) {
+    const username = reference.author_username || (reference.tweet && reference.tweet.author_username);
+    const parentUrl = this.getStatusUrl(reference.id, username);
+    const label = username ? `@${username}` : 'a tweet';
+    return `<p style="color: #657786;">Replying to <a href="${parentUrl}" target="_blank">${label}</a></p>`;
+  }
+
+  formatQuotedTweet(reference) {
+    const style = 'margin: 10px 0; padding: 10px; border-left: 3px solid #ccc;';
+
+    // The quoted tweet may be deleted or protected and therefore not expanded
+    if (!reference.tweet) {
+      return `<blockquote style="${style}"><p><a href="${this.getStatusUrl(reference.id)}" target="_blank">Quoted tweet</a></p></blockquote>`;
+    }
+
+    const quotedTweet = reference.tweet;
+    let quoteContent = this.formatTweetContent(quotedTweet, (quotedTweet.entities || {}).urls || []);
+
+    const media = this.getTweetMedia(quotedTweet);
+    if (media.length > 0) {
+      quoteContent += this.formatMediaContent(media);
+    }
+
+    quoteContent += `<p><a href="${this.getTweetUrl(quotedTweet)}" target="_blank">View quoted tweet</a></p>`;
+
+    return `<blockquote style="${style}">${quoteContent}</blockquote>`;
+  }
+
   generateTweetTitle(tweet) {
+    const displayTweet = this.getDisplayTweet(tweet);
+
     // Create a title from the first 50 characters of the tweet
-    let title = tweet.text.replace(/\n/g, ' ').substring(0, 50);
-    if (tweet.text.length > 50) {
+    let title = displayTweet.text.replace(/\n/g, ' ').substring(0, 50);
+    if (displayTweet.text.length > 50) {
       title += '...';
     }
-    return `${tweet.author_name}: ${title}`;
+    return `${displayTweet.author_name}: ${title}`;
   }
 
   formatTweetContent(tweet, urls) {
@@ -86,14 +290,83 @@ class RSSService {
     return content;
   }
 
+  /**
+   * Attached media: v2 media expansions, falling back to v1.1-style entities
+   */
+  getTweetMedia(tweet) {
+    if (Array.isArray(tweet.media) && tweet.media.length > 0) {
+      return tweet.media;
+    }
+    return (tweet.entities && tweet.entities.media) || [];
+  }
+
+  getMediaImageUrl(item) {
+    if (item.type === 'photo') {
+      // v1.1 entities use `url` for the t.co link and `media_url_https` for the image
+      return item.media_url_https || item.url || null;
+    }
+    return item.preview_image_url || item.media_url_https || null;
+  }
+
+  /**
+   * Video renditions sorted best first (v2 `variants` or v1.1 `video_info.variants`)
+   */
+  getVideoVariants(item) {
+    const variants = item.variants || (item.video_info && item.video_info.variants) || [];
+    return variants
+      .filter(variant => variant.url)
+      .map(variant => ({
+        url: variant.url,
+        content_type: variant.content_type,
+        bit_rate: variant.bit_rate !== undefined ? variant.bit_rate : variant.bitrate
+      }))
+      .sort((a, b) => (b.bit_rate || 0) - (a.bit_rate || 0));
+  }
+
+  getBestVideoVariant(item) {
+    const variants = this.getVideoVariants(item);
+    return variants.find(variant => variant.content_type === 'video/mp4') || variants[0] || null;
+  }
+
+  getImageMimeType(url) {
+    return /\.png(\?|$)/i.test(url) ? 'image/png' : 'image/jpeg';
+  }
+
   formatMediaContent(media) {
     let mediaContent = '<div style="margin-top: 10px;">';
     
     media.forEach(item => {
+      const altText = escapeHtml(item.alt_text || (item.type === 'photo' ? 'Tweet image' : `Tweet ${item.type}`));
+
       if (item.type === 'photo') {
-        mediaContent += `<p><img src="${item.url}" alt="Tweet image" style="max-width: 100%; height: auto;"></p>`;
+        const imageUrl = this.getMediaImageUrl(item);
+        if (imageUrl) {
+          mediaContent += `<p><img src="${escapeHtml(imageUrl)}" alt="${altText}" style="max-width: 100%; height: auto;"></p>`;
+        }
       } else if (item.type === 'video' || item.type === 'animated_gif') {
-        mediaContent += `<p><a href="${item.url}" target="_blank">[${item.type.toUpperCase()}]</a></p>`;
+        const previewUrl = this.getMediaImageUrl(item);
+        const best = this.getBestVideoVariant(item);
+        const label = item.type === 'animated_gif' ? 'GIF' : 'VIDEO';
+
+        if (previewUrl) {
+          const preview = `<img src="${escapeHtml(previewUrl)}" alt="${altText}" style="max-width: 100%; height: auto;">`;
+          mediaContent += best
+            ? `<p><a href="${escapeHtml(best.url)}" target="_blank">${preview}</a></p>`
+            : `<p>${preview}</p>`;
+        }
+
+        const links = this.getVideoVariants(item)
+          .filter(variant => variant.content_type === 'video/mp4')
+          .map(variant => {
+            const quality = variant.bit_rate ? ` (${Math.round(variant.bit_rate / 1000)} kbps)` : '';
+            return `<a href="${escapeHtml(variant.url)}" target="_blank">MP4${quality}</a>`;
+          });
+
+        if (links.length > 0) {
+          mediaContent += `<p>[${label}] ${links.join(' | ')}</p>`;
+        } else if (item.url || item.expanded_url) {
+          mediaContent += `<p><a href="${escapeHtml(item.expanded_url || item.url)}" target="_blank">[${label}]</a></p>`;
+        }
       }
     });
     
@@ -101,6 +374,57 @@ class RSSService {
     return mediaContent;
   }
 
+  /**
+   * Full-size file for each attachment: the image itself or the best video rendition
+   */
+  getMediaAttachments(media) {
+    return media
+      .map(item => {
+        if (item.type === 'photo') {
+          const imageUrl = this.getMediaImageUrl(item);
+          return imageUrl ? { url: imageUrl, type: this.getImageMimeType(imageUrl) } : null;
+        }
+        if (item.type === 'video' || item.type === 'animated_gif') {
+          const best = this.getBestVideoVariant(item);
+          return best ? { url: best.url, type: best.content_type || 'video/mp4' } : null;
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Media RSS <media:content> element for one attachment
+   */
+  buildMediaContentElement(item) {
+    const isVideo = item.type === 'video' || item.type === 'animated_gif';
+    const best = isVideo ? this.getBestVideoVariant(item) : null;
+    const url = isVideo ? best && best.url : this.getMediaImageUrl(item);
+    if (!url) {
+      return null;
+    }
+
+    const attributes = {
+      url,
+      medium: isVideo ? 'video' : 'image',
+      type: isVideo ? best.content_type || 'video/mp4' : this.getImageMimeType(url)
+    };
+    if (item.width) attributes.width = item.width;
+    if (item.height) attributes.height = item.height;
+    if (item.duration_ms) attributes.duration = Math.round(item.duration_ms / 1000);
+
+    const children = [{ _attr: attributes }];
+    const thumbnailUrl = isVideo ? this.getMediaImageUrl(item) : null;
+    if (thumbnailUrl) {
+      children.push({ 'media:thumbnail': { _attr: { url: thumbnailUrl } } });
+    }
+    if (item.alt_text) {
+      children.push({ 'media:description': item.alt_text });
+    }
+
+    return { 'media:content': children };
+  }
+
   formatMetrics(metrics) {
     if (!metrics || Object.keys(metrics).length === 0) {
       return '';
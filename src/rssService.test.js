@@ -27,4 +27,212 @@ describe('RSSService', () => {
     expect(feed).toContain('<title><![CDATA[Test Feed]]></title>');
     expect(feed).toContain('<item>');
   });
+
+  it('should link items that carry their own URL instead of a tweet', () => {
+    const rssService = new RSSService({ title: 'Test Feed' });
+    const feed = rssService.generateFeed([{
+      id: 'diagnostic-auth-1',
+      text: 'Feed updates paused',
+      created_at: '2025-06-26T10:00:00Z',
+      author_name: 'Feed status',
+      author_username: 'twitter2rss',
+      url: 'http://example.com/status',
+      entities: {},
+    }]);
+
+    expect(feed).toContain('<link>http://example.com/status</link>');
+  });
+
+  it('should render v2 photos inline and as media content without a zero-length enclosure', () => {
+    const rssService = new RSSService({ title: 'Test Feed', siteUrl: 'http://example.com' });
+    const feed = rssService.generateFeed([
+      {
+        id: '2',
+        text: 'Look at this',
+        created_at: '2025-06-26T10:00:00Z',
+        author_name: 'Test User',
+        author_username: 'testuser',
+        entities: {},
+        public_metrics: {},
+        media: [
+          { media_key: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/abc.jpg', alt_text: 'A "cat"', width: 800, height: 600 },
+        ],
+      },
+    ]);
+
+    expect(feed).toContain('xmlns:media="http://search.yahoo.com/mrss/"');
+    expect(feed).toContain('<img src="https://pbs.twimg.com/media/abc.jpg" alt="A &quot;cat&quot;"');
+    expect(feed).not.toContain('<enclosure');
+    expect(feed).toContain('<media:content url="https://pbs.twimg.com/media/abc.jpg" medium="image" type="image/jpeg" width="800" height="600">');
+    expect(feed).toContain('<media:description>A &quot;cat&quot;</media:description>');
+  });
+
+  it('should render videos with a preview image and variant links', () => {
+    const rssService = new RSSService({ title: 'Test Feed' });
+    const content = rssService.formatMediaContent([
+      {
+        media_key: '7_1',
+        type: 'video',
+        preview_image_url: 'https://pbs.twimg.com/preview.jpg',
+        duration_ms: 12000,
+        variants: [
+          { url: 'https://video.twimg.com/low.mp4', content_type: 'video/mp4', bit_rate: 256000 },
+          { url: 'https://video.twimg.com/pl.m3u8', content_type: 'application/x-mpegURL' },
+          { url: 'https://video.twimg.com/high.mp4', content_type: 'video/mp4', bit_rate: 2176000 },
+        ],
+      },
+    ]);
+
+    expect(content).toContain('<a href="https://video.twimg.com/high.mp4" target="_blank"><img src="https://pbs.twimg.com/preview.jpg"');
+    expect(content).toContain('[VIDEO] <a href="https://video.twimg.com/high.mp4" target="_blank">MP4 (2176 kbps)</a> | <a href="https://video.twimg.com/low.mp4" target="_blank">MP4 (256 kbps)</a>');
+    expect(content).not.toContain('m3u8');
+  });
+
+  describe('referenced tweets', () => {
+    const rssService = new RSSService({ title: 'Test Feed', siteUrl: 'http://example.com' });
+    const baseTweet = {
+      created_at: '2025-06-26T10:00:00Z',
+      entities: {},
+      public_metrics: {},
+    };
+
+    it('should show the original tweet of a retweet with a credit line', () => {
+      const retweet = {
+        ...baseTweet,
+        id: '1',
+        text: 'RT @orig: The full original text that was trunc…',
+        author_name: 'Curator',
+        author_username: 'curator',
+        referenced_tweets: [{
+          type: 'retweeted',
+          id: '50',
+          tweet: { ...baseTweet, id: '50', text: 'The full original text that was truncated in the retweet', author_name: 'Original', author_username: 'orig' },
+        }],
+      };
+
+      const content = rssService.buildItemContent(retweet);
+
+      expect(content).toContain('Retweeted by <a href="https://twitter.com/curator" target="_blank">Curator (@curator)</a>');
+      expect(content).toContain('truncated in the retweet');
+      expect(content).not.toContain('RT @orig');
+      expect(rssService.generateTweetTitle(retweet)).toBe('Original: The full original text that was truncated in the r...');
+    });
+
+    it('should render quoted tweets as a blockquote', () => {
+      const content = rssService.buildItemContent({
+        ...baseTweet,
+        id: '2',
+        text: 'So true',
+        author_name: 'Curator',
+        author_username: 'curator',
+        referenced_tweets: [{
+          type: 'quoted',
+          id: '60',
+          tweet: { ...baseTweet, id: '60', text: 'Quoted words', author_name: 'Quoted', author_username: 'quoted' },
+        }],
+      });
+
+      expect(content).toMatch(/<blockquote[^>]*><p><strong>Quoted \(@quoted\)<\/strong><\/p><p>Quoted words<\/p>/);
+      expect(content).toContain('href="https://twitter.com/quoted/status/60"');
+    });
+
+    it('should link quoted tweets that were not expanded', () => {
+      const content = rssService.buildItemContent({
+        ...baseTweet,
+        id: '3',
+        text: 'Deleted quote',
+        author_name: 'Curator',
+        author_username: 'curator',
+        referenced_tweets: [{ type: 'quoted', id: '70' }],
+      });
+
+      expect(content).toContain('href="https://twitter.com/i/web/status/70"');
+    });
+
+    it('should link the parent tweet of a reply', () => {
+      const content = rssService.buildItemContent({
+        ...baseTweet,
+        id: '4',
+        text: 'Agreed',
+        author_name: 'Curator',
+        author_username: 'curator',
+        referenced_tweets: [{ type: 'replied_to', id: '80', author_username: 'parent' }],
+      });
+
+      expect(content).toContain('Replying to <a href="https://twitter.com/parent/status/80" target="_blank">@parent</a>');
+    });
+  });
+
+  describe('thread mode', () => {
+    const rssService = new RSSService({ title: 'Test Feed', siteUrl: 'http://example.com' });
+    const threadTweet = (id, minute, replyTo = null, authorId = '1') => ({
+      id,
+      text: `Part ${id}`,
+      author_id: authorId,
+      author_name: authorId === '1' ? 'Author' : 'Other',
+      author_username: authorId === '1' ? 'author' : 'other',
+      created_at: `2025-06-26T10:${String(minute).padStart(2, '0')}:00Z`,
+      conversation_id: '10',
+      entities: {},
+      public_metrics: {},
+      referenced_tweets: replyTo ? [{ type: 'replied_to', id: replyTo }] : [],
+    });
+
+    it('should collapse self-replies into one thread in reading order', () => {
+      // Newest first, as stored
+      const tweets = [threadTweet('13', 3, '12'), threadTweet('12', 2, '11'), threadTweet('11', 1, '10'), threadTweet('10', 0)];
+
+      const threads = rssService.groupThreads(tweets);
+
+      expect(threads).toHaveLength(1);
+      expect(threads[0].root.id).toBe('10');
+      expect(threads[0].tweets.map(tweet => tweet.id)).toEqual(['10', '11', '12', '13']);
+      expect(threads[0].updatedAt.toISOString()).toBe('2025-06-26T10:03:00.000Z');
+    });
+
+    it('should keep replies from other authors as separate items', () => {
+      const threads = rssService.groupThreads([threadTweet('11', 1, '10', '2'), threadTweet('10', 0)]);
+      expect(threads.map(thread => thread.root.id)).toEqual(['11', '10']);
+    });
+
+    it('should render a thread as one item with the root GUID and newest date', () => {
+      const feed = rssService.generateFeed(
+        [threadTweet('12', 5, '11'), threadTweet('11', 1, '10'), threadTweet('10', 0)],
+        null,
+        { threadMode: true }
+      );
+
+      expect(feed.match(/<item>/g)).toHaveLength(1);
+      expect(feed).toContain('<guid isPermaLink="false">10</guid>');
+      expect(feed).toContain('<pubDate>Thu, 26 Jun 2025 10:05:00 GMT</pubDate>');
+      expect(feed).toContain('(thread, 3 tweets)');
+      expect(feed).toMatch(/Part 10[\s\S]*Part 11[\s\S]*Part 12/);
+    });
+
+    it('should keep the thread GUID and link once the root tweet leaves the feed window', () => {
+      const selfReply = (id, minute, replyTo) => ({
+        ...threadTweet(id, minute, replyTo),
+        referenced_tweets: [{ type: 'replied_to', id: replyTo, author_id: '1' }],
+      });
+
+      const feed = rssService.generateFeed([selfReply('12', 5, '11'), selfReply('11', 1, '10')], null, { threadMode: true });
+
+      expect(feed.match(/<item>/g)).toHaveLength(1);
+      expect(feed).toContain('<guid isPermaLink="false">10</guid>');
+      expect(feed).toContain('<link>https://twitter.com/author/status/10</link>');
+    });
+
+    it('should key a reply chain to someone else by its first tweet', () => {
+      const [thread] = rssService.groupThreads([
+        { ...threadTweet('21', 1, '20'), referenced_tweets: [{ type: 'replied_to', id: '20', author_id: '2' }] },
+      ]);
+
+      expect(rssService.getThreadKey(thread)).toBe('21');
+    });
+
+    it('should leave tweets separate when thread mode is off', () => {
+      const feed = rssService.generateFeed([threadTweet('11', 1, '10'), threadTweet('10', 0)]);
+      expect(feed.match(/<item>/g)).toHaveLength(2);
+    });
+  });
 });
@@ -1,26 +1,101 @@
-const cron = require('node-cron');
+/**
+ * Adaptive Scheduler
+ * Fetches a list on a timer whose interval grows while the list is quiet and
+ * shrinks while it is busy. Each delay gets random jitter so several lists
+ * (or instances) do not fire in lockstep. The interval, empty-fetch streak
+ * and next run time are stored in config and restored on startup.
+ * With an ActivityModel the delay is planned from the list's learned
+ * hour-of-week activity instead, and runs are kept out of quiet hours.
+ */
+
+// setTimeout cannot wait longer than this (about 24.8 days)
+const MAX_TIMER_DELAY_MS = 2147483647;
 
 class AdaptiveScheduler {
-  constructor(database, twitterService, minInterval = 60, maxInterval = 480) {
+  /**
+   * Options: jitter - fraction of the interval added or removed at random (default 0.1)
+   *          activityModel - ActivityModel used to plan fetch times (optional)
+   *          quotaLedger - QuotaLedger whose monthly allowance sets a floor on the interval (optional)
+   *          legacyState - read the unscoped keys of a single-list install when the list's own are missing
+   */
+  constructor(database, twitterService, minInterval = 60, maxInterval = 480, listId = null, options = {}) {
     this.database = database;
+    this.listId = listId; // Namespaces persisted state when several lists are scheduled
     this.twitterService = twitterService;
     this.minInterval = minInterval; // minutes
     this.maxInterval = maxInterval; // minutes
     this.currentInterval = minInterval;
-    this.task = null;
+    this.jitter = options.jitter !== undefined ? options.jitter : 0.1;
+    this.activityModel = options.activityModel || null;
+    this.quotaLedger = options.quotaLedger || null;
+    this.legacyState = !!options.legacyState;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.stopped = false;
     this.isRunning = false;
     this.consecutiveEmptyFetches = 0;
+    this.lastNewTweets = 0;
     this.lastFetchTime = null;
   }
 
-  start(fetchFunction) {
-    console.log(`Starting adaptive scheduler with initial interval: ${this.currentInterval} minutes`);
-    
-    // Run immediately on start
-    this.runFetch(fetchFunction);
-    
-    // Schedule recurring task
-    this.scheduleNext(fetchFunction);
+  configKey(name) {
+    return this.listId ? `${name}:${this.listId}` : name;
+  }
+
+  /**
+   * Stored value of a state key; installs from before per-list state wrote
+   * them without the list ID, and the default list picks those up once
+   */
+  async getStoredConfig(name) {
+    const value = await this.database.getConfig(this.configKey(name));
+    if ((value === null || value === undefined) && this.legacyState && this.listId) {
+      return this.database.getConfig(name);
+    }
+    return value;
+  }
+
+  /**
+   * Restore the interval, streak and pending run from a previous process
+   */
+  async restoreState() {
+    const [interval, emptyFetches, lastFetchTime, nextFetchTime] = await Promise.all([
+      this.getStoredConfig('current_interval'),
+      this.getStoredConfig('consecutive_empty_fetches'),
+      this.getStoredConfig('last_fetch_time'),
+      this.getStoredConfig('next_fetch_time')
+    ]);
+
+    if (parseFloat(interval) > 0) {
+      // Limits may have changed since the value was stored
+      this.currentInterval = Math.min(Math.max(parseFloat(interval), this.minInterval), this.maxInterval);
+    }
+    this.consecutiveEmptyFetches = parseInt(emptyFetches) || 0;
+    this.lastFetchTime = lastFetchTime ? new Date(lastFetchTime) : null;
+
+    const nextRunAt = nextFetchTime ? new Date(nextFetchTime) : null;
+    return nextRunAt && !isNaN(nextRunAt.getTime()) ? nextRunAt : null;
+  }
+
+  /**
+   * Resume the stored schedule, or fetch right away when nothing is pending
+   */
+  async start(fetchFunction) {
+    this.stopped = false;
+    let nextRunAt = null;
+    try {
+      nextRunAt = await this.restoreState();
+    } catch (error) {
+      console.error('Failed to restore scheduler state:', error.message);
+    }
+    await this.refreshActivity();
+
+    console.log(`Starting adaptive scheduler${this.listId ? ` for list ${this.listId}` : ''} with interval: ${this.currentInterval} minutes`);
+
+    if (nextRunAt && nextRunAt > new Date()) {
+      this.scheduleAt(nextRunAt, fetchFunction);
+    } else {
+      await this.runFetch(fetchFunction);
+    }
   }
 
   async runFetch(fetchFunction) {
@@ -40,15 +115,21 @@ class AdaptiveScheduler {
       this.adaptInterval(result);
       
       // Store metrics
-      await this.database.setConfig('last_fetch_time', this.lastFetchTime.toISOString());
-      await this.database.setConfig('current_interval', this.currentInterval.toString());
-      await this.database.setConfig('consecutive_empty_fetches', this.consecutiveEmptyFetches.toString());
+      await this.database.setConfig(this.configKey('last_fetch_time'), this.lastFetchTime.toISOString());
+      await this.database.setConfig(this.configKey('current_interval'), this.currentInterval.toString());
+      await this.database.setConfig(this.configKey('consecutive_empty_fetches'), this.consecutiveEmptyFetches.toString());
+      await this.refreshActivity();
       
     } catch (error) {
       console.error('Scheduled fetch failed:', error.message);
       
       // On error, slightly increase interval to avoid hitting rate limits
       this.currentInterval = Math.min(this.currentInterval * 1.2, this.maxInterval);
+      try {
+        await this.database.setConfig(this.configKey('current_interval'), this.currentInterval.toString());
+      } catch (storeError) {
+        console.error('Failed to store scheduler interval:', storeError.message);
+      }
       
     } finally {
       this.isRunning = false;
@@ -60,6 +141,7 @@ class AdaptiveScheduler {
 
   adaptInterval(result) {
     const newTweetsCount = result.newTweets || 0;
+    this.lastNewTweets = newTweetsCount;
     
     if (newTweetsCount > 0) {
       // Found new tweets - reset empty fetch counter and potentially decrease interval
@@ -90,65 +172,116 @@ class AdaptiveScheduler {
     console.log(`Adaptive scheduling: ${newTweetsCount} new tweets, ${this.consecutiveEmptyFetches} consecutive empty fetches, next interval: ${this.currentInterval} minutes`);
   }
 
+  /**
+   * Rebuild the activity histogram when it is stale; failures keep the old one
+   */
+  async refreshActivity() {
+    if (!this.activityModel) {
+      return;
+    }
+    try {
+      await this.activityModel.refresh();
+    } catch (error) {
+      console.error('Failed to refresh activity histogram:', error.message);
+    }
+  }
+
+  /**
+   * Minutes until the next fetch: the learned plan once the histogram has
+   * enough samples, otherwise the reactive interval. A fetch that just found
+   * new tweets may still pull the next run closer than the plan. The monthly
+   * quota stretches the result, past maxInterval if the allowance needs it.
+   */
+  planInterval(now = new Date()) {
+    let interval = this.currentInterval;
+    if (this.activityModel && this.activityModel.enabled) {
+      const planned = this.activityModel.planDelay(now, this.minInterval, this.maxInterval);
+      interval = this.lastNewTweets > 0 ? Math.min(planned, this.currentInterval) : planned;
+    }
+    const quotaInterval = this.quotaLedger ? this.quotaLedger.getMinimumInterval(now) : 0;
+    if (quotaInterval > interval) {
+      console.log(`Monthly quota stretches the interval from ${interval.toFixed(1)} to ${quotaInterval.toFixed(1)} minutes`);
+      return quotaInterval;
+    }
+    return interval;
+  }
+
+  /**
+   * Schedule the next fetch one planned interval (with jitter) from now,
+   * moved past the quiet hours if it would fall inside them
+   */
   scheduleNext(fetchFunction) {
-    // Clear existing task to prevent memory leaks
-    if (this.task && this.task.destroy) {
-      this.task.destroy();
-    } else if (this.task && this.task.stop) {
-      this.task.stop();
+    if (this.stopped) {
+      return;
     }
-    this.task = null;
 
-    // Convert minutes to cron expression, ensuring minimum of 1 minute
-    const intervalMinutes = Math.max(Math.round(this.currentInterval), 1);
-    const cronExpression = `*/${intervalMinutes} * * * *`;
-    
-    console.log(`Scheduling next fetch with cron expression: ${cronExpression} (${intervalMinutes} minutes)`);
-    
+    const now = new Date();
+    const spread = this.jitter > 0 ? (Math.random() * 2 - 1) * this.jitter : 0;
+    let nextRunAt = new Date(now.getTime() + Math.max(this.planInterval(now) * 60 * 1000 * (1 + spread), 1000));
+    if (this.activityModel) {
+      nextRunAt = this.activityModel.nextAllowedTime(nextRunAt);
+    }
+    const delayMs = nextRunAt - now;
+
+    console.log(`Scheduling next fetch in ${(delayMs / 60000).toFixed(1)} minutes (${nextRunAt.toISOString()})`);
+    this.scheduleAt(nextRunAt, fetchFunction);
+    this.storeNextRun(nextRunAt);
+  }
+
+  async storeNextRun(nextRunAt) {
     try {
-      this.task = cron.schedule(cronExpression, () => {
-        this.runFetch(fetchFunction);
-      }, {
-        scheduled: true,
-        timezone: "UTC"
-      });
+      await this.database.setConfig(this.configKey('next_fetch_time'), nextRunAt.toISOString());
     } catch (error) {
-      console.error('Failed to schedule task:', error);
-      // Fallback to a default 60-minute interval
-      this.currentInterval = 60;
-      this.task = cron.schedule('0 * * * *', () => {
-        this.runFetch(fetchFunction);
-      }, {
-        scheduled: true,
-        timezone: "UTC"
-      });
+      console.error('Failed to store next fetch time:', error.message);
+    }
+  }
+
+  scheduleAt(nextRunAt, fetchFunction) {
+    this.clearTimer();
+    this.nextRunAt = nextRunAt;
+
+    const delayMs = Math.min(Math.max(nextRunAt.getTime() - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.runFetch(fetchFunction);
+    }, delayMs);
+    // The HTTP server keeps the process alive, not the schedule
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
     }
   }
 
   async getStatus() {
-    const lastFetchTime = await this.database.getConfig('last_fetch_time');
-    const storedInterval = await this.database.getConfig('current_interval');
-    const storedEmptyFetches = await this.database.getConfig('consecutive_empty_fetches');
+    const lastFetchTime = await this.getStoredConfig('last_fetch_time');
+    const storedInterval = await this.getStoredConfig('current_interval');
+    const storedEmptyFetches = await this.getStoredConfig('consecutive_empty_fetches');
 
     return {
+      listId: this.listId,
       isRunning: this.isRunning,
       currentInterval: this.currentInterval,
       lastFetchTime: lastFetchTime ? new Date(lastFetchTime) : null,
       consecutiveEmptyFetches: parseInt(storedEmptyFetches) || 0,
-      nextFetchEstimate: this.lastFetchTime ? 
-        new Date(this.lastFetchTime.getTime() + (this.currentInterval * 60 * 1000)) : 
-        new Date()
+      jitter: this.jitter,
+      // Learned hour-of-week schedule; null without an activity model
+      activity: this.activityModel ? this.activityModel.getStatus(this.minInterval, this.maxInterval) : null,
+      // The actual timer deadline; null while a fetch is running or once stopped
+      nextFetchEstimate: this.timer ? this.nextRunAt : null
     };
   }
 
   stop() {
-    if (this.task) {
-      if (this.task.destroy) {
-        this.task.destroy();
-      } else if (this.task.stop) {
-        this.task.stop();
-      }
-      this.task = null;
+    this.stopped = true;
+    if (this.timer) {
+      this.clearTimer();
+      this.nextRunAt = null;
       console.log('Scheduler stopped');
     }
   }
@@ -1,9 +1,5 @@
 const AdaptiveScheduler = require('./scheduler');
-
-// Mock dependencies
-jest.mock('node-cron', () => ({
-  schedule: jest.fn().mockReturnValue({ stop: jest.fn() }),
-}));
+const ActivityModel = require('./activityModel');
 
 const mockDatabase = {
   setConfig: jest.fn(),
@@ -23,17 +19,22 @@ describe('AdaptiveScheduler', () => {
     mockFetchFunction = jest.fn();
   });
 
+  afterEach(() => {
+    scheduler.stop();
+  });
+
   it('should decrease interval on high activity', async () => {
+    scheduler.currentInterval = 200;
     mockFetchFunction.mockResolvedValue({ newTweets: 15 });
     await scheduler.runFetch(mockFetchFunction);
-    expect(scheduler.currentInterval).toBeLessThan(60);
-    expect(scheduler.currentInterval).toBe(60 * 0.8);
+    expect(scheduler.currentInterval).toBe(200 * 0.8);
   });
 
   it('should slightly decrease interval on moderate activity', async () => {
+    scheduler.currentInterval = 200;
     mockFetchFunction.mockResolvedValue({ newTweets: 7 });
     await scheduler.runFetch(mockFetchFunction);
-    expect(scheduler.currentInterval).toBe(60 * 0.9);
+    expect(scheduler.currentInterval).toBe(200 * 0.9);
   });
 
   it('should keep the same interval on low activity', async () => {
@@ -79,4 +80,127 @@ describe('AdaptiveScheduler', () => {
     await scheduler.runFetch(mockFetchFunction);
     expect(scheduler.currentInterval).toBe(480); // maxInterval is 480
   });
-});
\ No newline at end of file
+
+  it('should back off and store the interval when a fetch fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mockFetchFunction.mockRejectedValue(new Error('Request failed with code 503'));
+
+    await scheduler.runFetch(mockFetchFunction);
+
+    expect(scheduler.currentInterval).toBe(60 * 1.2);
+    expect(mockDatabase.setConfig).toHaveBeenCalledWith('current_interval', String(60 * 1.2));
+    console.error.mockRestore();
+  });
+
+  describe('timer', () => {
+    const minutes = value => value * 60 * 1000;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2025-07-01T00:00:00Z') });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    });
+
+    it('should honour intervals longer than an hour', async () => {
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 240, 480, null, { jitter: 0 });
+      mockFetchFunction.mockResolvedValue({ newTweets: 3 });
+
+      await scheduler.start(mockFetchFunction);
+      expect(mockFetchFunction).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(minutes(239));
+      expect(mockFetchFunction).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(minutes(1));
+      expect(mockFetchFunction).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep jittered delays within the configured fraction', () => {
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 100, 480, null, { jitter: 0.1 });
+      jest.spyOn(Math, 'random').mockReturnValueOnce(0).mockReturnValueOnce(1);
+
+      scheduler.scheduleNext(mockFetchFunction);
+      expect(scheduler.nextRunAt.getTime() - Date.now()).toBe(minutes(90));
+      scheduler.scheduleNext(mockFetchFunction);
+      expect(scheduler.nextRunAt.getTime() - Date.now()).toBe(minutes(110));
+    });
+
+    it('should restore its state and resume a pending run instead of fetching at once', async () => {
+      const stored = {
+        current_interval: '300',
+        consecutive_empty_fetches: '4',
+        last_fetch_time: '2025-06-30T22:00:00.000Z',
+        next_fetch_time: '2025-07-01T03:00:00.000Z',
+      };
+      mockDatabase.getConfig.mockImplementation(async key => stored[key] || null);
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 60, 480, null, { jitter: 0 });
+      mockFetchFunction.mockResolvedValue({ newTweets: 0 });
+
+      await scheduler.start(mockFetchFunction);
+
+      expect(mockFetchFunction).not.toHaveBeenCalled();
+      expect(scheduler.currentInterval).toBe(300);
+      expect(scheduler.consecutiveEmptyFetches).toBe(4);
+      expect((await scheduler.getStatus()).nextFetchEstimate).toEqual(new Date('2025-07-01T03:00:00.000Z'));
+
+      await jest.advanceTimersByTimeAsync(minutes(180));
+      expect(mockFetchFunction).toHaveBeenCalledTimes(1);
+      expect(mockDatabase.setConfig).toHaveBeenCalledWith('next_fetch_time', new Date(Date.now() + minutes(450)).toISOString());
+    });
+
+    it('should pick up the unscoped state of a single-list install for the default list only', async () => {
+      const stored = { current_interval: '300', consecutive_empty_fetches: '4', 'consecutive_empty_fetches:list-a': '1' };
+      mockDatabase.getConfig.mockImplementation(async key => stored[key] || null);
+
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 60, 480, 'list-a', { legacyState: true });
+      await scheduler.restoreState();
+      expect(scheduler.currentInterval).toBe(300);
+      expect(scheduler.consecutiveEmptyFetches).toBe(1);
+
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 60, 480, 'list-b');
+      await scheduler.restoreState();
+      expect(scheduler.currentInterval).toBe(60);
+      expect(scheduler.consecutiveEmptyFetches).toBe(0);
+    });
+
+    it('should follow the activity model and skip quiet hours', async () => {
+      const activityModel = new ActivityModel(mockDatabase, { timeZone: 'America/New_York', quietHours: '20-7' });
+      jest.spyOn(activityModel, 'enabled', 'get').mockReturnValue(true);
+      jest.spyOn(activityModel, 'planDelay').mockReturnValue(30);
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 15, 240, null, { jitter: 0, activityModel });
+
+      // 00:00Z is 20:00 in New York, the start of the quiet hours
+      scheduler.scheduleNext(mockFetchFunction);
+      expect(scheduler.nextRunAt).toEqual(new Date('2025-07-01T11:00:00Z'));
+
+      jest.setSystemTime(new Date('2025-07-01T14:00:00Z'));
+      scheduler.scheduleNext(mockFetchFunction);
+      expect(scheduler.nextRunAt).toEqual(new Date('2025-07-01T14:30:00Z'));
+      expect((await scheduler.getStatus()).activity).toEqual(expect.objectContaining({ quietHours: '20-7', timeZone: 'America/New_York' }));
+    });
+
+    it('should stretch the interval past its maximum when the monthly quota needs it', () => {
+      const quotaLedger = { getMinimumInterval: jest.fn().mockReturnValue(600) };
+      scheduler = new AdaptiveScheduler(mockDatabase, mockTwitterService, 60, 480, null, { jitter: 0, quotaLedger });
+
+      scheduler.scheduleNext(mockFetchFunction);
+      expect(scheduler.nextRunAt.getTime() - Date.now()).toBe(minutes(600));
+
+      quotaLedger.getMinimumInterval.mockReturnValue(0);
+      scheduler.scheduleNext(mockFetchFunction);
+      expect(scheduler.nextRunAt.getTime() - Date.now()).toBe(minutes(60));
+    });
+
+    it('should fetch right away when the stored run is overdue', async () => {
+      mockDatabase.getConfig.mockImplementation(async key => (key === 'next_fetch_time' ? '2025-06-30T00:00:00.000Z' : null));
+      mockFetchFunction.mockResolvedValue({ newTweets: 1 });
+
+      await scheduler.start(mockFetchFunction);
+
+      expect(mockFetchFunction).toHaveBeenCalledTimes(1);
+    });
+  });
+});
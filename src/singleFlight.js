@@ -0,0 +1,36 @@
+/**
+ * Single Flight
+ * Deduplicates concurrent async work by key: callers that arrive while an
+ * operation is running get its promise instead of starting another one.
+ * The key is released once the operation settles, so later calls run again.
+ */
+
+class SingleFlight {
+  constructor() {
+    this.flights = new Map(); // key -> pending promise
+  }
+
+  run(key, operation) {
+    if (this.flights.has(key)) {
+      return this.flights.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(operation)
+      .finally(() => {
+        this.flights.delete(key);
+      });
+    this.flights.set(key, promise);
+    return promise;
+  }
+
+  has(key) {
+    return this.flights.has(key);
+  }
+
+  keys() {
+    return Array.from(this.flights.keys());
+  }
+}
+
+module.exports = SingleFlight;
@@ -0,0 +1,29 @@
+const SingleFlight = require('./singleFlight');
+
+describe('SingleFlight', () => {
+  it('should share one run between concurrent callers with the same key', async () => {
+    const flights = new SingleFlight();
+    let release;
+    const operation = jest.fn(() => new Promise(resolve => { release = resolve; }));
+
+    const first = flights.run('fetch:1', operation);
+    const second = flights.run('fetch:1', operation);
+    const other = flights.run('fetch:2', async () => 'other');
+    await Promise.resolve();
+    release('done');
+
+    expect(await first).toBe('done');
+    expect(await second).toBe('done');
+    expect(await other).toBe('other');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the key once the run settles, even on failure', async () => {
+    const flights = new SingleFlight();
+
+    await expect(flights.run('fetch:1', async () => { throw new Error('rate limited'); })).rejects.toThrow('rate limited');
+    expect(flights.has('fetch:1')).toBe(false);
+    await expect(flights.run('fetch:1', async () => 'retried')).resolves.toBe('retried');
+    expect(flights.keys()).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * API source
+ * The live X API through twitter-api-v2: a Bearer Token (App-Only, public
+ * lists) or OAuth 1.0a user credentials (User Context, private lists).
+ */
+
+const { TwitterApi } = require('twitter-api-v2');
+const TweetSource = require('./tweetSource');
+
+class ApiSource extends TweetSource {
+  constructor(credentials) {
+    super();
+    if (typeof credentials === 'string') {
+      this.client = new TwitterApi(credentials, { appContext: 'read-only' });
+    } else {
+      this.client = new TwitterApi({
+        appKey: credentials.appKey,
+        appSecret: credentials.appSecret,
+        accessToken: credentials.accessToken,
+        accessSecret: credentials.accessSecret
+      });
+    }
+    this.readOnlyClient = this.client.readOnly;
+  }
+
+  get name() {
+    return 'api';
+  }
+
+  listTweets(listId, params) {
+    return this.readOnlyClient.v2.listTweets(listId, params);
+  }
+
+  list(listId, params) {
+    return this.readOnlyClient.v2.list(listId, params);
+  }
+
+  me(params) {
+    return this.readOnlyClient.v2.me(params);
+  }
+
+  user(userId, params) {
+    return this.readOnlyClient.v2.user(userId, params);
+  }
+}
+
+module.exports = ApiSource;
@@ -0,0 +1,296 @@
+/**
+ * Fixture source
+ * Replays recorded listTweets responses from disk, so the app, demos and the
+ * scheduler run end to end without credentials or quota. A fixture is
+ * <directory>/<listId>.json as written by the record source:
+ *
+ *   { "list": { "id", "name", ... },
+ *     "responses": [{ "params", "data": [...], "includes": {...}, "meta", "rateLimit" }] }
+ *
+ * The recorded tweets are merged into one timeline and served like the API
+ * would: newest first, since_id and pagination_token honoured, `includes`
+ * limited to what each page references. Rate limit windows follow the API
+ * tier profile, and faults (e.g. a 429 on the third call) can be injected.
+ * With replay "realtime" tweets appear over time in their recorded spacing
+ * (divided by speed), dated when they appear.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TweetSource = require('./tweetSource');
+const TierProfile = require('../tierProfile');
+
+const ENDPOINTS = {
+  listTweets: '/2/lists/:id/tweets',
+  list: '/2/lists/:id',
+  me: '/2/users/me',
+  user: '/2/users/:id'
+};
+
+const ERRORS = {
+  401: { title: 'Unauthorized', detail: 'Unauthorized' },
+  403: { title: 'Forbidden', detail: 'You are not permitted to perform this action.' },
+  404: { title: 'Not Found Error', detail: 'Could not find the requested resource.' },
+  429: { title: 'Too Many Requests', detail: 'Too Many Requests' },
+  500: { title: 'Internal Server Error', detail: 'Internal Server Error' },
+  503: { title: 'Service Unavailable', detail: 'Service Unavailable' }
+};
+
+// Shaped like twitter-api-v2's ApiResponseError
+function responseError(code, rateLimit = null, detail = null) {
+  const known = ERRORS[code] || { title: 'Error', detail: 'Error' };
+  const error = new Error(`Request failed with code ${code}`);
+  error.type = 'response';
+  error.code = code;
+  error.data = { title: known.title, detail: detail || known.detail, status: code };
+  if (rateLimit) {
+    error.rateLimit = rateLimit;
+  }
+  return error;
+}
+
+function compareIds(a, b) {
+  const left = BigInt(a);
+  const right = BigInt(b);
+  return left === right ? 0 : left > right ? 1 : -1;
+}
+
+class FixtureSource extends TweetSource {
+  /**
+   * Options: profile (rate limit windows), replay ("all" or "realtime"),
+   * speed (realtime only), faults ([{ status, method, at, times }]), now
+   */
+  constructor(directory, options = {}) {
+    super();
+    this.directory = directory;
+    this.profile = options.profile || TierProfile.fromEnv();
+    this.replay = options.replay === 'realtime' ? 'realtime' : 'all';
+    this.speed = options.speed > 0 ? options.speed : 1;
+    this.faults = (options.faults || []).map(fault => ({ ...fault }));
+    this.now = options.now || Date.now;
+    this.startedAt = this.now();
+    this.timelines = new Map(); // listId -> { list, tweets, users, media, tweetsById }
+    this.windows = new Map(); // endpoint -> { limit, remaining, reset }
+    this.calls = {}; // method -> calls so far, for fault injection
+  }
+
+  get name() {
+    return 'fixture';
+  }
+
+  describe() {
+    return `fixture:${this.directory}`;
+  }
+
+  /**
+   * FIXTURE_FAULTS, e.g. [{"status":429,"method":"listTweets","at":3},{"status":401,"at":10,"times":2}]
+   */
+  static parseFaults(json) {
+    if (!json) {
+      return [];
+    }
+    let faults;
+    try {
+      faults = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid FIXTURE_FAULTS: ${error.message}`);
+    }
+    if (!Array.isArray(faults) || faults.some(fault => !fault || !(parseInt(fault.status) >= 400))) {
+      throw new Error('Invalid FIXTURE_FAULTS: expected an array of { status, method, at, times }');
+    }
+    return faults;
+  }
+
+  /**
+   * Fail the next `times` calls (of `method`, or any call) with an HTTP status
+   */
+  failNext(status, method = null, times = 1) {
+    const calls = method ? this.calls[method] || 0 : this.calls.any || 0;
+    this.faults.push({ status, method, at: calls + 1, times });
+  }
+
+  fixturePath(listId) {
+    return path.join(this.directory, `${listId}.json`);
+  }
+
+  /**
+   * The merged timeline of a list's recorded responses, loaded once
+   */
+  loadTimeline(listId) {
+    if (this.timelines.has(listId)) {
+      return this.timelines.get(listId);
+    }
+
+    const file = this.fixturePath(listId);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const tweets = new Map();
+    const users = new Map();
+    const media = new Map();
+    const included = new Map();
+
+    (fixture.responses || []).forEach(response => {
+      (response.data || []).forEach(tweet => tweets.set(tweet.id, tweet));
+      const includes = response.includes || {};
+      (includes.users || []).forEach(user => users.set(user.id, user));
+      (includes.media || []).forEach(item => media.set(item.media_key, item));
+      (includes.tweets || []).forEach(tweet => included.set(tweet.id, tweet));
+    });
+
+    const timeline = {
+      list: fixture.list || null,
+      tweets: Array.from(tweets.values()).sort((a, b) => compareIds(b.id, a.id)),
+      users,
+      media,
+      tweetsById: included
+    };
+
+    // Realtime replay starts from the oldest recorded tweet
+    const times = timeline.tweets.map(tweet => new Date(tweet.created_at).getTime()).filter(time => !isNaN(time));
+    timeline.firstCreatedAt = times.length > 0 ? Math.min(...times) : this.startedAt;
+
+    this.timelines.set(listId, timeline);
+    return timeline;
+  }
+
+  /**
+   * Tweets the API would know about by now, newest first
+   */
+  visibleTweets(timeline) {
+    if (this.replay !== 'realtime') {
+      return timeline.tweets;
+    }
+    const elapsed = this.now() - this.startedAt;
+    return timeline.tweets
+      .map(tweet => {
+        const offset = (new Date(tweet.created_at).getTime() - timeline.firstCreatedAt) / this.speed;
+        return { tweet, offset };
+      })
+      .filter(({ offset }) => offset <= elapsed)
+      .map(({ tweet, offset }) => ({ ...tweet, created_at: new Date(this.startedAt + offset).toISOString() }));
+  }
+
+  /**
+   * Count the call, apply injected faults and the endpoint's rate limit window
+   */
+  request(method) {
+    this.calls[method] = (this.calls[method] || 0) + 1;
+    this.calls.any = (this.calls.any || 0) + 1;
+
+    const endpoint = ENDPOINTS[method];
+    const declared = this.profile.getEndpointLimit(endpoint) || { limit: 900, windowMinutes: 15 };
+    const now = this.now();
+    let window = this.windows.get(endpoint);
+    if (!window || now >= window.reset * 1000) {
+      window = {
+        limit: declared.limit,
+        remaining: declared.limit,
+        reset: Math.floor((now + declared.windowMinutes * 60 * 1000) / 1000)
+      };
+      this.windows.set(endpoint, window);
+    }
+
+    const fault = this.faults.find(candidate => {
+      const call = candidate.method ? this.calls[candidate.method] || 0 : this.calls.any;
+      const at = candidate.at || 1;
+      return (!candidate.method || candidate.method === method) && call >= at && call < at + (candidate.times || 1);
+    });
+    if (fault) {
+      const status = parseInt(fault.status);
+      if (status === 429) {
+        window.remaining = 0;
+      }
+      throw responseError(status, { ...window });
+    }
+
+    if (window.remaining <= 0) {
+      throw responseError(429, { ...window });
+    }
+    window.remaining--;
+    return { ...window };
+  }
+
+  /**
+   * The users, media and referenced tweets a page of tweets points at
+   */
+  buildIncludes(timeline, page) {
+    const referenced = page
+      .flatMap(tweet => tweet.referenced_tweets || [])
+      .map(reference => timeline.tweetsById.get(reference.id))
+      .filter(Boolean);
+    const all = [...page, ...referenced];
+
+    const userIds = new Set(all.flatMap(tweet => [tweet.author_id, tweet.in_reply_to_user_id]).filter(Boolean));
+    const mediaKeys = new Set(all.flatMap(tweet => (tweet.attachments && tweet.attachments.media_keys) || []));
+
+    const includes = {};
+    const users = Array.from(userIds).map(id => timeline.users.get(id)).filter(Boolean);
+    const media = Array.from(mediaKeys).map(key => timeline.media.get(key)).filter(Boolean);
+    if (users.length > 0) includes.users = users;
+    if (media.length > 0) includes.media = media;
+    if (referenced.length > 0) includes.tweets = referenced;
+    return includes;
+  }
+
+  async listTweets(listId, params = {}) {
+    const rateLimit = this.request('listTweets');
+    const timeline = this.loadTimeline(listId);
+    if (!timeline) {
+      throw responseError(404, null, `Could not find list with id: [${listId}].`);
+    }
+
+    const maxResults = Math.min(Math.max(parseInt(params.max_results) || 100, 1), 100);
+    // Tokens carry the last tweet served, so tweets arriving between pages do not shift them
+    const before = params.pagination_token ? String(params.pagination_token).replace(/^fx_/, '') : null;
+    const matching = this.visibleTweets(timeline).filter(tweet =>
+      (!params.since_id || compareIds(tweet.id, params.since_id) > 0) &&
+      (!before || compareIds(tweet.id, before) < 0));
+    const page = matching.slice(0, maxResults);
+
+    const meta = { result_count: page.length };
+    if (page.length > 0) {
+      meta.newest_id = page[0].id;
+      meta.oldest_id = page[page.length - 1].id;
+      if (matching.length > page.length) {
+        meta.next_token = `fx_${meta.oldest_id}`;
+      }
+    }
+
+    const payload = { meta };
+    if (page.length > 0) {
+      payload.data = page;
+      payload.includes = this.buildIncludes(timeline, page);
+    }
+    return { data: payload, rateLimit };
+  }
+
+  async list(listId) {
+    const rateLimit = this.request('list');
+    const timeline = this.loadTimeline(listId);
+    if (!timeline) {
+      throw responseError(404, null, `Could not find list with id: [${listId}].`);
+    }
+    const data = timeline.list || {
+      id: listId,
+      name: `Fixture list ${listId}`,
+      description: 'Replayed from recorded responses',
+      member_count: timeline.users.size,
+      private: false
+    };
+    return { data, rateLimit };
+  }
+
+  async me() {
+    const rateLimit = this.request('me');
+    return { data: { id: '0', username: 'fixture', name: 'Fixture User', verified: false }, rateLimit };
+  }
+
+  async user(userId) {
+    const rateLimit = this.request('user');
+    return { data: { id: String(userId), username: 'fixture', name: 'Fixture User', verified: false }, rateLimit };
+  }
+}
+
+module.exports = FixtureSource;
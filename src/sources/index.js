@@ -0,0 +1,62 @@
+/**
+ * Tweet source selection
+ * TWEET_SOURCE=api (default) talks to the X API; fixture replays recorded
+ * responses from FIXTURE_DIR without credentials; record calls the API and
+ * writes what it gets back to FIXTURE_DIR for later replay.
+ */
+
+const path = require('path');
+const ApiSource = require('./apiSource');
+const FixtureSource = require('./fixtureSource');
+const RecordingSource = require('./recordingSource');
+const TweetSource = require('./tweetSource');
+
+const SOURCES = ['api', 'fixture', 'record'];
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'fixtures');
+
+function resolveSourceName(requested = process.env.TWEET_SOURCE) {
+  if (!requested) {
+    return 'api';
+  }
+  if (!SOURCES.includes(requested)) {
+    throw new Error(`Unknown TWEET_SOURCE "${requested}". Use one of: ${SOURCES.join(', ')}`);
+  }
+  return requested;
+}
+
+function getFixtureDir(env = process.env) {
+  return env.FIXTURE_DIR || DEFAULT_FIXTURE_DIR;
+}
+
+/**
+ * Create the configured source for one credential (bearer token string or OAuth 1.0a object)
+ * Options: env, profile (rate limit windows of the fixture source)
+ */
+function createTweetSource(credentials, { env = process.env, profile } = {}) {
+  const name = resolveSourceName(env.TWEET_SOURCE);
+  const directory = getFixtureDir(env);
+
+  if (name === 'fixture') {
+    return new FixtureSource(directory, {
+      profile,
+      replay: env.FIXTURE_REPLAY,
+      speed: parseFloat(env.FIXTURE_SPEED) || 1,
+      faults: FixtureSource.parseFaults(env.FIXTURE_FAULTS)
+    });
+  }
+  if (name === 'record') {
+    return new RecordingSource(new ApiSource(credentials), directory);
+  }
+  return new ApiSource(credentials);
+}
+
+module.exports = {
+  createTweetSource,
+  resolveSourceName,
+  getFixtureDir,
+  TweetSource,
+  ApiSource,
+  FixtureSource,
+  RecordingSource
+};
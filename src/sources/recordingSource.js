@@ -0,0 +1,79 @@
+/**
+ * Recording source
+ * Wraps another source (normally the API) and writes every successful list
+ * response to <directory>/<listId>.json, in the format the fixture source
+ * replays. Responses are appended, so recording the same list over several
+ * runs builds up a longer timeline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const TweetSource = require('./tweetSource');
+
+class RecordingSource extends TweetSource {
+  constructor(inner, directory) {
+    super();
+    this.inner = inner;
+    this.directory = directory;
+  }
+
+  get name() {
+    return 'record';
+  }
+
+  describe() {
+    return `record:${this.inner.describe()}->${this.directory}`;
+  }
+
+  fixturePath(listId) {
+    return path.join(this.directory, `${listId}.json`);
+  }
+
+  /**
+   * Read-modify-write the list's fixture; writes are synchronous so concurrent
+   * responses cannot interleave
+   */
+  update(listId, change) {
+    const file = this.fixturePath(listId);
+    const fixture = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : { list: null, responses: [] };
+    change(fixture);
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  }
+
+  async listTweets(listId, params = {}) {
+    const response = await this.inner.listTweets(listId, params);
+    const payload = response.data || {};
+    this.update(listId, fixture => {
+      fixture.responses.push({
+        recordedAt: new Date().toISOString(),
+        params,
+        data: payload.data || [],
+        includes: payload.includes || {},
+        meta: payload.meta || {},
+        rateLimit: response.rateLimit || null
+      });
+    });
+    return response;
+  }
+
+  async list(listId, params) {
+    const response = await this.inner.list(listId, params);
+    this.update(listId, fixture => {
+      fixture.list = response.data;
+    });
+    return response;
+  }
+
+  me(params) {
+    return this.inner.me(params);
+  }
+
+  user(userId, params) {
+    return this.inner.user(userId, params);
+  }
+}
+
+module.exports = RecordingSource;
@@ -0,0 +1,46 @@
+/**
+ * Tweet Source
+ * Where TwitterService gets its raw API responses from. Every method returns
+ * a promise of the shape twitter-api-v2 produces, so paging, rate limit
+ * tracking and tweet processing work the same whatever the source:
+ *
+ *   listTweets(listId, params) -> { data: { data, includes, meta }, rateLimit }
+ *   list(listId, params)       -> { data, rateLimit }
+ *   me(params)                 -> { data, rateLimit }
+ *   user(userId, params)       -> { data, rateLimit }
+ *
+ * rateLimit is { limit, remaining, reset } (reset in epoch seconds). Failures
+ * reject with the HTTP status in `code`, plus `rateLimit` on 429s, like
+ * twitter-api-v2's ApiResponseError.
+ */
+
+class TweetSource {
+  get name() {
+    throw new Error('Tweet sources must define a name');
+  }
+
+  /**
+   * Where the tweets come from, safe to log
+   */
+  describe() {
+    return this.name;
+  }
+
+  async listTweets() {
+    throw new Error(`${this.name} source does not implement listTweets()`);
+  }
+
+  async list() {
+    throw new Error(`${this.name} source does not implement list()`);
+  }
+
+  async me() {
+    throw new Error(`${this.name} source does not implement me()`);
+  }
+
+  async user() {
+    throw new Error(`${this.name} source does not implement user()`);
+  }
+}
+
+module.exports = TweetSource;
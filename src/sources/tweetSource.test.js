@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createTweetSource, resolveSourceName, ApiSource, FixtureSource, RecordingSource,
+} = require('./index');
+const TierProfile = require('../tierProfile');
+const TwitterService = require('../twitterService');
+
+const FIXTURES = path.join(__dirname, '..', '..', 'fixtures');
+
+describe('tweet sources', () => {
+  const start = Date.parse('2025-07-01T12:00:00Z');
+  let now;
+  let source;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    now = start;
+    source = new FixtureSource(FIXTURES, { profile: TierProfile.fromEnv({ API_TIER: 'pro' }), now: () => now });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should select the source from TWEET_SOURCE', () => {
+    expect(resolveSourceName(undefined)).toBe('api');
+    expect(resolveSourceName('record')).toBe('record');
+    expect(() => resolveSourceName('mock')).toThrow('Unknown TWEET_SOURCE "mock"');
+
+    expect(createTweetSource('token', { env: {} })).toBeInstanceOf(ApiSource);
+    expect(createTweetSource('token', { env: { TWEET_SOURCE: 'fixture', FIXTURE_DIR: '/tmp/fx' } }).describe()).toBe('fixture:/tmp/fx');
+    expect(createTweetSource('token', { env: { TWEET_SOURCE: 'record' } })).toBeInstanceOf(RecordingSource);
+    expect(() => createTweetSource('token', { env: { TWEET_SOURCE: 'fixture', FIXTURE_FAULTS: '{' } })).toThrow('Invalid FIXTURE_FAULTS');
+  });
+
+  it('should page through the merged timeline newest first and honour since_id', async () => {
+    const first = await source.listTweets('demo', { max_results: 5 });
+    expect(first.data.meta).toEqual(expect.objectContaining({ result_count: 5, next_token: expect.any(String) }));
+    expect(first.data.data.map(tweet => tweet.id)).toEqual([...first.data.data.map(tweet => tweet.id)].sort().reverse());
+
+    const second = await source.listTweets('demo', { max_results: 5, pagination_token: first.data.meta.next_token });
+    expect(BigInt(second.data.data[0].id)).toBeLessThan(BigInt(first.data.meta.oldest_id));
+
+    const newer = await source.listTweets('demo', { since_id: first.data.data[2].id });
+    expect(newer.data.data.map(tweet => tweet.id)).toEqual(first.data.data.slice(0, 2).map(tweet => tweet.id));
+
+    const none = await source.listTweets('demo', { since_id: first.data.meta.newest_id });
+    expect(none.data).toEqual({ meta: { result_count: 0 } });
+  });
+
+  it('should include only the users, media and tweets a page references', async () => {
+    const { data } = await source.listTweets('demo', { max_results: 100 });
+    const quote = data.data.find(tweet => (tweet.referenced_tweets || []).some(reference => reference.type === 'quoted'));
+
+    expect(data.includes.tweets.map(tweet => tweet.id)).toContain(quote.referenced_tweets[0].id);
+    expect(data.includes.media).toHaveLength(3);
+
+    const page = await source.listTweets('demo', { max_results: 1 });
+    expect(page.data.includes).toEqual({ users: [expect.objectContaining({ id: page.data.data[0].author_id })], media: expect.any(Array) });
+  });
+
+  it('should answer 429 with rate limit headers once the tier window is spent', async () => {
+    source = new FixtureSource(FIXTURES, { profile: TierProfile.fromEnv({ API_TIER: 'free' }), now: () => now });
+
+    for (let call = 0; call < 5; call++) {
+      expect((await source.listTweets('demo')).rateLimit.remaining).toBe(4 - call);
+    }
+    await expect(source.listTweets('demo')).rejects.toEqual(expect.objectContaining({
+      code: 429,
+      rateLimit: { limit: 5, remaining: 0, reset: (start + 15 * 60 * 1000) / 1000 },
+    }));
+
+    now = start + 15 * 60 * 1000;
+    await expect(source.listTweets('demo')).resolves.toEqual(expect.objectContaining({ rateLimit: expect.objectContaining({ remaining: 4 }) }));
+  });
+
+  it('should inject configured and on-demand faults', async () => {
+    source = new FixtureSource(FIXTURES, { faults: FixtureSource.parseFaults('[{"status":401,"method":"listTweets","at":2}]') });
+
+    await expect(source.listTweets('demo')).resolves.toBeDefined();
+    await expect(source.listTweets('demo')).rejects.toEqual(expect.objectContaining({ code: 401, type: 'response' }));
+    await expect(source.listTweets('demo')).resolves.toBeDefined();
+
+    source.failNext(503, 'list');
+    await expect(source.list('demo')).rejects.toThrow('Request failed with code 503');
+    await expect(source.listTweets('missing')).rejects.toEqual(expect.objectContaining({ code: 404 }));
+  });
+
+  it('should reveal tweets over time when replaying in realtime', async () => {
+    source = new FixtureSource(FIXTURES, { replay: 'realtime', speed: 60, now: () => now });
+
+    expect((await source.listTweets('demo')).data.data).toHaveLength(1);
+
+    now = start + 2 * 60 * 1000; // 120 recorded minutes at 60x
+    const { data } = await source.listTweets('demo');
+    expect(data.data).toHaveLength(4);
+    expect(data.data[0].created_at).toBe(new Date(start + 2 * 60 * 1000).toISOString());
+  });
+
+  it('should record what another source returns in a replayable fixture', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter2rss-fixtures-'));
+    try {
+      const recorder = new RecordingSource(source, directory);
+      await recorder.list('demo');
+      await recorder.listTweets('demo', { max_results: 5 });
+      await recorder.listTweets('demo', { max_results: 5, pagination_token: 'fx_1800000000000007000' });
+
+      const fixture = JSON.parse(fs.readFileSync(path.join(directory, 'demo.json'), 'utf8'));
+      expect(fixture.list.name).toBe('Demo list');
+      expect(fixture.responses).toHaveLength(2);
+
+      const replayed = await new FixtureSource(directory).listTweets('demo');
+      expect(replayed.data.meta.result_count).toBe(10);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should feed TwitterService end to end', async () => {
+    const service = new TwitterService('fixture', { profile: TierProfile.fromEnv({ API_TIER: 'pro' }), source });
+
+    const timeline = await service.fetchListTimeline('demo');
+
+    expect(timeline.tweets).toHaveLength(12);
+    expect(timeline.tweets.find(tweet => tweet.media && tweet.media.length > 0)).toBeDefined();
+    expect(timeline.tweets[0]).toEqual(expect.objectContaining({ author_username: expect.stringMatching(/^demo_/) }));
+    await expect(service.verifyCredentials()).resolves.toBe(true);
+  });
+});
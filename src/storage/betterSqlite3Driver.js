@@ -0,0 +1,78 @@
+/**
+ * better-sqlite3 driver
+ * Synchronous and in-process, so a feed request skips the thread-pool round
+ * trips of sqlite3. Prepared statements are cached per SQL string.
+ */
+
+const StorageDriver = require('./storageDriver');
+
+// Upper bound on cached statements. Queries with a variable number of
+// placeholders (IN (?, ?, ...) batches, search and filter scopes) yield a new
+// SQL string per shape, so the cache does fill up; the least recently used
+// statement is evicted, keeping the fixed hot-path queries prepared.
+const MAX_CACHED_STATEMENTS = 200;
+
+class BetterSqlite3Driver extends StorageDriver {
+  constructor(filename, { readonly = false } = {}) {
+    super(filename);
+    this.readonly = readonly;
+    this.db = null;
+    this.statements = new Map(); // sql -> prepared statement
+  }
+
+  get name() {
+    return 'better-sqlite3';
+  }
+
+  /**
+   * Throws when better-sqlite3 is not installed (it is an optional dependency)
+   */
+  static load() {
+    return require('better-sqlite3');
+  }
+
+  async open() {
+    const BetterSqlite3 = BetterSqlite3Driver.load();
+    this.db = new BetterSqlite3(this.filename, { readonly: this.readonly, fileMustExist: this.readonly });
+    return this;
+  }
+
+  async close() {
+    if (this.db) {
+      this.statements.clear();
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (statement) {
+      // Map keeps insertion order: move the hit to the back
+      this.statements.delete(sql);
+    } else {
+      statement = this.db.prepare(sql);
+      if (this.statements.size >= MAX_CACHED_STATEMENTS) {
+        this.statements.delete(this.statements.keys().next().value);
+      }
+    }
+    this.statements.set(sql, statement);
+    return statement;
+  }
+
+  async execute(method, sql, params = []) {
+    if (method === 'exec') {
+      this.db.exec(sql);
+      return undefined;
+    }
+
+    const statement = this.prepare(sql);
+    if (method === 'run') {
+      const info = statement.run(params);
+      return { changes: info.changes, lastID: Number(info.lastInsertRowid) };
+    }
+    return method === 'get' ? statement.get(params) : statement.all(params);
+  }
+}
+
+module.exports = BetterSqlite3Driver;
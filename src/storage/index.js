@@ -0,0 +1,62 @@
+/**
+ * Storage driver selection
+ * A postgres:// target always uses the PostgreSQL driver. For SQLite files,
+ * STORAGE_DRIVER=better-sqlite3 | sqlite3 forces a driver; otherwise
+ * better-sqlite3 is used whenever the optional dependency is installed.
+ */
+
+const Sqlite3Driver = require('./sqlite3Driver');
+const BetterSqlite3Driver = require('./betterSqlite3Driver');
+const PostgresDriver = require('./postgresDriver');
+
+const DRIVERS = {
+  sqlite3: Sqlite3Driver,
+  'better-sqlite3': BetterSqlite3Driver
+};
+
+function isBetterSqlite3Available() {
+  try {
+    BetterSqlite3Driver.load();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function resolveDriverName(requested = process.env.STORAGE_DRIVER) {
+  if (requested && requested !== 'auto') {
+    if (!DRIVERS[requested]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${requested}". Use one of: auto, ${Object.keys(DRIVERS).join(', ')}`);
+    }
+    return requested;
+  }
+  return isBetterSqlite3Available() ? 'better-sqlite3' : 'sqlite3';
+}
+
+/**
+ * Create (but do not open) a driver for a database file or postgres:// URL
+ * Options: driver (name, defaults to STORAGE_DRIVER/auto), readonly, schema (PostgreSQL only)
+ */
+function createStorageDriver(target, { driver, readonly = false, schema = null } = {}) {
+  if (PostgresDriver.isConnectionString(target)) {
+    return new PostgresDriver(target, { readonly, schema });
+  }
+  const Driver = DRIVERS[resolveDriverName(driver)];
+  return new Driver(target, { readonly });
+}
+
+/**
+ * The configured database: DATABASE_URL when set, otherwise the given SQLite file
+ */
+function getDatabaseTarget(defaultPath, env = process.env) {
+  return env.DATABASE_URL || defaultPath;
+}
+
+module.exports = {
+  createStorageDriver,
+  resolveDriverName,
+  getDatabaseTarget,
+  Sqlite3Driver,
+  BetterSqlite3Driver,
+  PostgresDriver
+};
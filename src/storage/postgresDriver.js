@@ -0,0 +1,185 @@
+/**
+ * PostgreSQL driver
+ * Lets hosted deployments keep tweets, cursors and config across restarts
+ * and cold starts. Selected by DATABASE_URL; needs the optional `pg` package.
+ *
+ * Queries are written with SQLite-style `?` placeholders and rewritten to
+ * `$1, $2, ...` here, so Database keeps one set of SQL for every driver.
+ */
+
+const StorageDriver = require('./storageDriver');
+
+/**
+ * Rewrite `?` placeholders to `$n`, leaving quoted strings and identifiers alone
+ */
+function toPositionalParams(sql) {
+  let index = 0;
+  let quote = null;
+  let text = '';
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      text += `$${++index}`;
+      continue;
+    }
+    text += char;
+  }
+
+  return text;
+}
+
+class PostgresDriver extends StorageDriver {
+  /**
+   * Options: readonly, schema (search_path for this driver's connections), max (pool size)
+   */
+  constructor(connectionString, { readonly = false, schema = null, max } = {}) {
+    super(connectionString);
+    this.readonly = readonly;
+    this.schema = schema;
+    this.max = max || parseInt(process.env.DATABASE_POOL_SIZE) ||
+      // Each serverless instance handles one request at a time
+      (process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME ? 1 : 5);
+    this.pool = null;
+  }
+
+  get name() {
+    return 'postgres';
+  }
+
+  get dialect() {
+    return 'postgres';
+  }
+
+  /**
+   * Throws when pg is not installed (it is an optional dependency)
+   */
+  static load() {
+    return require('pg');
+  }
+
+  static isConnectionString(target) {
+    return /^postgres(ql)?:\/\//i.test(String(target || ''));
+  }
+
+  /**
+   * Host and database only, so credentials never reach the logs
+   */
+  describe() {
+    try {
+      const url = new URL(this.filename);
+      return `postgres://${url.host}${url.pathname}`;
+    } catch (error) {
+      return 'postgres://(invalid url)';
+    }
+  }
+
+  async open() {
+    const { Pool } = PostgresDriver.load();
+
+    const settings = [];
+    if (this.schema) {
+      settings.push(`-c search_path=${this.schema}`);
+    }
+    if (this.readonly) {
+      settings.push('-c default_transaction_read_only=on');
+    }
+
+    this.pool = new Pool({
+      connectionString: this.filename,
+      max: this.max,
+      options: settings.length > 0 ? settings.join(' ') : undefined
+    });
+
+    // Idle clients can drop when the server restarts; keep that from crashing the process
+    this.pool.on('error', () => {});
+
+    if (this.schema && !this.readonly) {
+      await this.pool.query(`CREATE SCHEMA IF NOT EXISTS "${this.schema.replace(/"/g, '""')}"`);
+    } else {
+      await this.pool.query('SELECT 1');
+    }
+    return this;
+  }
+
+  async close() {
+    if (this.pool) {
+      const pool = this.pool;
+      this.pool = null;
+      await pool.end();
+    }
+  }
+
+  async execute(method, sql, params = [], client = this.pool) {
+    if (method === 'exec') {
+      await client.query(sql);
+      return undefined;
+    }
+
+    const result = await client.query(toPositionalParams(sql), params);
+    if (method === 'run') {
+      return { changes: result.rowCount, lastID: null };
+    }
+    return method === 'get' ? result.rows[0] : result.rows;
+  }
+
+  /**
+   * Transactions get a dedicated pooled connection, so statements outside
+   * the transaction keep running on other connections instead of waiting
+   */
+  async transaction(fn) {
+    const client = await this.pool.connect();
+    const tx = {
+      run: (sql, params = []) => this.execute('run', sql, params, client),
+      get: (sql, params = []) => this.execute('get', sql, params, client),
+      all: (sql, params = []) => this.execute('all', sql, params, client),
+      exec: (sql) => this.execute('exec', sql, [], client)
+    };
+
+    try {
+      await client.query('BEGIN');
+      const value = await fn(tx);
+      await client.query('COMMIT');
+      return value;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async hasTable(table, executor = this) {
+    const row = await executor.get(
+      'SELECT 1 AS found FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?',
+      [table]
+    );
+    return !!row;
+  }
+
+  async getColumnNames(table, executor = this) {
+    const rows = await executor.all(
+      'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = ? ' +
+      'ORDER BY ordinal_position',
+      [table]
+    );
+    return rows.map(row => row.column_name);
+  }
+
+  /**
+   * Serialize migrations across instances (e.g. concurrent serverless cold starts)
+   */
+  async lockMigrations(tx) {
+    await tx.run('SELECT pg_advisory_xact_lock(?)', [PostgresDriver.MIGRATION_LOCK_ID]);
+  }
+}
+
+// Arbitrary constant shared by every instance of this app
+PostgresDriver.MIGRATION_LOCK_ID = 7215090301;
+
+module.exports = PostgresDriver;
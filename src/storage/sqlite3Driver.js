@@ -0,0 +1,64 @@
+/**
+ * sqlite3 driver
+ * Wraps the callback API of the sqlite3 package. Used when better-sqlite3
+ * is not installed or STORAGE_DRIVER=sqlite3.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const StorageDriver = require('./storageDriver');
+
+class Sqlite3Driver extends StorageDriver {
+  constructor(filename, { readonly = false } = {}) {
+    super(filename);
+    this.readonly = readonly;
+    this.db = null;
+  }
+
+  get name() {
+    return 'sqlite3';
+  }
+
+  open() {
+    const mode = this.readonly
+      ? sqlite3.OPEN_READONLY
+      : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, mode, (err) => {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      if (!this.db) {
+        resolve();
+        return;
+      }
+      this.db.close((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+      this.db = null;
+    });
+  }
+
+  execute(method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+      if (method === 'exec') {
+        this.db.exec(sql, (err) => (err ? reject(err) : resolve()));
+      } else if (method === 'run') {
+        this.db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes, lastID: this.lastID });
+        });
+      } else {
+        this.db[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+      }
+    });
+  }
+}
+
+module.exports = Sqlite3Driver;
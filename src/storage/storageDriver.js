@@ -0,0 +1,120 @@
+/**
+ * Storage Driver
+ * Common interface for the SQLite drivers. Every method returns a promise so
+ * callers do not care whether the driver underneath is sync or async:
+ *
+ *   run(sql, params)   -> { changes, lastID }
+ *   get(sql, params)   -> first row or undefined
+ *   all(sql, params)   -> array of rows
+ *   exec(sql)          -> runs one or more statements without parameters
+ *   transaction(fn)    -> runs fn(tx) between BEGIN and COMMIT, rolling back on error
+ *
+ * SQL uses `?` placeholders and syntax shared by SQLite and PostgreSQL;
+ * `dialect` tells callers which one they are on when that is not enough.
+ * Subclasses implement open(), close() and execute(method, sql, params).
+ * The defaults below cover SQLite; other dialects override them.
+ */
+
+class StorageDriver {
+  constructor(filename) {
+    this.filename = filename;
+    // Statements outside a transaction wait for the running transaction to finish
+    this.transactionLock = Promise.resolve();
+  }
+
+  get name() {
+    throw new Error('Storage drivers must define a name');
+  }
+
+  get dialect() {
+    return 'sqlite';
+  }
+
+  /**
+   * Where the data lives, safe to log
+   */
+  describe() {
+    return this.filename;
+  }
+
+  async open() {
+    throw new Error(`${this.name} driver does not implement open()`);
+  }
+
+  async close() {
+    throw new Error(`${this.name} driver does not implement close()`);
+  }
+
+  async execute() {
+    throw new Error(`${this.name} driver does not implement execute()`);
+  }
+
+  async run(sql, params = []) {
+    await this.transactionLock;
+    return this.execute('run', sql, params);
+  }
+
+  async get(sql, params = []) {
+    await this.transactionLock;
+    return this.execute('get', sql, params);
+  }
+
+  async all(sql, params = []) {
+    await this.transactionLock;
+    return this.execute('all', sql, params);
+  }
+
+  async exec(sql) {
+    await this.transactionLock;
+    return this.execute('exec', sql);
+  }
+
+  /**
+   * Run fn(tx) atomically. Use tx, not the driver, for statements inside fn;
+   * calls on the driver itself wait until the transaction has finished.
+   */
+  transaction(fn) {
+    const tx = {
+      run: (sql, params = []) => this.execute('run', sql, params),
+      get: (sql, params = []) => this.execute('get', sql, params),
+      all: (sql, params = []) => this.execute('all', sql, params),
+      exec: (sql) => this.execute('exec', sql)
+    };
+
+    const result = this.transactionLock.then(async () => {
+      await this.execute('exec', 'BEGIN IMMEDIATE');
+      try {
+        const value = await fn(tx);
+        await this.execute('exec', 'COMMIT');
+        return value;
+      } catch (error) {
+        await this.execute('exec', 'ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+
+    this.transactionLock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Schema introspection; executor may be a transaction handle
+   */
+  async hasTable(table, executor = this) {
+    const row = await executor.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+    return !!row;
+  }
+
+  async getColumnNames(table, executor = this) {
+    const rows = await executor.all(`PRAGMA table_info(${table})`);
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Called at the start of each migration transaction. BEGIN IMMEDIATE
+   * already holds SQLite's write lock, so there is nothing more to do.
+   */
+  async lockMigrations() {}
+}
+
+module.exports = StorageDriver;
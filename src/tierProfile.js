@@ -0,0 +1,160 @@
+/**
+ * API Tier Profile
+ * Declares what the X API tier we pay for allows: request limits per endpoint
+ * and window, the monthly post-read cap, the page size, retry backoff and the
+ * default scheduler bounds. API_TIER selects free, basic or pro; "custom"
+ * starts from the profile named by `extends` in TIER_PROFILE (default free)
+ * and overrides it with the rest of that JSON. Without API_TIER nothing is
+ * assumed: no declared limits (the rate limit headers decide), no monthly
+ * cap and the long-standing 60/480 minute scheduler bounds.
+ */
+
+const PROFILES = {
+  free: {
+    endpoints: {
+      '/2/users/me': { limit: 25, windowMinutes: 24 * 60 },
+      '/2/users/:id': { limit: 3, windowMinutes: 15 },
+      '/2/lists/:id': { limit: 1, windowMinutes: 15 },
+      '/2/lists/:id/tweets': { limit: 5, windowMinutes: 15 }
+    },
+    monthlyPostCap: 100,
+    pageSize: 100,
+    backoff: { baseMinutes: 10, maxMinutes: 120, minimumMinutes: 5 },
+    scheduler: { minInterval: 120, maxInterval: 1440 }
+  },
+  basic: {
+    endpoints: {
+      '/2/users/me': { limit: 100, windowMinutes: 24 * 60 },
+      '/2/users/:id': { limit: 100, windowMinutes: 24 * 60 },
+      '/2/lists/:id': { limit: 5, windowMinutes: 15 },
+      '/2/lists/:id/tweets': { limit: 5, windowMinutes: 15 }
+    },
+    monthlyPostCap: 15000,
+    pageSize: 100,
+    backoff: { baseMinutes: 5, maxMinutes: 60, minimumMinutes: 1 },
+    scheduler: { minInterval: 60, maxInterval: 480 }
+  },
+  pro: {
+    endpoints: {
+      '/2/users/me': { limit: 75, windowMinutes: 15 },
+      '/2/users/:id': { limit: 900, windowMinutes: 15 },
+      '/2/lists/:id': { limit: 75, windowMinutes: 15 },
+      '/2/lists/:id/tweets': { limit: 900, windowMinutes: 15 }
+    },
+    monthlyPostCap: 1000000,
+    pageSize: 100,
+    backoff: { baseMinutes: 1, maxMinutes: 15, minimumMinutes: 0.5 },
+    scheduler: { minInterval: 15, maxInterval: 240 }
+  }
+};
+
+// Used when API_TIER is not set
+const UNSPECIFIED = {
+  endpoints: {},
+  monthlyPostCap: null,
+  pageSize: 100,
+  backoff: { baseMinutes: 5, maxMinutes: 60, minimumMinutes: 1 },
+  scheduler: { minInterval: 60, maxInterval: 480 }
+};
+
+function invalidProfile(message) {
+  return new Error(`Invalid TIER_PROFILE: ${message}`);
+}
+
+function positiveNumber(value, name) {
+  const number = Number(value);
+  if (!(number > 0)) {
+    throw invalidProfile(`${name} must be a positive number`);
+  }
+  return number;
+}
+
+class TierProfile {
+  constructor(name, settings) {
+    this.name = name;
+    this.endpoints = settings.endpoints; // endpoint pattern -> { limit, windowMinutes }
+    this.monthlyPostCap = settings.monthlyPostCap;
+    this.pageSize = settings.pageSize;
+    this.backoff = settings.backoff; // minutes
+    this.scheduler = settings.scheduler; // default min/max interval in minutes
+  }
+
+  static get names() {
+    return [...Object.keys(PROFILES), 'custom'];
+  }
+
+  /**
+   * API_TIER (unset: the tier-less default profile); custom profiles come from TIER_PROFILE
+   */
+  static fromEnv(env = process.env) {
+    if (!env.API_TIER || !env.API_TIER.trim()) {
+      return new TierProfile('default', UNSPECIFIED);
+    }
+    const name = env.API_TIER.trim().toLowerCase();
+    if (name === 'custom') {
+      return TierProfile.custom(env.TIER_PROFILE);
+    }
+    if (!PROFILES[name]) {
+      throw new Error(`Unknown API_TIER "${env.API_TIER}" (expected ${TierProfile.names.join(', ')})`);
+    }
+    return new TierProfile(name, PROFILES[name]);
+  }
+
+  /**
+   * e.g. {"extends":"basic","monthlyPostCap":50000,"endpoints":{"/2/lists/:id/tweets":{"limit":75,"windowMinutes":15}}}
+   */
+  static custom(json) {
+    let overrides;
+    try {
+      overrides = JSON.parse(json || '{}');
+    } catch (error) {
+      throw invalidProfile(error.message);
+    }
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw invalidProfile('expected a JSON object');
+    }
+
+    const base = PROFILES[overrides.extends || 'free'];
+    if (!base) {
+      throw invalidProfile(`unknown base profile "${overrides.extends}"`);
+    }
+
+    const endpoints = { ...base.endpoints };
+    Object.entries(overrides.endpoints || {}).forEach(([endpoint, limit]) => {
+      endpoints[endpoint] = {
+        limit: positiveNumber(limit.limit, `${endpoint} limit`),
+        windowMinutes: positiveNumber(limit.windowMinutes, `${endpoint} windowMinutes`)
+      };
+    });
+
+    const merge = (defaults, values = {}, name) => Object.fromEntries(Object.entries(defaults).map(([key, value]) => [
+      key,
+      values[key] !== undefined ? positiveNumber(values[key], `${name}.${key}`) : value
+    ]));
+
+    return new TierProfile('custom', {
+      endpoints,
+      monthlyPostCap: overrides.monthlyPostCap !== undefined ? positiveNumber(overrides.monthlyPostCap, 'monthlyPostCap') : base.monthlyPostCap,
+      pageSize: overrides.pageSize !== undefined ? Math.min(positiveNumber(overrides.pageSize, 'pageSize'), 100) : base.pageSize,
+      backoff: merge(base.backoff, overrides.backoff, 'backoff'),
+      scheduler: merge(base.scheduler, overrides.scheduler, 'scheduler')
+    });
+  }
+
+  getEndpointLimit(endpoint) {
+    return this.endpoints[endpoint] || null;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      endpoints: this.endpoints,
+      monthlyPostCap: this.monthlyPostCap,
+      pageSize: this.pageSize,
+      backoff: this.backoff,
+      scheduler: this.scheduler
+    };
+  }
+}
+
+module.exports = TierProfile;
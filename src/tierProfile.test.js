@@ -0,0 +1,62 @@
+const TierProfile = require('./tierProfile');
+
+describe('TierProfile', () => {
+  it('should assume no tier when API_TIER is not set', () => {
+    const profile = TierProfile.fromEnv({});
+
+    expect(profile.name).toBe('default');
+    expect(profile.getEndpointLimit('/2/users/me')).toBeNull();
+    expect(profile.monthlyPostCap).toBeNull();
+    expect(profile.scheduler).toEqual({ minInterval: 60, maxInterval: 480 });
+  });
+
+  it('should select the free tier explicitly', () => {
+    const profile = TierProfile.fromEnv({ API_TIER: 'free' });
+
+    expect(profile.getEndpointLimit('/2/users/me')).toEqual({ limit: 25, windowMinutes: 1440 });
+    expect(profile.monthlyPostCap).toBe(100);
+    expect(profile.scheduler).toEqual({ minInterval: 120, maxInterval: 1440 });
+  });
+
+  it('should select a built-in tier by name', () => {
+    const profile = TierProfile.fromEnv({ API_TIER: ' Pro ' });
+
+    expect(profile.name).toBe('pro');
+    expect(profile.getEndpointLimit('/2/lists/:id/tweets').limit).toBe(900);
+    expect(profile.monthlyPostCap).toBe(1000000);
+  });
+
+  it('should reject unknown tiers', () => {
+    expect(() => TierProfile.fromEnv({ API_TIER: 'enterprise' })).toThrow('Unknown API_TIER "enterprise" (expected free, basic, pro, custom)');
+  });
+
+  it('should build a custom profile on top of a base tier', () => {
+    const profile = TierProfile.fromEnv({
+      API_TIER: 'custom',
+      TIER_PROFILE: JSON.stringify({
+        extends: 'basic',
+        monthlyPostCap: 50000,
+        pageSize: 250,
+        endpoints: { '/2/lists/:id/tweets': { limit: 75, windowMinutes: 15 } },
+        backoff: { baseMinutes: 2 },
+      }),
+    });
+
+    expect(profile.name).toBe('custom');
+    expect(profile.monthlyPostCap).toBe(50000);
+    expect(profile.pageSize).toBe(100);
+    expect(profile.getEndpointLimit('/2/lists/:id/tweets')).toEqual({ limit: 75, windowMinutes: 15 });
+    expect(profile.getEndpointLimit('/2/users/me')).toEqual({ limit: 100, windowMinutes: 1440 });
+    expect(profile.backoff).toEqual({ baseMinutes: 2, maxMinutes: 60, minimumMinutes: 1 });
+    expect(profile.scheduler).toEqual({ minInterval: 60, maxInterval: 480 });
+  });
+
+  it('should reject invalid custom profiles', () => {
+    const custom = TIER_PROFILE => () => TierProfile.fromEnv({ API_TIER: 'custom', TIER_PROFILE });
+
+    expect(custom('{oops')).toThrow('Invalid TIER_PROFILE');
+    expect(custom('{"extends":"gold"}')).toThrow('unknown base profile "gold"');
+    expect(custom('{"endpoints":{"/2/users/me":{"limit":0,"windowMinutes":15}}}')).toThrow('/2/users/me limit must be a positive number');
+    expect(custom('{"scheduler":{"minInterval":"soon"}}')).toThrow('scheduler.minInterval must be a positive number');
+  });
+});
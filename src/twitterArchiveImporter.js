@@ -0,0 +1,275 @@
+/**
+ * Twitter Archive Importer
+ * Reads the official "Download your archive" export (data/tweets.js and its
+ * tweets-partN.js siblings) and maps each v1-style tweet to the shape
+ * TwitterService.getListTweets() produces, so it is stored through
+ * Database.saveTweets() like any fetched tweet. Imported tweets carry
+ * source: 'archive'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Simple logger for archive import operations
+const archiveLogger = {
+  info: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.log(`[${timestamp}] [INFO] [ARCHIVE] ${message}${metaStr}`);
+  },
+  warn: (message, meta = {}) => {
+    const timestamp = new Date().toISOString();
+    const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    console.warn(`[${timestamp}] [WARN] [ARCHIVE] ${message}${metaStr}`);
+  }
+};
+
+const ARCHIVE_SOURCE = 'archive';
+const BATCH_SIZE = 500;
+
+// v2 media keys are prefixed by media type
+const MEDIA_KEY_PREFIXES = { photo: '3', video: '7', animated_gif: '16' };
+
+// tweets.js in current exports, tweet.js in older ones; large archives add -partN files
+const TWEET_FILE_PATTERN = /^tweets?(-part\d+)?\.js$/;
+
+class TwitterArchiveImporter {
+  constructor(database) {
+    this.database = database;
+  }
+
+  /**
+   * Parse a `window.YTD.<name>.partN = [...]` file into its array
+   */
+  static parseYtdFile(content) {
+    const start = content.indexOf('[');
+    if (!/^\s*window\.YTD\.[\w]+\.part\d+\s*=/.test(content) || start === -1) {
+      throw new Error('Not a Twitter archive data file (expected "window.YTD.<name>.partN = [...]")');
+    }
+    return JSON.parse(content.slice(start));
+  }
+
+  /**
+   * Accepts the archive root, its data/ directory or a single tweets.js file
+   * Returns { tweetFiles, account, profile }
+   */
+  static locateArchive(archivePath) {
+    if (fs.statSync(archivePath).isFile()) {
+      const dataDir = path.dirname(archivePath);
+      return { tweetFiles: [archivePath], ...TwitterArchiveImporter.readAccount(dataDir) };
+    }
+
+    const dataDir = fs.existsSync(path.join(archivePath, 'data')) ? path.join(archivePath, 'data') : archivePath;
+    const tweetFiles = fs.readdirSync(dataDir)
+      .filter(name => TWEET_FILE_PATTERN.test(name))
+      .sort()
+      .map(name => path.join(dataDir, name));
+    if (tweetFiles.length === 0) {
+      throw new Error(`No tweets.js found in ${dataDir}`);
+    }
+    return { tweetFiles, ...TwitterArchiveImporter.readAccount(dataDir) };
+  }
+
+  /**
+   * account.js and profile.js describe the archive owner, who authored every tweet
+   */
+  static readAccount(dataDir) {
+    const read = (name, key) => {
+      const file = path.join(dataDir, `${name}.js`);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      const [entry] = TwitterArchiveImporter.parseYtdFile(fs.readFileSync(file, 'utf8'));
+      return entry ? entry[key] || null : null;
+    };
+    return { account: read('account', 'account'), profile: read('profile', 'profile') };
+  }
+
+  /**
+   * Author fields for imported tweets; explicit options override account.js
+   */
+  static resolveAuthor({ account, profile }, overrides = {}) {
+    const author = {
+      id: overrides.userId || (account && account.accountId),
+      username: overrides.username || (account && account.username),
+      name: overrides.name || (account && account.accountDisplayName),
+      profileImage: (profile && profile.avatarMediaUrl) || ''
+    };
+    if (!author.id || !author.username) {
+      throw new Error('Archive has no account.js; pass the author user ID and username explicitly');
+    }
+    author.name = author.name || author.username;
+    return author;
+  }
+
+  /**
+   * Map one archive entry (v1 tweet, optionally wrapped in { tweet }) to the stored shape
+   */
+  static mapTweet(entry, author) {
+    const tweet = entry.tweet || entry;
+    const id = tweet.id_str || String(tweet.id);
+    const entities = tweet.entities || {};
+    const extendedMedia = (tweet.extended_entities && tweet.extended_entities.media) || entities.media || [];
+    const range = ([start, end]) => ({ start: Number(start), end: Number(end) });
+
+    const referencedTweets = [];
+    if (tweet.in_reply_to_status_id_str) {
+      referencedTweets.push({
+        type: 'replied_to',
+        id: tweet.in_reply_to_status_id_str,
+        author_id: tweet.in_reply_to_user_id_str || undefined,
+        author_username: tweet.in_reply_to_screen_name || undefined
+      });
+    }
+    if (tweet.quoted_status_id_str) {
+      referencedTweets.push({ type: 'quoted', id: tweet.quoted_status_id_str });
+    }
+
+    const media = extendedMedia.map(item => TwitterArchiveImporter.mapMedia(item));
+
+    return {
+      id,
+      text: tweet.full_text || tweet.text || '',
+      author_id: author.id,
+      author_username: author.username,
+      author_name: author.name,
+      author_profile_image: author.profileImage,
+      created_at: new Date(tweet.created_at).toISOString(),
+      // Replies get their thread root from resolveConversations()
+      conversation_id: tweet.in_reply_to_status_id_str ? null : id,
+      lang: tweet.lang && tweet.lang !== 'und' ? tweet.lang : null,
+      public_metrics: {
+        retweet_count: Number(tweet.retweet_count) || 0,
+        like_count: Number(tweet.favorite_count) || 0
+      },
+      entities: {
+        urls: [
+          ...(entities.urls || []).map(url => ({
+            ...range(url.indices),
+            url: url.url,
+            expanded_url: url.expanded_url,
+            display_url: url.display_url
+          })),
+          // v2 lists media links among the URLs
+          ...(entities.media || []).map((item, index) => ({
+            ...range(item.indices),
+            url: item.url,
+            expanded_url: item.expanded_url,
+            display_url: item.display_url,
+            media_key: media[index] && media[index].media_key
+          }))
+        ],
+        hashtags: (entities.hashtags || []).map(hashtag => ({ ...range(hashtag.indices), tag: hashtag.text })),
+        mentions: (entities.user_mentions || []).map(mention => ({
+          ...range(mention.indices),
+          username: mention.screen_name,
+          id: mention.id_str
+        })),
+        cashtags: (entities.symbols || []).map(symbol => ({ ...range(symbol.indices), tag: symbol.text }))
+      },
+      referenced_tweets: referencedTweets,
+      media,
+      source: ARCHIVE_SOURCE
+    };
+  }
+
+  /**
+   * v1 media entity -> the fields TwitterService.normalizeMedia() keeps
+   */
+  static mapMedia(item) {
+    const media = {
+      media_key: `${MEDIA_KEY_PREFIXES[item.type] || '3'}_${item.id_str}`,
+      type: item.type
+    };
+
+    const size = item.original_info || (item.sizes && item.sizes.large && { width: item.sizes.large.w, height: item.sizes.large.h });
+    if (size) {
+      media.width = Number(size.width);
+      media.height = Number(size.height);
+    }
+    if (item.ext_alt_text) {
+      media.alt_text = item.ext_alt_text;
+    }
+
+    if (item.type === 'photo') {
+      media.url = item.media_url_https;
+    } else {
+      media.preview_image_url = item.media_url_https;
+      const videoInfo = item.video_info || {};
+      if (videoInfo.duration_millis) {
+        media.duration_ms = Number(videoInfo.duration_millis);
+      }
+      media.variants = (videoInfo.variants || []).map(variant => ({
+        url: variant.url,
+        content_type: variant.content_type,
+        bit_rate: variant.bitrate !== undefined ? Number(variant.bitrate) : undefined
+      }));
+    }
+
+    return media;
+  }
+
+  /**
+   * Replies inherit the conversation of their parent when it is in the archive,
+   * so self-reply threads group in thread mode
+   */
+  static resolveConversations(tweets) {
+    const byId = new Map(tweets.map(tweet => [tweet.id, tweet]));
+    const resolve = (tweet, depth = 0) => {
+      if (tweet.conversation_id || depth > 1000) {
+        return tweet.conversation_id;
+      }
+      const reply = tweet.referenced_tweets.find(reference => reference.type === 'replied_to');
+      const parent = reply && byId.get(reply.id);
+      tweet.conversation_id = parent ? resolve(parent, depth + 1) : null;
+      return tweet.conversation_id;
+    };
+    tweets.forEach(tweet => resolve(tweet));
+    return tweets;
+  }
+
+  /**
+   * Parse the archive into stored-shape tweets
+   * Options: userId, username, name (author when account.js is missing)
+   */
+  static readTweets(archivePath, options = {}) {
+    const archive = TwitterArchiveImporter.locateArchive(archivePath);
+    const author = TwitterArchiveImporter.resolveAuthor(archive, options);
+
+    const tweets = [];
+    archive.tweetFiles.forEach(file => {
+      const entries = TwitterArchiveImporter.parseYtdFile(fs.readFileSync(file, 'utf8'));
+      entries.forEach(entry => tweets.push(TwitterArchiveImporter.mapTweet(entry, author)));
+    });
+
+    archiveLogger.info('Archive parsed', { files: archive.tweetFiles.length, tweets: tweets.length, author: author.username });
+    return TwitterArchiveImporter.resolveConversations(tweets);
+  }
+
+  /**
+   * Save an archive through Database.saveTweets(), optionally into a list
+   * Options: listId, plus the readTweets() author options
+   * Returns { inserted, updated, unchanged } counts
+   */
+  async importArchive(archivePath, options = {}) {
+    const tweets = TwitterArchiveImporter.readTweets(archivePath, options);
+    const counts = { inserted: 0, updated: 0, unchanged: 0 };
+
+    for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
+      const saved = await this.database.saveTweets(tweets.slice(i, i + BATCH_SIZE), options.listId || null);
+      Object.keys(counts).forEach(outcome => {
+        counts[outcome] += saved[outcome].length;
+      });
+    }
+
+    if (tweets.length === 0) {
+      archiveLogger.warn('Archive contains no tweets', { archivePath });
+    }
+    archiveLogger.info('Archive imported', counts);
+    return counts;
+  }
+}
+
+TwitterArchiveImporter.SOURCE = ARCHIVE_SOURCE;
+
+module.exports = TwitterArchiveImporter;
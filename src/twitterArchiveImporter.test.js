@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('./database');
+const TwitterArchiveImporter = require('./twitterArchiveImporter');
+const { Sqlite3Driver } = require('./storage');
+
+const ytd = (name, entries) => `window.YTD.${name}.part0 = ${JSON.stringify(entries, null, 2)}`;
+
+const archiveTweets = [
+  {
+    tweet: {
+      id_str: '100',
+      full_text: 'New post #nodejs with @bob https://t.co/abc https://t.co/pic',
+      created_at: 'Wed Jan 08 12:00:00 +0000 2020',
+      lang: 'en',
+      favorite_count: '7',
+      retweet_count: '2',
+      entities: {
+        hashtags: [{ text: 'nodejs', indices: ['9', '16'] }],
+        user_mentions: [{ screen_name: 'bob', id_str: '55', indices: ['22', '26'] }],
+        urls: [{ url: 'https://t.co/abc', expanded_url: 'https://example.com/post', display_url: 'example.com/post', indices: ['27', '43'] }],
+        symbols: [],
+        media: [{ url: 'https://t.co/pic', expanded_url: 'https://x.com/alice/status/100/video/1', display_url: 'pic.x.com/pic', indices: ['44', '60'], id_str: '900', type: 'photo' }],
+      },
+      extended_entities: {
+        media: [{
+          id_str: '900',
+          type: 'video',
+          media_url_https: 'https://pbs.twimg.com/thumb.jpg',
+          sizes: { large: { w: '1280', h: '720' } },
+          video_info: { duration_millis: '5000', variants: [{ bitrate: '832000', content_type: 'video/mp4', url: 'https://video.twimg.com/v.mp4' }] },
+        }],
+      },
+    },
+  },
+  {
+    tweet: {
+      id_str: '101',
+      full_text: '@alice and a follow-up',
+      created_at: 'Wed Jan 08 12:05:00 +0000 2020',
+      lang: 'und',
+      in_reply_to_status_id_str: '100',
+      in_reply_to_user_id_str: '1',
+      in_reply_to_screen_name: 'alice',
+      entities: { user_mentions: [{ screen_name: 'alice', id_str: '1', indices: ['0', '6'] }] },
+    },
+  },
+  // Older exports do not wrap entries in { tweet }
+  { id_str: '102', full_text: 'Reply to someone else', created_at: 'Thu Jan 09 08:00:00 +0000 2020', in_reply_to_status_id_str: '999' },
+];
+
+describe('TwitterArchiveImporter', () => {
+  let archiveDir;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'twitter-archive-'));
+    fs.mkdirSync(path.join(archiveDir, 'data'));
+    fs.writeFileSync(path.join(archiveDir, 'data', 'tweets.js'), ytd('tweets', archiveTweets));
+    fs.writeFileSync(path.join(archiveDir, 'data', 'account.js'), ytd('account', [{ account: { accountId: '1', username: 'alice', accountDisplayName: 'Alice' } }]));
+    fs.writeFileSync(path.join(archiveDir, 'data', 'profile.js'), ytd('profile', [{ profile: { avatarMediaUrl: 'https://pbs.twimg.com/alice.jpg' } }]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  });
+
+  it('should reject files that are not archive data', () => {
+    expect(() => TwitterArchiveImporter.parseYtdFile('[]')).toThrow('Not a Twitter archive data file');
+    expect(TwitterArchiveImporter.parseYtdFile('window.YTD.tweets.part3 = [{"a":1}]')).toEqual([{ a: 1 }]);
+  });
+
+  it('should map v1 entities and media to the fetched tweet shape', () => {
+    const [tweet] = TwitterArchiveImporter.readTweets(archiveDir);
+
+    expect(tweet).toEqual(expect.objectContaining({
+      id: '100',
+      author_id: '1',
+      author_username: 'alice',
+      author_name: 'Alice',
+      author_profile_image: 'https://pbs.twimg.com/alice.jpg',
+      created_at: '2020-01-08T12:00:00.000Z',
+      conversation_id: '100',
+      lang: 'en',
+      public_metrics: { retweet_count: 2, like_count: 7 },
+      source: 'archive',
+    }));
+    expect(tweet.entities.hashtags).toEqual([{ start: 9, end: 16, tag: 'nodejs' }]);
+    expect(tweet.entities.mentions).toEqual([{ start: 22, end: 26, username: 'bob', id: '55' }]);
+    expect(tweet.entities.urls).toEqual([
+      { start: 27, end: 43, url: 'https://t.co/abc', expanded_url: 'https://example.com/post', display_url: 'example.com/post' },
+      expect.objectContaining({ url: 'https://t.co/pic', media_key: '7_900' }),
+    ]);
+    expect(tweet.media).toEqual([{
+      media_key: '7_900',
+      type: 'video',
+      width: 1280,
+      height: 720,
+      preview_image_url: 'https://pbs.twimg.com/thumb.jpg',
+      duration_ms: 5000,
+      variants: [{ url: 'https://video.twimg.com/v.mp4', content_type: 'video/mp4', bit_rate: 832000 }],
+    }]);
+  });
+
+  it('should keep reply metadata and thread replies found in the archive', () => {
+    const [, reply, outside] = TwitterArchiveImporter.readTweets(archiveDir);
+
+    expect(reply.referenced_tweets).toEqual([{ type: 'replied_to', id: '100', author_id: '1', author_username: 'alice' }]);
+    expect(reply.conversation_id).toBe('100');
+    expect(reply.lang).toBeNull();
+    expect(outside.conversation_id).toBeNull();
+  });
+
+  it('should need the author when account.js is missing', () => {
+    fs.rmSync(path.join(archiveDir, 'data', 'account.js'));
+
+    expect(() => TwitterArchiveImporter.readTweets(archiveDir)).toThrow('pass the author user ID and username');
+    const [tweet] = TwitterArchiveImporter.readTweets(path.join(archiveDir, 'data', 'tweets.js'), { userId: '1', username: 'alice' });
+    expect(tweet.author_name).toBe('alice');
+  });
+
+  it('should save through the database idempotently with an archive source', async () => {
+    jest.spyOn(Database.prototype, 'init').mockImplementation(() => {});
+    const database = new Database();
+    database.db = new Sqlite3Driver(':memory:');
+    await database.db.open();
+    await database.createTables();
+
+    try {
+      const importer = new TwitterArchiveImporter(database);
+      expect(await importer.importArchive(archiveDir, { listId: 'team' })).toEqual({ inserted: 3, updated: 0, unchanged: 0 });
+      expect(await importer.importArchive(archiveDir, { listId: 'team' })).toEqual({ inserted: 0, updated: 0, unchanged: 3 });
+
+      const tweets = await database.getTweets(10, 'team');
+      expect(tweets.map(tweet => tweet.source)).toEqual(['archive', 'archive', 'archive']);
+      expect((await database.searchTweets('nodejs')).map(tweet => tweet.id)).toEqual(['100']);
+    } finally {
+      await database.close();
+    }
+  });
+});
@@ -1,5 +1,6 @@
-const { TwitterApi } = require('twitter-api-v2');
+const ApiSource = require('./sources/apiSource');
 const RateLimitManager = require('./rateLimitManager');
+const TierProfile = require('./tierProfile');
 
 // Simple logger for Twitter service operations
 const twitterLogger = {
@@ -28,147 +29,366 @@ const twitterLogger = {
 };
 
 class TwitterService {
-  constructor(credentials) {
-    twitterLogger.info('Initializing Twitter service');
+  /**
+   * Options: database - persists rate limit windows across restarts
+   *          profile - TierProfile of the API tier (default from API_TIER)
+   *          credentialId - name of the credential in a pool; keeps its windows apart
+   *          source - TweetSource answering the requests (default: the live API)
+   */
+  constructor(credentials, options = {}) {
+    twitterLogger.info('Initializing Twitter service', options.credentialId ? { credentialId: options.credentialId } : {});
     
-    this.rateLimitManager = new RateLimitManager();
+    this.profile = options.profile || TierProfile.fromEnv();
+    this.credentialId = options.credentialId || null;
+    this.rateLimitManager = new RateLimitManager(
+      options.database || null,
+      this.profile,
+      this.credentialId ? `rate_limits:${this.credentialId}` : undefined
+    );
     
     // Support both Bearer Token (App-Only) and User Context authentication
     if (typeof credentials === 'string') {
       // Bearer Token only (App-Only auth) - for public lists
       twitterLogger.info('Using Bearer Token authentication (App-Only)');
-      this.client = new TwitterApi(credentials, { appContext: 'read-only' });
       this.authType = 'app-only';
     } else if (credentials && credentials.appKey && credentials.appSecret) {
       // User Context authentication - for private lists
       twitterLogger.info('Using User Context authentication');
-      this.client = new TwitterApi({
-        appKey: credentials.appKey,
-        appSecret: credentials.appSecret,
-        accessToken: credentials.accessToken,
-        accessSecret: credentials.accessSecret,
-      });
       this.authType = 'user-context';
     } else {
       throw new Error('Invalid credentials provided. Need either Bearer Token or full OAuth 1.0a credentials.');
     }
     
-    this.readOnlyClient = this.client.readOnly;
-    twitterLogger.info('Twitter service initialized', { authType: this.authType });
+    this.source = options.source || new ApiSource(credentials);
+    twitterLogger.info('Twitter service initialized', { authType: this.authType, source: this.source.describe() });
+  }
+
+  async getListTweets(listId, sinceId = null, options = {}) {
+    const timeline = await this.fetchListTimeline(listId, { ...options, sinceId });
+    return timeline.tweets;
   }
 
-  async getListTweets(listId, sinceId = null) {
+  /**
+   * Fetch list tweets page by page until the since_id cursor is reached
+   * The page budget caps how many requests a single fetch may spend; when it
+   * runs out first, the returned nextToken marks where the next run should resume.
+   * Without a since_id cursor (initial fetch) only the newest page is read.
+   */
+  async fetchListTimeline(listId, { sinceId = null, maxPages = null, paginationToken = null } = {}) {
     const startTime = Date.now();
     const endpoint = '/2/lists/:id/tweets';
+    const pageBudget = Math.max(parseInt(maxPages) || parseInt(process.env.MAX_PAGES_PER_FETCH) || 3, 1);
     
     twitterLogger.info('Fetching tweets from list', { 
       listId, 
-      sinceId: sinceId || 'none (initial fetch)' 
+      sinceId: sinceId || 'none (initial fetch)',
+      pageBudget,
+      resuming: !!paginationToken
     });
-    
-    try {
-      const response = await this.makeRequestWithRetry(endpoint, async () => {
-        const options = {
-          max_results: 100, // Maximum allowed for free tier
-          'tweet.fields': [
-            'created_at',
-            'public_metrics',
-            'entities',
-            'referenced_tweets',
-            'author_id'
-          ].join(','),
-          'user.fields': [
-            'username',
-            'name',
-            'verified',
-            'profile_image_url'
-          ].join(','),
-          expansions: 'author_id,referenced_tweets.id'
-        };
-
-        if (sinceId) {
-          options.since_id = sinceId;
-        }
 
-        twitterLogger.debug('API request options', { options });
-        
-        return await this.readOnlyClient.v2.listTweets(listId, options);
-      });
-      
-      // Check if we have any tweets in the response
-      if (!response.data || !Array.isArray(response.data) || response.data.length === 0) {
-        twitterLogger.info('No new tweets found in API response', {
+    const tweets = [];
+    let nextToken = paginationToken;
+    let pagesFetched = 0;
+    let postsRead = 0; // every returned post counts against the monthly cap, even ones past the cursor
+    let reachedCursor = false;
+
+    while (pagesFetched < pageBudget) {
+      // Never sleep through a rate limit window for a follow-up page; resume next run instead
+      if (pagesFetched > 0 && !this.rateLimitManager.canMakeRequest(endpoint).canRequest) {
+        twitterLogger.warn('Rate limit reached while paginating, stopping early', {
           listId,
-          hasData: !!response.data,
-          dataType: response.data ? typeof response.data : 'undefined',
-          dataLength: response.data ? response.data.length : 'N/A'
+          pagesFetched
         });
-        return [];
+        break;
       }
 
-      // Create a map of users for easy lookup
-      const usersMap = {};
-      if (response.includes?.users) {
-        response.includes.users.forEach(user => {
-          usersMap[user.id] = user;
-        });
-        twitterLogger.debug('User information processed', { 
-          userCount: response.includes.users.length 
+      let response;
+      try {
+        response = await this.makeRequestWithRetry(endpoint, async () => {
+          const options = {
+            max_results: this.profile.pageSize,
+            'tweet.fields': [
+              'created_at',
+              'public_metrics',
+              'entities',
+              'referenced_tweets',
+              'author_id',
+              'attachments',
+              'in_reply_to_user_id',
+              'conversation_id',
+              'lang'
+            ].join(','),
+            'user.fields': [
+              'username',
+              'name',
+              'verified',
+              'profile_image_url'
+            ].join(','),
+            'media.fields': [
+              'media_key',
+              'type',
+              'url',
+              'preview_image_url',
+              'alt_text',
+              'width',
+              'height',
+              'duration_ms',
+              'variants'
+            ].join(','),
+            expansions: [
+              'author_id',
+              'attachments.media_keys',
+              'in_reply_to_user_id',
+              'referenced_tweets.id',
+              'referenced_tweets.id.author_id',
+              'referenced_tweets.id.attachments.media_keys'
+            ].join(',')
+          };
+
+          if (sinceId) {
+            options.since_id = sinceId;
+          }
+
+          if (nextToken) {
+            options.pagination_token = nextToken;
+          }
+
+          twitterLogger.debug('API request options', { options, page: pagesFetched + 1 });
+          
+          return await this.source.listTweets(listId, options);
         });
+      } catch (error) {
+        // Keep the pages we already have; the remaining range is resumed later
+        if (pagesFetched > 0) {
+          twitterLogger.warn('Pagination stopped by request failure, keeping fetched pages', {
+            listId,
+            pagesFetched,
+            error: error.message,
+            code: error.code
+          });
+          break;
+        }
+        throw this.translateListError(error, listId, sinceId, startTime);
       }
 
-      // Process tweets and add author information
-      const tweets = response.data.map(tweet => {
-        const author = usersMap[tweet.author_id] || {};
-        return {
-          id: tweet.id,
-          text: tweet.text,
-          author_id: tweet.author_id,
-          author_username: author.username || 'unknown',
-          author_name: author.name || 'Unknown User',
-          author_verified: author.verified || false,
-          author_profile_image: author.profile_image_url || '',
-          created_at: tweet.created_at,
-          public_metrics: tweet.public_metrics || {},
-          entities: tweet.entities || {},
-          referenced_tweets: tweet.referenced_tweets || []
-        };
-      });
+      pagesFetched++;
+
+      const payload = this.extractPayload(response);
+      const pageTweets = this.processTweetsResponse(payload);
+      postsRead += pageTweets.length;
+      const newerTweets = sinceId
+        ? pageTweets.filter(tweet => TwitterService.compareIds(tweet.id, sinceId) > 0)
+        : pageTweets;
+      tweets.push(...newerTweets);
+
+      nextToken = payload.meta?.next_token || null;
 
-      const duration = Date.now() - startTime;
-      twitterLogger.info('Tweet fetch completed successfully', {
+      twitterLogger.debug('Page processed', {
         listId,
-        fetchedCount: tweets.length,
-        duration_ms: duration,
-        hasUsers: !!response.includes?.users
+        page: pagesFetched,
+        pageCount: pageTweets.length,
+        newerCount: newerTweets.length,
+        hasNextToken: !!nextToken
       });
 
-      return tweets;
+      // Stop once the page overlaps the cursor, the timeline ends, or there is no cursor to reach
+      if (!sinceId || !nextToken || newerTweets.length < pageTweets.length) {
+        reachedCursor = true;
+        break;
+      }
+    }
 
-    } catch (error) {
-      const duration = Date.now() - startTime;
-      twitterLogger.error('Tweet fetch failed', {
-        listId,
-        sinceId,
-        error: error.message,
-        code: error.code,
-        duration_ms: duration
+    if (reachedCursor) {
+      nextToken = null;
+    }
+
+    const duration = Date.now() - startTime;
+    twitterLogger.info('Tweet fetch completed successfully', {
+      listId,
+      fetchedCount: tweets.length,
+      pagesFetched,
+      postsRead,
+      reachedCursor,
+      duration_ms: duration
+    });
+
+    return {
+      tweets,
+      pagesFetched,
+      postsRead,
+      reachedCursor,
+      nextToken
+    };
+  }
+
+  /**
+   * twitter-api-v2 returns a paginator whose raw payload lives in `data`;
+   * plain responses already carry `data`/`includes`/`meta` at the top level
+   */
+  extractPayload(response) {
+    if (response && response.data && !Array.isArray(response.data)) {
+      return response.data;
+    }
+    return response || {};
+  }
+
+  processTweetsResponse(payload) {
+    // Check if we have any tweets in the response
+    if (!payload.data || !Array.isArray(payload.data) || payload.data.length === 0) {
+      twitterLogger.info('No new tweets found in API response', {
+        hasData: !!payload.data,
+        dataType: payload.data ? typeof payload.data : 'undefined',
+        dataLength: payload.data ? payload.data.length : 'N/A'
       });
-      
-      // Handle specific API errors
-      if (error.code === 429) {
-        twitterLogger.warn('Rate limit exceeded, will retry later');
-        throw new Error('Rate limit exceeded. Will retry later.');
-      } else if (error.code === 404) {
-        twitterLogger.error('List not found - check list ID and permissions');
-        throw new Error('List not found. Please check the list ID.');
-      } else if (error.code === 401) {
-        twitterLogger.error('Authentication failed - check API credentials');
-        throw new Error('Unauthorized. Please check your Twitter API credentials.');
+      return [];
+    }
+
+    // Create a map of users for easy lookup
+    const usersMap = {};
+    if (payload.includes?.users) {
+      payload.includes.users.forEach(user => {
+        usersMap[user.id] = user;
+      });
+      twitterLogger.debug('User information processed', { 
+        userCount: payload.includes.users.length 
+      });
+    }
+
+    // Media objects are expanded separately and referenced by media key
+    const mediaMap = {};
+    if (payload.includes?.media) {
+      payload.includes.media.forEach(item => {
+        mediaMap[item.media_key] = item;
+      });
+      twitterLogger.debug('Media information processed', {
+        mediaCount: payload.includes.media.length
+      });
+    }
+
+    // Retweeted, quoted and replied-to tweets come back in includes.tweets
+    const includedTweetsMap = {};
+    if (payload.includes?.tweets) {
+      payload.includes.tweets.forEach(tweet => {
+        includedTweetsMap[tweet.id] = tweet;
+      });
+      twitterLogger.debug('Referenced tweets processed', {
+        tweetCount: payload.includes.tweets.length
+      });
+    }
+
+    // Process tweets and add author, media and referenced tweet information
+    return payload.data.map(tweet => {
+      const processed = this.buildTweet(tweet, usersMap, mediaMap);
+      processed.referenced_tweets = (tweet.referenced_tweets || []).map(reference => {
+        const entry = { type: reference.type, id: reference.id };
+
+        const included = includedTweetsMap[reference.id];
+        if (included) {
+          entry.tweet = this.buildTweet(included, usersMap, mediaMap);
+        }
+
+        // Replies keep the parent author even when the parent tweet is not expanded
+        if (reference.type === 'replied_to' && tweet.in_reply_to_user_id) {
+          const parentAuthor = usersMap[tweet.in_reply_to_user_id];
+          entry.author_id = tweet.in_reply_to_user_id;
+          if (parentAuthor) {
+            entry.author_username = parentAuthor.username;
+          }
+        }
+
+        return entry;
+      });
+      return processed;
+    });
+  }
+
+  /**
+   * Flatten a v2 tweet with its author and media into the stored tweet shape
+   * Referenced tweets are kept as plain {type, id} pairs at this level.
+   */
+  buildTweet(tweet, usersMap, mediaMap) {
+    const author = usersMap[tweet.author_id] || {};
+    const mediaKeys = tweet.attachments?.media_keys || [];
+    return {
+      id: tweet.id,
+      text: tweet.text,
+      author_id: tweet.author_id,
+      author_username: author.username || 'unknown',
+      author_name: author.name || 'Unknown User',
+      author_verified: author.verified || false,
+      author_profile_image: author.profile_image_url || '',
+      created_at: tweet.created_at,
+      conversation_id: tweet.conversation_id || null,
+      lang: tweet.lang || null,
+      public_metrics: tweet.public_metrics || {},
+      entities: tweet.entities || {},
+      referenced_tweets: (tweet.referenced_tweets || []).map(({ type, id }) => ({ type, id })),
+      media: mediaKeys
+        .filter(key => mediaMap[key])
+        .map(key => this.normalizeMedia(mediaMap[key]))
+    };
+  }
+
+  /**
+   * Keep only the media fields the feeds render
+   */
+  normalizeMedia(item) {
+    const media = {
+      media_key: item.media_key,
+      type: item.type
+    };
+
+    ['url', 'preview_image_url', 'alt_text', 'width', 'height', 'duration_ms'].forEach(field => {
+      if (item[field] !== undefined && item[field] !== null) {
+        media[field] = item[field];
       }
-      
-      throw error;
+    });
+
+    if (Array.isArray(item.variants) && item.variants.length > 0) {
+      media.variants = item.variants.map(variant => ({
+        url: variant.url,
+        content_type: variant.content_type,
+        bit_rate: variant.bit_rate
+      }));
+    }
+
+    return media;
+  }
+
+  translateListError(error, listId, sinceId, startTime) {
+    const duration = Date.now() - startTime;
+    twitterLogger.error('Tweet fetch failed', {
+      listId,
+      sinceId,
+      error: error.message,
+      code: error.code,
+      duration_ms: duration
+    });
+    
+    // Handle specific API errors; the code is kept so a credential pool can fail over
+    const translated = (message) => Object.assign(new Error(message), { code: error.code });
+    if (error.code === 429) {
+      twitterLogger.warn('Rate limit exceeded, will retry later');
+      return translated('Rate limit exceeded. Will retry later.');
+    } else if (error.code === 404) {
+      twitterLogger.error('List not found - check list ID and permissions');
+      return translated('List not found. Please check the list ID.');
+    } else if (error.code === 401) {
+      twitterLogger.error('Authentication failed - check API credentials');
+      return translated('Unauthorized. Please check your Twitter API credentials.');
     }
+    
+    return error;
+  }
+
+  /**
+   * Compare two tweet IDs (snowflakes exceed Number precision)
+   */
+  static compareIds(a, b) {
+    const left = BigInt(a);
+    const right = BigInt(b);
+    if (left === right) return 0;
+    return left > right ? 1 : -1;
   }
 
   /**
@@ -180,6 +400,9 @@ class TwitterService {
     let attempt = 0;
     let lastError;
 
+    // Windows stored by a previous process must be known before the first request
+    await this.rateLimitManager.ready;
+
     while (attempt <= maxRetries) {
       try {
         // Check rate limits before making request using Twitter's headers
@@ -252,6 +475,15 @@ class TwitterService {
         lastError = error;
         
         if (error.code === 429) {
+          // The error carries the exhausted window; keep it so a restart does not retry early
+          if (error.rateLimit) {
+            this.rateLimitManager.updateFromHeaders(endpoint, {
+              'x-rate-limit-limit': error.rateLimit.limit,
+              'x-rate-limit-remaining': error.rateLimit.remaining,
+              'x-rate-limit-reset': error.rateLimit.reset
+            });
+          }
+
           // Rate limit exceeded - use Twitter's recommended retry mechanism
           twitterLogger.warn('Rate limit exceeded, implementing Twitter-recommended retry', {
             endpoint,
@@ -293,6 +525,19 @@ class TwitterService {
 
   async verifyCredentials() {
     twitterLogger.info('Verifying Twitter API credentials', { authType: this.authType });
+
+    // /2/users/me allows 25 requests a day; never wait for or spend an exhausted window on it
+    const verifyEndpoint = this.authType === 'user-context' ? '/2/users/me' : '/2/users/:id';
+    await this.rateLimitManager.ready;
+    const { canRequest, resetTime } = this.rateLimitManager.canMakeRequest(verifyEndpoint);
+    if (!canRequest) {
+      twitterLogger.warn('Skipping credential verification, its rate limit window is exhausted', {
+        endpoint: verifyEndpoint,
+        resetTime: new Date(resetTime).toISOString()
+      });
+      // Invalid credentials still surface on the first list request
+      return true;
+    }
     
     try {
       if (this.authType === 'user-context') {
@@ -301,7 +546,7 @@ class TwitterService {
         
         const response = await this.makeRequestWithRetry(endpoint, async () => {
           twitterLogger.debug('Testing User Context authentication with /2/users/me endpoint');
-          return await this.readOnlyClient.v2.me({
+          return await this.source.me({
             'user.fields': 'id,username,name,verified,public_metrics'
           });
         });
@@ -320,7 +565,7 @@ class TwitterService {
         
         const response = await this.makeRequestWithRetry(endpoint, async () => {
           twitterLogger.debug('Testing Bearer Token with public API access');
-          return await this.readOnlyClient.v2.user('783214', {
+          return await this.source.user('783214', {
             'user.fields': 'id,username,name,verified,public_metrics'
           });
         });
@@ -373,24 +618,8 @@ class TwitterService {
   }
 
   async getListInfo(listId) {
-    const endpoint = '/2/lists/:id';
-    twitterLogger.info('Fetching list information', { listId });
-    
     try {
-      const response = await this.makeRequestWithRetry(endpoint, async () => {
-        return await this.readOnlyClient.v2.list(listId, {
-          'list.fields': 'name,description,member_count,follower_count'
-        });
-      });
-      
-      twitterLogger.info('List information retrieved successfully', {
-        listId,
-        name: response.data?.name,
-        memberCount: response.data?.member_count,
-        followerCount: response.data?.follower_count
-      });
-      
-      return response.data;
+      return await this.requestListInfo(listId);
     } catch (error) {
       twitterLogger.error('Failed to fetch list information', {
         listId,
@@ -401,6 +630,57 @@ class TwitterService {
     }
   }
 
+  /**
+   * List metadata, including whether the list is private; errors are thrown
+   */
+  async requestListInfo(listId) {
+    const endpoint = '/2/lists/:id';
+    twitterLogger.info('Fetching list information', { listId });
+
+    const response = await this.makeRequestWithRetry(endpoint, async () => {
+      return await this.source.list(listId, {
+        'list.fields': 'name,description,member_count,follower_count,private'
+      });
+    });
+
+    twitterLogger.info('List information retrieved successfully', {
+      listId,
+      name: response.data?.name,
+      memberCount: response.data?.member_count,
+      followerCount: response.data?.follower_count
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Requests left in the current window for an endpoint; the profile's
+   * declared limit while no window is known
+   */
+  getRemainingBudget(endpoint) {
+    const status = this.rateLimitManager.getRateLimitStatus(endpoint);
+    if (status.hasInfo && status.windowActive) {
+      return status.remaining;
+    }
+    const declared = this.profile.getEndpointLimit(endpoint);
+    return declared ? declared.limit : Infinity;
+  }
+
+  /**
+   * Whether a list timeline request would go out now rather than wait for its window
+   */
+  async canFetchList() {
+    await this.rateLimitManager.ready;
+    return this.rateLimitManager.canMakeRequest('/2/lists/:id/tweets');
+  }
+
+  /**
+   * Compare the tier profile with the x-rate-limit-limit headers seen so far
+   */
+  checkTierProfile() {
+    return this.rateLimitManager.getProfileCheck();
+  }
+
   /**
    * Get current rate limit status for debugging
    */
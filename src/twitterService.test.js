@@ -1,5 +1,6 @@
 
 const TwitterService = require('./twitterService');
+const RateLimitManager = require('./rateLimitManager');
 const { TwitterApi } = require('twitter-api-v2');
 
 jest.mock('twitter-api-v2', () => ({
@@ -74,4 +75,147 @@ describe('TwitterService', () => {
       'List not found. Please check the list ID.'
     );
   });
+
+  it('should skip credential verification while the stored window is exhausted', async () => {
+    const mockMe = jest.fn();
+    TwitterApi.mockImplementation(() => ({ readOnly: { v2: { me: mockMe } } }));
+    const config = {};
+    const database = {
+      getConfig: jest.fn(async key => config[key] || null),
+      setConfig: jest.fn(async (key, value) => { config[key] = value; }),
+    };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    // A previous process used up the daily /2/users/me budget
+    const previous = new RateLimitManager(database);
+    await previous.ready;
+    previous.updateFromHeaders('/2/users/me', {
+      'x-rate-limit-limit': '25',
+      'x-rate-limit-remaining': '0',
+      'x-rate-limit-reset': String(Math.floor(Date.now() / 1000) + 6 * 60 * 60),
+    });
+    await previous.saving;
+
+    const userService = new TwitterService({ appKey: 'k', appSecret: 's', accessToken: 't', accessSecret: 'a' }, { database });
+
+    await expect(userService.verifyCredentials()).resolves.toBe(true);
+    expect(mockMe).not.toHaveBeenCalled();
+  });
+
+  it('should report whether a list fetch would be rate limited', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await expect(twitterService.canFetchList()).resolves.toEqual(expect.objectContaining({ canRequest: true }));
+
+    twitterService.rateLimitManager.updateFromHeaders('/2/lists/:id/tweets', {
+      'x-rate-limit-limit': '5',
+      'x-rate-limit-remaining': '0',
+      'x-rate-limit-reset': String(Math.floor(Date.now() / 1000) + 600),
+    });
+
+    await expect(twitterService.canFetchList()).resolves.toEqual(expect.objectContaining({ canRequest: false }));
+  });
+
+  it('should follow next_token until the since_id cursor is reached', async () => {
+    mockListTweets
+      .mockResolvedValueOnce({
+        data: [{ id: '105', text: 'Newest', author_id: '101' }, { id: '104', text: 'Newer', author_id: '101' }],
+        meta: { next_token: 'page-2' },
+      })
+      .mockResolvedValueOnce({
+        data: [{ id: '103', text: 'New', author_id: '101' }, { id: '100', text: 'Already stored', author_id: '101' }],
+        meta: { next_token: 'page-3' },
+      });
+
+    const timeline = await twitterService.fetchListTimeline('list-id', { sinceId: '100', maxPages: 5 });
+
+    expect(mockListTweets).toHaveBeenCalledTimes(2);
+    expect(mockListTweets.mock.calls[1][1]).toEqual(expect.objectContaining({ pagination_token: 'page-2' }));
+    expect(timeline.tweets.map(t => t.id)).toEqual(['105', '104', '103']);
+    expect(timeline.postsRead).toBe(4);
+    expect(timeline.reachedCursor).toBe(true);
+    expect(timeline.nextToken).toBeNull();
+  });
+
+  it('should return a resume token when the page budget runs out', async () => {
+    mockListTweets
+      .mockResolvedValueOnce({ data: [{ id: '205', text: 'A', author_id: '101' }], meta: { next_token: 'page-2' } })
+      .mockResolvedValueOnce({ data: [{ id: '204', text: 'B', author_id: '101' }], meta: { next_token: 'page-3' } });
+
+    const timeline = await twitterService.fetchListTimeline('list-id', { sinceId: '100', maxPages: 2 });
+
+    expect(mockListTweets).toHaveBeenCalledTimes(2);
+    expect(timeline.pagesFetched).toBe(2);
+    expect(timeline.reachedCursor).toBe(false);
+    expect(timeline.nextToken).toBe('page-3');
+  });
+
+  it('should resume from a pagination token', async () => {
+    mockListTweets.mockResolvedValueOnce({ data: [{ id: '150', text: 'Gap', author_id: '101' }], meta: {} });
+
+    const timeline = await twitterService.fetchListTimeline('list-id', { sinceId: '100', paginationToken: 'page-3' });
+
+    expect(mockListTweets.mock.calls[0][1]).toEqual(expect.objectContaining({ pagination_token: 'page-3', since_id: '100' }));
+    expect(timeline.tweets.map(t => t.id)).toEqual(['150']);
+    expect(timeline.nextToken).toBeNull();
+  });
+
+  it('should read tweets from a paginator-style response', async () => {
+    mockListTweets.mockResolvedValue({
+      data: {
+        data: [{ id: '1', text: 'Tweet 1', author_id: '101' }],
+        includes: { users: [{ id: '101', name: 'User One', username: 'userone' }] },
+        meta: { result_count: 1 },
+      },
+    });
+
+    const tweets = await twitterService.getListTweets('list-id');
+
+    expect(tweets).toHaveLength(1);
+    expect(tweets[0].author_username).toBe('userone');
+  });
+
+  it('should request media expansions and attach media to tweets', async () => {
+    mockListTweets.mockResolvedValue({
+      data: [{ id: '1', text: 'Photo', author_id: '101', attachments: { media_keys: ['3_1', '3_missing'] } }],
+      includes: {
+        users: [{ id: '101', name: 'User One', username: 'userone' }],
+        media: [{ media_key: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/abc.jpg', alt_text: 'Alt' }],
+      },
+    });
+
+    const tweets = await twitterService.getListTweets('list-id');
+
+    const options = mockListTweets.mock.calls[0][1];
+    expect(options.expansions).toContain('attachments.media_keys');
+    expect(options['media.fields']).toContain('variants');
+    expect(tweets[0].media).toEqual([
+      { media_key: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/abc.jpg', alt_text: 'Alt' },
+    ]);
+  });
+
+  it('should attach expanded referenced tweets with their authors', async () => {
+    mockListTweets.mockResolvedValue({
+      data: [
+        { id: '1', text: 'RT @orig: Original', author_id: '101', referenced_tweets: [{ type: 'retweeted', id: '50' }] },
+        { id: '2', text: 'Replying', author_id: '101', in_reply_to_user_id: '102', referenced_tweets: [{ type: 'replied_to', id: '60' }] },
+      ],
+      includes: {
+        users: [
+          { id: '101', name: 'User One', username: 'userone' },
+          { id: '102', name: 'Original Author', username: 'orig' },
+        ],
+        tweets: [{ id: '50', text: 'Original', author_id: '102', attachments: { media_keys: ['3_1'] } }],
+        media: [{ media_key: '3_1', type: 'photo', url: 'https://pbs.twimg.com/media/abc.jpg' }],
+      },
+    });
+
+    const tweets = await twitterService.getListTweets('list-id');
+
+    expect(mockListTweets.mock.calls[0][1].expansions).toContain('referenced_tweets.id.author_id');
+    const retweet = tweets[0].referenced_tweets[0];
+    expect(retweet.tweet.author_username).toBe('orig');
+    expect(retweet.tweet.text).toBe('Original');
+    expect(retweet.tweet.media).toHaveLength(1);
+    expect(tweets[1].referenced_tweets[0]).toEqual({ type: 'replied_to', id: '60', author_id: '102', author_username: 'orig' });
+  });
 });
@@ -1,13 +1,20 @@
 // Simple test to verify Vercel compatibility
-const request = require('supertest');
-const app = require('../api/index');
 
-// Mock environment variables for testing
+// Environment must be set before the app is loaded: the deployment mode and
+// services are fixed at startup. The fixture source replays fixtures/demo.json
+// so initialization succeeds without credentials or network access.
 process.env.TWITTER_BEARER_TOKEN = 'test_token';
-process.env.TWITTER_LIST_ID = '123456789';
+process.env.TWITTER_LIST_ID = 'demo';
+process.env.TWEET_SOURCE = 'fixture';
+process.env.DATABASE_URL = ':memory:';
 process.env.VERCEL = '1'; // Force serverless mode
 
+const request = require('supertest');
+const app = require('../api/index');
+
 describe('Vercel Serverless Functions', () => {
+  beforeAll(() => app.twitterRSSInstance.initialized);
+
   test('Health endpoint should work', async () => {
     const response = await request(app)
       .get('/health')
@@ -17,6 +24,55 @@ describe('Vercel Serverless Functions', () => {
     expect(response.body.mode).toBe('serverless');
   });
 
+  test('Health endpoint should report a failed initialization as degraded', async () => {
+    const instance = app.twitterRSSInstance;
+    instance.initError = { message: 'Missing required environment variables', at: new Date().toISOString() };
+    try {
+      const response = await request(app)
+        .get('/health')
+        .expect(200);
+
+      expect(response.body.status).toBe('degraded');
+    } finally {
+      instance.initError = null;
+    }
+  });
+
+  test('Feeds should answer 503 while the feed service is unavailable', async () => {
+    const instance = app.twitterRSSInstance;
+    const { rssService } = instance;
+    instance.rssService = null;
+    instance.initError = { message: 'Missing required environment variables', at: new Date().toISOString() };
+    try {
+      const search = await request(app)
+        .get('/rss/search?q=demo')
+        .expect(503);
+      expect(search.body.error).toBe('Feeds are unavailable: initialization failed (Missing required environment variables)');
+
+      await request(app)
+        .get('/rss')
+        .expect(503);
+    } finally {
+      instance.rssService = rssService;
+      instance.initError = null;
+    }
+  });
+
+  test('Expired feeds should be refreshed before responding', async () => {
+    await request(app).get('/rss').expect(200);
+    const list = app.twitterRSSInstance.listRegistry.getDefault();
+    Object.values(list.feedCache).forEach(entry => {
+      entry.updatedAt = 0;
+    });
+
+    const response = await request(app)
+      .get('/rss')
+      .expect(200);
+
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(list.feedCache.rss.updatedAt).toBeGreaterThan(0);
+  });
+
   test('Root endpoint should show serverless mode', async () => {
     const response = await request(app)
       .get('/')